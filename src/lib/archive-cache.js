@@ -0,0 +1,92 @@
+/**
+ * Archive Cache Module
+ *
+ * Keeps downloaded result archives on disk so that analyzing the same result again
+ * does not download it again. A finished result never changes, so entries do not
+ * expire; callers should only store archives of finished results. Archives are keyed
+ * by server, project and result, and written readable by the current user only.
+ */
+
+import { mkdir, stat, copyFile, writeFile, chmod, rename, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * @typedef {Object} ArchiveKey
+ * @property {string} serverURL - URL of the DevOps Test instance
+ * @property {string} projectId
+ * @property {string} resultId
+ */
+
+/**
+ * Default cache folder: $XDG_CACHE_HOME/mcp-devops-test/archives, or ~/.cache/mcp-devops-test/archives
+ * @returns {string}
+ */
+export function defaultCacheDir() {
+    const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    return path.join(base, 'mcp-devops-test', 'archives');
+}
+
+// Encode a key part as a single, safe path segment ("." and ".." included)
+const segment = (value) => String(value).replace(/[^A-Za-z0-9_-]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+export class ArchiveCache {
+    /**
+     * @param {string} [dir] - Cache folder (default: defaultCacheDir())
+     */
+    constructor(dir = defaultCacheDir()) {
+        this.dir = dir;
+    }
+
+    /**
+     * Path of the cached archive for a key
+     * @param {ArchiveKey} key
+     * @returns {string}
+     */
+    pathFor(key) {
+        const server = new URL(key.serverURL);
+        return path.join(this.dir, segment(`${server.host}${server.pathname}`), segment(key.projectId), `${segment(key.resultId)}.zip`);
+    }
+
+    /**
+     * Find a cached archive
+     * @param {ArchiveKey} key
+     * @returns {Promise<string|null>} Path of the cached archive, or null if it is not cached
+     */
+    async find(key) {
+        const file = this.pathFor(key);
+        try {
+            return (await stat(file)).isFile() ? file : null;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Store an archive. It is written to a temporary file first so readers never see a partial archive.
+     * @param {ArchiveKey} key
+     * @param {Buffer|string} archive - The archive, or the path of an archive file to copy
+     * @returns {Promise<string>} Path of the cached archive
+     */
+    async set(key, archive) {
+        const file = this.pathFor(key);
+        await mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+        const temporary = `${file}.${process.pid}.tmp`;
+        try {
+            if (typeof archive === 'string') {
+                await copyFile(archive, temporary);
+                await chmod(temporary, 0o600);
+            } else {
+                await writeFile(temporary, archive, { mode: 0o600 });
+            }
+            await rename(temporary, file);
+        } catch (error) {
+            await rm(temporary, { force: true });
+            throw error;
+        }
+        return file;
+    }
+}
+
+export default ArchiveCache;
@@ -0,0 +1,97 @@
+/**
+ * Archive Entries Module
+ *
+ * Helpers for presenting the files of a result archive: a content type from the file
+ * name, a coarse kind (text, image or binary) and decoding of text files whose encoding
+ * is not declared anywhere. Result archives mix UTF-8 logs, UTF-16 reports written by
+ * Windows agents, legacy ISO-8859-1 logs and binary attachments.
+ */
+
+const MIME_TYPES = {
+    '.json': 'application/json',
+    '.har': 'application/json',
+    '.xml': 'application/xml',
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.txt': 'text/plain',
+    '.log': 'text/plain',
+    '.properties': 'text/plain',
+    '.csv': 'text/csv',
+    '.md': 'text/markdown',
+    '.yaml': 'application/yaml',
+    '.yml': 'application/yaml',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip'
+};
+
+const TEXT_APPLICATION_TYPES = ['application/json', 'application/xml', 'application/yaml', 'image/svg+xml'];
+
+// Bytes inspected to decide whether data without a byte order mark is text
+const SNIFF_BYTES = 8192;
+
+/**
+ * Content type of an archive entry, from its file extension
+ * @param {string} entryPath
+ * @returns {string} The content type, application/octet-stream if unknown
+ */
+export function mimeTypeOf(entryPath) {
+    const match = String(entryPath).toLowerCase().match(/\.[^./\\]+$/);
+    return (match && MIME_TYPES[match[0]]) || 'application/octet-stream';
+}
+
+/**
+ * Coarse kind of a content type
+ * @param {string} mimeType
+ * @returns {'text'|'image'|'binary'}
+ */
+export function entryKind(mimeType) {
+    if (mimeType.startsWith('text/') || TEXT_APPLICATION_TYPES.includes(mimeType)) return 'text';
+    if (mimeType.startsWith('image/')) return 'image';
+    return 'binary';
+}
+
+/**
+ * Decode text of unknown encoding: a byte order mark decides UTF-8 or UTF-16, otherwise
+ * valid UTF-8 is taken as UTF-8 and anything else as ISO-8859-1.
+ * @param {Buffer} data
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - data is the start of a longer file, so it may end in the middle of a character
+ * @returns {{ text: string, encoding: string }|null} null if the data looks binary
+ */
+export function decodeText(data, options = {}) {
+    // A character cut off at the end of partial data is dropped rather than decoded as garbage
+    const decode = (encoding, bytes, fatal = false) => new TextDecoder(encoding, { fatal }).decode(bytes, { stream: Boolean(options.partial) });
+
+    if (data[0] === 0xef && data[1] === 0xbb && data[2] === 0xbf) {
+        return { text: decode('utf-8', data.subarray(3)), encoding: 'utf-8' };
+    }
+    if (data[0] === 0xff && data[1] === 0xfe) {
+        return { text: decode('utf-16le', data.subarray(2)), encoding: 'utf-16le' };
+    }
+    if (data[0] === 0xfe && data[1] === 0xff) {
+        return { text: decode('utf-16be', data.subarray(2)), encoding: 'utf-16be' };
+    }
+
+    // NUL bytes and a high share of control characters mean binary data
+    const sample = data.subarray(0, SNIFF_BYTES);
+    let controls = 0;
+    for (const byte of sample) {
+        if (byte === 0) return null;
+        if (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d && byte !== 0x0c && byte !== 0x1b) controls++;
+    }
+    if (sample.length > 0 && controls / sample.length > 0.1) return null;
+
+    try {
+        return { text: decode('utf-8', data, true), encoding: 'utf-8' };
+    } catch {
+        return { text: data.toString('latin1'), encoding: 'iso-8859-1' };
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * Credentials Module
+ *
+ * Resolves the personal access token from the first configured source. Command line
+ * arguments come first, then environment variables, then the connection profile:
+ *
+ *   1. --token, --token-file, --credential-helper
+ *   2. TEST_ACCESS_TOKEN, TEST_ACCESS_TOKEN_FILE, TEST_CREDENTIAL_HELPER
+ *   3. token, tokenEnv, tokenFile, credentialHelper of the profile
+ *
+ * A token file must be a regular file owned by the current user and not readable by
+ * anyone else. A credential helper is a command run through the shell like git's
+ * credential.helper; its standard output is the token.
+ *
+ * Tokens on the command line are visible to other users in the process list, so a token
+ * file or a credential helper is the safer choice on shared machines. The chain is used
+ * by getConfig() to check that a token is configured and by SimpleAuth to read it.
+ */
+
+import { exec } from 'child_process';
+import { readFile, stat } from 'fs/promises';
+
+/**
+ * @typedef {Object} CredentialOptions
+ * @property {string} [token] - Value of --token
+ * @property {string} [tokenFile] - Value of --token-file
+ * @property {string} [credentialHelper] - Value of --credential-helper
+ */
+
+/**
+ * @typedef {Object} CredentialSource
+ * @property {string} description - Where the token comes from, for messages; never contains the token
+ * @property {() => Promise<string>} read
+ */
+
+// Time a credential helper may take, in milliseconds
+const CREDENTIAL_HELPER_TIMEOUT_MS = 30000;
+
+// Permission bits that let the group or other users access a file
+const SHARED_PERMISSION_BITS = 0o077;
+
+const literal = (value) => async () => value;
+
+// Read a token file after checking that only its owner can read it
+async function readTokenFile(filePath) {
+    let info;
+    try {
+        info = await stat(filePath);
+    } catch (error) {
+        throw new Error(error.code === 'ENOENT' ? 'the file does not exist' : error.message);
+    }
+    if (!info.isFile()) {
+        throw new Error('it is not a regular file');
+    }
+    // Windows has no POSIX owner or permission bits to check
+    if (process.platform !== 'win32') {
+        if (typeof process.getuid === 'function' && info.uid !== process.getuid()) {
+            throw new Error(`it is owned by user ${info.uid}, not by the current user`);
+        }
+        if (info.mode & SHARED_PERMISSION_BITS) {
+            const mode = (info.mode & 0o777).toString(8).padStart(4, '0');
+            throw new Error(`it can be read by other users (mode ${mode}); run chmod 600 ${filePath}`);
+        }
+    }
+    return (await readFile(filePath, 'utf-8')).trim();
+}
+
+// Run a credential helper and return its standard output
+function runCredentialHelper(command) {
+    return new Promise((resolve, reject) => {
+        exec(command, { timeout: CREDENTIAL_HELPER_TIMEOUT_MS, windowsHide: true }, (error, stdout, stderr) => {
+            if (error) {
+                const reason = error.killed ? `it did not finish within ${CREDENTIAL_HELPER_TIMEOUT_MS / 1000} seconds`
+                    : `it exited with code ${error.code}${stderr.trim() ? `: ${stderr.trim().split('\n')[0]}` : ''}`;
+                reject(new Error(reason));
+                return;
+            }
+            resolve(stdout.trim());
+        });
+    });
+}
+
+/**
+ * The configured token sources, most specific first
+ * @param {Object} [options]
+ * @param {CredentialOptions} [options.args] - Command line arguments
+ * @param {Object|null} [options.env] - Environment with TEST_ACCESS_TOKEN, TEST_ACCESS_TOKEN_FILE and TEST_CREDENTIAL_HELPER (null to ignore them)
+ * @param {Object|null} [options.profile] - Connection profile with token, tokenEnv, tokenFile or credentialHelper
+ * @param {string} [options.profileName]
+ * @param {Object} [options.profileEnv] - Environment the tokenEnv of the profile is read from (default: env, or process.env without it)
+ * @returns {CredentialSource[]}
+ */
+export function credentialSources(options = {}) {
+    const { args = {}, env = null, profile = null, profileName, profileEnv = env ?? process.env } = options;
+    const ofProfile = profileName ? ` of profile "${profileName}"` : ' of the profile';
+    const sources = [];
+    const tokenFile = (filePath, origin) => ({ description: `token file ${filePath} (from ${origin})`, read: () => readTokenFile(filePath) });
+    const helper = (command, origin) => ({ description: `credential helper "${command}" (from ${origin})`, read: () => runCredentialHelper(command) });
+
+    // An explicit command line argument always wins over the environment and the profile
+    if (args.token) sources.push({ description: '--token argument', read: literal(args.token) });
+    if (args.tokenFile) sources.push(tokenFile(args.tokenFile, '--token-file'));
+    if (args.credentialHelper) sources.push(helper(args.credentialHelper, '--credential-helper'));
+
+    if (env?.TEST_ACCESS_TOKEN) sources.push({ description: 'TEST_ACCESS_TOKEN environment variable', read: literal(env.TEST_ACCESS_TOKEN) });
+    if (env?.TEST_ACCESS_TOKEN_FILE) sources.push(tokenFile(env.TEST_ACCESS_TOKEN_FILE, 'TEST_ACCESS_TOKEN_FILE'));
+    if (env?.TEST_CREDENTIAL_HELPER) sources.push(helper(env.TEST_CREDENTIAL_HELPER, 'TEST_CREDENTIAL_HELPER'));
+
+    if (profile?.token) sources.push({ description: `token${ofProfile}`, read: literal(profile.token) });
+    if (profile?.tokenEnv && profileEnv[profile.tokenEnv]) {
+        sources.push({ description: `${profile.tokenEnv} environment variable (tokenEnv${ofProfile})`, read: literal(profileEnv[profile.tokenEnv]) });
+    }
+    if (profile?.tokenFile) sources.push(tokenFile(profile.tokenFile, `tokenFile${ofProfile}`));
+    if (profile?.credentialHelper) sources.push(helper(profile.credentialHelper, `credentialHelper${ofProfile}`));
+    return sources;
+}
+
+export class CredentialChain {
+    /**
+     * @param {CredentialSource[]} sources - Token sources in order of precedence; the first one is used
+     */
+    constructor(sources) {
+        this.sources = sources;
+    }
+
+    /**
+     * Whether any source is configured
+     * @returns {boolean}
+     */
+    get configured() {
+        return this.sources.length > 0;
+    }
+
+    /**
+     * Description of the source the token is read from, null if none is configured
+     * @returns {string|null}
+     */
+    get source() {
+        return this.sources[0]?.description ?? null;
+    }
+
+    /**
+     * Read the token from the first configured source
+     * @returns {Promise<{ token: string, source: string }>}
+     */
+    async resolve() {
+        const [source] = this.sources;
+        if (!source) {
+            throw new Error('No personal access token is configured. Use --token, --token-file or --credential-helper, or set TEST_ACCESS_TOKEN, TEST_ACCESS_TOKEN_FILE or TEST_CREDENTIAL_HELPER.');
+        }
+
+        let token;
+        try {
+            token = await source.read();
+        } catch (error) {
+            throw new Error(`Cannot read the personal access token from ${source.description}: ${error.message}`);
+        }
+        if (!token) {
+            throw new Error(`Cannot read the personal access token from ${source.description}: it is empty`);
+        }
+        return { token, source: source.description };
+    }
+}
+
+/**
+ * Read named options from command line arguments given as "--name value" or "--name=value".
+ * Other arguments are skipped one at a time, so a flag without a value does not shift the
+ * arguments after it.
+ * @param {string[]} argv - Arguments, without the node executable and script
+ * @param {Object<string, string>} names - Option name by flag, e.g. { '--token': 'token' }
+ * @returns {Object<string, string>}
+ */
+export function readArguments(argv, names) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        if (!Object.hasOwn(names, flag)) continue;
+        if (inlineValue !== undefined) {
+            options[names[flag]] = inlineValue;
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            options[names[flag]] = argv[++i];
+        }
+    }
+    return options;
+}
+
+/**
+ * Read the credential arguments (and --server-url) from command line arguments (see readArguments())
+ * @param {string[]} argv - Arguments, without the node executable and script
+ * @returns {CredentialOptions & { serverUrl?: string }}
+ */
+export function readCredentialArguments(argv) {
+    return readArguments(argv, { '--token': 'token', '--token-file': 'tokenFile', '--credential-helper': 'credentialHelper', '--server-url': 'serverUrl' });
+}
+
+export default CredentialChain;
@@ -0,0 +1,1029 @@
+/**
+ * DevOps Test REST Client
+ *
+ * A small library over the DevOps Test REST API. The MCP tools in server.js are thin
+ * wrappers around it, and it can be imported directly by Node scripts and CI jobs:
+ *
+ *     import { DevOpsTestClient } from '@securedevops/mcp-devops-test';
+ *
+ *     const client = new DevOpsTestClient({ serverURL, personalAccessToken });
+ *     const projects = await client.listProjects();
+ */
+
+import unzipper from 'unzipper';
+import { createWriteStream } from 'fs';
+import { mkdtemp, open, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { SimpleAuth } from './simple-auth.js';
+import { fetchWithRetry } from './http.js';
+import { parseTestLogStream, DEFAULT_MAX_TESTLOG_BYTES } from './testlog.js';
+
+/**
+ * Test asset types queried when no explicit type filter is given
+ */
+export const DEFAULT_TEST_TYPES = [
+    "AFTSUITE",
+    "APISUITE",
+    "COMPOUND",
+    "EXT_TEST_CODES",
+    "EXT_TEST_JMETER",
+    "EXT_TEST_JUNIT",
+    "EXT_TEST_PMAN",
+    "RATESCHEDULE",
+    "EXT_TEST_SEL",
+    "EXT_TEST_SUITE",
+    "VUSCHEDULE",
+    "EXT_TEST_SCPT",
+    "EXT_TEST_LOADP",
+    "EXT_TEST_STUB",
+    "APITEST",
+    "UI",
+    "PERF",
+];
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Page size used when enumerating every asset of a project
+const ASSET_ENUMERATION_PAGE_SIZE = 100;
+
+// Page size used when searching the result history of a project
+const RESULT_SEARCH_PAGE_SIZE = 100;
+
+// Pages of the result history a search reads at most (by default), as filters are applied client-side
+const RESULT_SEARCH_MAX_PAGES = 20;
+
+// Largest archive returned in memory (as a Buffer) by default; larger ones must go to a file
+const DEFAULT_MAX_ARCHIVE_BYTES = 64 * 1024 * 1024;
+
+// Statuses of the download endpoint while an archive is still being prepared
+const DOWNLOAD_PENDING_STATUSES = [202, 204];
+
+// Zip archives start with a local file header, or an end of central directory record when empty
+const isZipArchive = (data) => data.length >= 4 && data[0] === 0x50 && data[1] === 0x4b &&
+    ((data[2] === 0x03 && data[3] === 0x04) || (data[2] === 0x05 && data[3] === 0x06));
+
+/**
+ * Run a function with a new temporary folder, for example for downloaded archives.
+ * The folder and everything in it is removed afterwards.
+ * @template T
+ * @param {(dir: string) => Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function withTemporaryDirectory(fn) {
+    const dir = await mkdtemp(path.join(os.tmpdir(), 'mcp-devops-test-'));
+    try {
+        return await fn(dir);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+// Write a response body to a file without holding it in memory; returns the first bytes and the size
+async function saveResponseBody(response, filePath) {
+    await pipeline(response.body ? Readable.fromWeb(response.body) : Readable.from([]), createWriteStream(filePath));
+    const file = await open(filePath);
+    try {
+        const head = Buffer.alloc(4);
+        const { bytesRead } = await file.read(head, 0, head.length, 0);
+        return { head: head.subarray(0, bytesRead), size: (await file.stat()).size };
+    } finally {
+        await file.close();
+    }
+}
+
+// Open an archive held in memory or stored in a file; files are read on demand, not loaded whole
+const openArchive = (archive) => typeof archive === 'string' ? unzipper.Open.file(archive) : unzipper.Open.buffer(archive);
+
+// Parse a date filter given as an ISO 8601 string or epoch milliseconds
+function parseDateFilter(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid ${name} date "${value}". Use an ISO 8601 date such as 2025-01-31 or 2025-01-31T12:00:00Z`);
+    }
+    return time;
+}
+
+/**
+ * Build a predicate matching names against a filter. A filter containing * or ? is a
+ * glob matched against the whole name; any other filter matches as a substring.
+ * Matching is case-insensitive.
+ * @param {string} [filter]
+ * @returns {(name: string) => boolean}
+ */
+export function createNameMatcher(filter) {
+    if (!filter) return () => true;
+    if (/[*?]/.test(filter)) {
+        const source = filter
+            .split('')
+            .map(c => c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+            .join('');
+        const pattern = new RegExp(`^${source}$`, 'i');
+        return (name) => pattern.test(String(name));
+    }
+    const needle = filter.toLowerCase();
+    return (name) => String(name).toLowerCase().includes(needle);
+}
+
+/**
+ * @typedef {Object} Project
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} [archived]
+ */
+
+/**
+ * @typedef {Object} TestAsset
+ * @property {string} id
+ * @property {string} name
+ * @property {string} [external_type]
+ * @property {string} [path] - Path of the asset in the repository
+ * @property {string|number} [last_modified]
+ * @property {string} [owner]
+ */
+
+/**
+ * @typedef {Object} AssetPage
+ * @property {TestAsset[]} assets
+ * @property {number} page - Zero-based page number
+ * @property {number} pageSize
+ * @property {number} totalElements - Number of assets on all pages
+ * @property {number} totalPages
+ */
+
+/**
+ * @typedef {Object} Execution
+ * @property {string} id
+ * @property {string} [status]
+ * @property {{ id: string }} [result]
+ * @property {{ assetId: string, name?: string, revision?: string }} [testAsset]
+ * @property {string} [initiator] - User who started the execution
+ * @property {number|string} [startDate]
+ */
+
+/**
+ * @typedef {Object} TestResult
+ * @property {string} id
+ * @property {string} [name] - Name of the test
+ * @property {string} [assetId]
+ * @property {string} [status]
+ * @property {string} [verdict]
+ * @property {string} [branch]
+ * @property {string} [initiator]
+ * @property {number|string} [startDate]
+ * @property {number} [duration] - Duration in milliseconds
+ */
+
+/**
+ * @typedef {Object} ResultSearch
+ * @property {TestResult[]} results
+ * @property {boolean} hasMore - More matching results follow the returned ones
+ * @property {boolean} truncated - The search stopped at maxPages before reaching the end of the
+ *   history (or the since date), so older matching results may exist
+ * @property {number} scanned - Number of results read from the history
+ */
+
+/**
+ * @typedef {Object} DatasetOverride
+ * @property {string} source - Dataset used by the test
+ * @property {string} replacement - Dataset to use in its place for this run
+ */
+
+/**
+ * @typedef {Object} ExecutionSettings
+ * @property {string} revision - Branch or revision to run
+ * @property {string|null} requestedVersion - Specific asset version to run, null for the latest
+ * @property {Object<string, string|number|boolean>} configuration - Advanced configuration, including browser.name
+ * @property {Object<string, string>} variables - Run-time variable overrides
+ * @property {DatasetOverride[]} datasets - Dataset overrides
+ * @property {string[]} remoteLocations - Remote agents/locations to run on, empty for the default
+ * @property {string[]} environmentTags - Environment tags selecting the test environment
+ */
+
+/**
+ * @typedef {Object} PreparedDownload
+ * @property {string} downloadId - ID to pass to downloadArchive()
+ * @property {string} location - The location header returned by the server
+ * @property {string} prepareUrl - The URL the download was prepared from
+ */
+
+/**
+ * @typedef {Object} ArchiveEntry
+ * @property {string} path - Path of the file inside the archive
+ * @property {number} size - Uncompressed size in bytes
+ * @property {number} compressedSize
+ * @property {string|null} lastModified - ISO 8601 modification time
+ */
+
+export class DevOpsTestClient {
+    /**
+     * @param {Object} config
+     * @param {string} config.serverURL - URL of the DevOps Test instance, e.g. https://host/test
+     * @param {string} [config.personalAccessToken] - Personal access token (refresh token)
+     * @param {CredentialChain} [config.credentials] - Where to read the personal access token from when it is not given
+     * @param {SimpleAuth} [config.auth] - Authentication to use instead of one built from the token
+     * @param {number} [config.maxTestLogBytes] - Ceiling for the testlog data kept in memory when parsing (default: 64 MB)
+     * @param {number} [config.maxArchiveBytes] - Largest archive downloadArchive() and tryDownloadArchive() return in memory (default: 64 MB)
+     * @param {number} [config.requestTimeoutMs] - Time to wait for the response to a request (default: 30 s)
+     * @param {number} [config.maxRetries] - Retries of a request when the server is overloaded or unavailable (default: 3)
+     * @param {number} [config.retryDelayMs] - Base delay of the exponential back-off between retries (default: 500 ms)
+     */
+    constructor(config) {
+        if (!config || !config.serverURL) {
+            throw new Error('serverURL is required');
+        }
+        if (!config.auth && !config.personalAccessToken && !config.credentials?.configured) {
+            throw new Error('personalAccessToken is required');
+        }
+
+        this.serverURL = config.serverURL;
+        this.personalAccessToken = config.personalAccessToken;
+        this.maxTestLogBytes = config.maxTestLogBytes;
+        this.maxArchiveBytes = config.maxArchiveBytes ?? DEFAULT_MAX_ARCHIVE_BYTES;
+        this.retryPolicy = {
+            timeoutMs: config.requestTimeoutMs,
+            retries: config.maxRetries,
+            retryDelayMs: config.retryDelayMs
+        };
+        this.auth = config.auth || new SimpleAuth({
+            serverURL: config.serverURL,
+            personalAccessToken: config.personalAccessToken,
+            credentials: config.credentials,
+            retryPolicy: this.retryPolicy
+        });
+
+        // REST endpoints live under /test/rest on the server host
+        const url = new URL(this.serverURL.replace('/#', ''));
+        this.baseURL = `${url.protocol}//${url.host}`;
+        this.restURL = `${this.baseURL}/test/rest`;
+    }
+
+    /**
+     * Release the client's authentication (see SimpleAuth.dispose()); the client cannot be used afterwards
+     */
+    close() {
+        this.auth.dispose?.();
+    }
+
+    /**
+     * Get the default headers for API requests, including the authorization header
+     * @param {Object} [extraHeaders]
+     * @returns {Promise<Object>}
+     */
+    async getHeaders(extraHeaders = {}) {
+        return {
+            'User-Agent': USER_AGENT,
+            'Accept': 'application/json',
+            'Authorization': await this.auth.getAuthHeader(),
+            ...extraHeaders
+        };
+    }
+
+    /**
+     * Send an authenticated request with a timeout, retrying when the server is overloaded or
+     * unavailable (see http.js). On a 401 the access token is cleared, so the request is sent
+     * once more with a new one. Returns the response whatever its status.
+     * @param {string} url
+     * @param {Object} [options]
+     * @param {string} [options.method] - HTTP method (default: GET)
+     * @param {Object} [options.headers] - Headers added to the defaults
+     * @param {string} [options.body] - Request body
+     * @param {boolean} [options.idempotent] - Whether the request may be sent again after a lost response (default: false for POST)
+     * @returns {Promise<Response>}
+     */
+    async send(url, options = {}) {
+        // Authorization header of the latest attempt, so a 401 only clears the token it rejected
+        let authorization;
+        return await fetchWithRetry(url, async () => {
+            const headers = await this.getHeaders(options.headers);
+            authorization = headers.Authorization;
+            return { method: options.method || 'GET', headers, body: options.body };
+        }, {
+            ...this.retryPolicy,
+            idempotent: options.idempotent,
+            onUnauthorized: () => this.auth.clearTokens(authorization?.replace(/^Bearer /, ''))
+        });
+    }
+
+    /**
+     * Send an authenticated request to a path under /test/rest
+     * @param {string} path - Path relative to /test/rest, e.g. /projects/
+     * @param {Object} [options] - See send()
+     * @param {string} [options.errorPrefix] - Prefix for the error message on a non-2xx response
+     * @returns {Promise<Response>}
+     */
+    async request(path, options = {}) {
+        const response = await this.send(`${this.restURL}${path}`, options);
+
+        if (!response.ok) {
+            const prefix = options.errorPrefix ? `${options.errorPrefix}: ` : '';
+            // A 401 here came back even with a freshly issued access token
+            const hint = response.status === 401 ? ' (rejected again after renewing the access token; check the personal access token)' : '';
+            const error = new Error(`${prefix}HTTP ${response.status}: ${response.statusText}${hint}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response;
+    }
+
+    /**
+     * Send an authenticated request and parse the JSON response
+     * @param {string} path
+     * @param {Object} [options] - See request()
+     * @returns {Promise<*>}
+     */
+    async requestJSON(path, options = {}) {
+        const response = await this.request(path, options);
+        return await response.json();
+    }
+
+    /**
+     * URL of the functional report for a result in the web UI
+     * @param {string} projectId
+     * @param {string} resultId
+     * @returns {string}
+     */
+    getReportURL(projectId, resultId) {
+        return `${this.baseURL}/test/funrep.html#/projects/${projectId}/results/${resultId}`;
+    }
+
+    /**
+     * List the projects the user is a member of
+     * @returns {Promise<Project[]>}
+     */
+    async listProjects() {
+        const data = await this.requestJSON('/projects/?member=true&archived=false');
+        if (!data || !Array.isArray(data.data)) {
+            throw new Error('Unexpected response structure');
+        }
+        return data.data;
+    }
+
+    /**
+     * Get one page of the test assets in a project
+     * @param {string} projectId
+     * @param {Object} [options]
+     * @param {string} [options.branch] - Branch (revision) to list from (default: main)
+     * @param {string[]} [options.testTypes] - Asset types to include (default: DEFAULT_TEST_TYPES)
+     * @param {boolean} [options.executableOnly] - Only return deployable, executable assets
+     * @param {number} [options.page] - Zero-based page number (default: 0)
+     * @param {number} [options.pageSize] - Assets per page (default: 100)
+     * @returns {Promise<AssetPage>}
+     */
+    async listAssetsPage(projectId, options = {}) {
+        const page = options.page || 0;
+        const pageSize = options.pageSize || ASSET_ENUMERATION_PAGE_SIZE;
+
+        const params = new URLSearchParams();
+        params.append('revision', options.branch || 'main');
+        if (options.executableOnly) {
+            params.append('deployable', 'true');
+            params.append('assetTypes', 'EXECUTABLE');
+        }
+        (options.testTypes || DEFAULT_TEST_TYPES).forEach(type => {
+            params.append('externalTypes', type);
+        });
+        params.append('page', String(page));
+        params.append('size', String(pageSize));
+
+        const data = await this.requestJSON(`/projects/${projectId}/assets/?${params.toString()}`, {
+            errorPrefix: options.executableOnly ? 'Failed to fetch tests' : undefined
+        });
+        if (!data || !Array.isArray(data.content)) {
+            throw new Error('Unexpected response structure');
+        }
+
+        // Servers that do not report totals are treated as having one more page while pages come back full
+        const totalPages = Number.isInteger(data.totalPages)
+            ? data.totalPages
+            : (data.content.length < pageSize ? page + 1 : page + 2);
+        return {
+            assets: data.content,
+            page,
+            pageSize,
+            totalElements: Number.isInteger(data.totalElements) ? data.totalElements : page * pageSize + data.content.length,
+            totalPages
+        };
+    }
+
+    /**
+     * List all test assets in a project, following every page
+     * @param {string} projectId
+     * @param {Object} [options]
+     * @param {string} [options.branch] - Branch (revision) to list from (default: main)
+     * @param {string[]} [options.testTypes] - Asset types to include (default: DEFAULT_TEST_TYPES)
+     * @param {boolean} [options.executableOnly] - Only return deployable, executable assets
+     * @param {string} [options.nameFilter] - Only return assets whose name matches (substring or glob)
+     * @returns {Promise<TestAsset[]>}
+     */
+    async listAssets(projectId, options = {}) {
+        const assets = [];
+        for (let page = 0; ; page++) {
+            const result = await this.listAssetsPage(projectId, { ...options, page, pageSize: ASSET_ENUMERATION_PAGE_SIZE });
+            assets.push(...result.assets);
+            if (result.assets.length === 0 || page + 1 >= result.totalPages) break;
+        }
+
+        const matches = createNameMatcher(options.nameFilter);
+        return assets.filter(asset => matches(asset.name));
+    }
+
+    /**
+     * Find an executable test asset by name
+     * @param {string} projectId
+     * @param {string} testName
+     * @param {Object} [options]
+     * @param {string} [options.branch] - Branch (revision) to search (default: main)
+     * @returns {Promise<TestAsset>}
+     */
+    async findAsset(projectId, testName, options = {}) {
+        const assets = await this.listAssets(projectId, { branch: options.branch, executableOnly: true });
+        const asset = assets.find(t => t.name === testName);
+        if (!asset) {
+            const availableTests = assets.map(t => t.name).join(', ');
+            throw new Error(`Test "${testName}" not found. Available tests: ${availableTests}`);
+        }
+        return asset;
+    }
+
+    /**
+     * Validate execution options and resolve them to the settings an execution is started with
+     * @param {Object} [options]
+     * @param {string} [options.revision] - Revision to run (default: main)
+     * @param {string} [options.browserName] - Browser to run UI tests in (default: edge)
+     * @param {string} [options.requestedVersion] - Specific asset version to run (default: latest)
+     * @param {Object<string, string|number|boolean>} [options.configuration] - Advanced configuration; a browser.name here overrides browserName
+     * @param {Object<string, string>} [options.variables] - Run-time variable overrides
+     * @param {DatasetOverride[]} [options.datasets] - Dataset overrides
+     * @param {string[]} [options.remoteLocations] - Remote agents/locations to run on
+     * @param {string[]} [options.environmentTags] - Environment tags
+     * @returns {ExecutionSettings}
+     */
+    getExecutionSettings(options = {}) {
+        const configuration = { "browser.name": options.browserName || 'edge' };
+        for (const [key, value] of Object.entries(options.configuration || {})) {
+            if (!key.trim()) {
+                throw new Error('Configuration keys must not be empty');
+            }
+            if (!['string', 'number', 'boolean'].includes(typeof value)) {
+                throw new Error(`Configuration value for "${key}" must be a string, number or boolean`);
+            }
+            configuration[key] = value;
+        }
+
+        const variables = {};
+        for (const [name, value] of Object.entries(options.variables || {})) {
+            if (!name.trim()) {
+                throw new Error('Variable names must not be empty');
+            }
+            variables[name] = String(value);
+        }
+
+        const datasets = (options.datasets || []).map(({ source, replacement }) => {
+            if (!source || !replacement) {
+                throw new Error('Dataset overrides need both a source and a replacement dataset');
+            }
+            return { source, replacement };
+        });
+
+        const unique = (values, label) => {
+            const seen = new Set();
+            for (const value of values) {
+                if (!value || !String(value).trim()) {
+                    throw new Error(`${label} must not be empty`);
+                }
+                if (seen.has(value)) {
+                    throw new Error(`${label} must be unique; "${value}" is given more than once`);
+                }
+                seen.add(value);
+            }
+            return [...values];
+        };
+        unique(datasets.map(d => d.source), 'Dataset override sources');
+
+        return {
+            revision: options.revision || 'main',
+            requestedVersion: options.requestedVersion || null,
+            configuration,
+            variables,
+            datasets,
+            remoteLocations: unique(options.remoteLocations || [], 'Remote locations'),
+            environmentTags: unique(options.environmentTags || [], 'Environment tags')
+        };
+    }
+
+    /**
+     * Start an execution of a test asset
+     * @param {string} projectId
+     * @param {Object} options - Execution options as accepted by getExecutionSettings(), plus:
+     * @param {string} options.assetId - ID of the asset to run
+     * @returns {Promise<Execution>}
+     */
+    async startExecution(projectId, options) {
+        const settings = this.getExecutionSettings(options);
+        const advancedSettings = { configuration: settings.configuration };
+        if (Object.keys(settings.variables).length > 0) advancedSettings.variables = settings.variables;
+        if (settings.datasets.length > 0) advancedSettings.datasets = settings.datasets;
+
+        const payload = {
+            testAsset: {
+                assetId: options.assetId,
+                revision: settings.revision,
+                requestedVersion: settings.requestedVersion
+            },
+            advancedSettings,
+            remoteLocations: settings.remoteLocations,
+            offlineToken: this.personalAccessToken || await this.auth.getPersonalAccessToken?.()
+        };
+        if (settings.environmentTags.length > 0) payload.environmentTags = settings.environmentTags;
+
+        // Never sent twice after a lost response: that could start the test twice
+        return await this.requestJSON(`/projects/${projectId}/executions/`, {
+            method: 'POST',
+            idempotent: false,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json, text/plain, */*',
+                'Accept-Version': '1.4',
+                'X-Requested-With': 'XMLHttpRequest',
+                'Sec-Fetch-Dest': 'empty',
+                'Sec-Fetch-Mode': 'cors',
+                'Sec-Fetch-Site': 'same-origin'
+            },
+            body: JSON.stringify(payload)
+        });
+    }
+
+    /**
+     * Get an execution
+     * @param {string} projectId
+     * @param {string} executionId
+     * @returns {Promise<Execution>}
+     */
+    async getExecution(projectId, executionId) {
+        return await this.requestJSON(`/projects/${projectId}/executions/${executionId}`, {
+            errorPrefix: `Failed to fetch execution ${executionId}`
+        });
+    }
+
+    /**
+     * List the executions of a project
+     * @param {string} projectId
+     * @returns {Promise<Execution[]>}
+     */
+    async listExecutions(projectId) {
+        const data = await this.requestJSON(`/projects/${projectId}/executions/`, {
+            errorPrefix: `Failed to fetch executions of project ${projectId}`
+        });
+        // The list comes back as a bare array or wrapped in a page
+        const executions = Array.isArray(data) ? data : (data?.content || data?.data);
+        if (!Array.isArray(executions)) {
+            throw new Error('Unexpected response structure');
+        }
+        return executions;
+    }
+
+    /**
+     * Ask the server to stop a running or queued execution
+     * @param {string} projectId
+     * @param {string} executionId
+     * @returns {Promise<void>}
+     */
+    async cancelExecution(projectId, executionId) {
+        await this.request(`/projects/${projectId}/executions/${executionId}`, {
+            method: 'DELETE',
+            errorPrefix: `Failed to cancel execution ${executionId}`
+        });
+    }
+
+    /**
+     * Read the result ID from execution data without contacting the server
+     * @param {Execution} [executionData]
+     * @returns {string|null} The result ID, or null if the execution has none yet
+     */
+    getResultIdFromExecution(executionData) {
+        const resultId = executionData?.resultId || executionData?.result?.id;
+        return resultId ? String(resultId) : null;
+    }
+
+    /**
+     * Resolve the result ID of an execution, from the execution data if given, else from the server
+     * @param {string} projectId
+     * @param {string} executionId
+     * @param {Execution} [executionData] - Execution response already at hand, e.g. from startExecution()
+     * @returns {Promise<string>}
+     */
+    async resolveResultId(projectId, executionId, executionData = null) {
+        const resultId = this.getResultIdFromExecution(executionData);
+        if (resultId) return resultId;
+
+        const resolved = this.getResultIdFromExecution(await this.getExecution(projectId, executionId));
+        if (!resolved) {
+            throw new Error(`Execution ${executionId} has no result ID yet`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Get one page of the result history of a project, newest first
+     * @param {string} projectId
+     * @param {Object} [options]
+     * @param {number} [options.page] - Zero-based page number (default: 0)
+     * @param {number} [options.pageSize] - Results per page (default: 100)
+     * @returns {Promise<{ results: TestResult[], page: number, pageSize: number, totalPages: number }>}
+     */
+    async listResultsPage(projectId, options = {}) {
+        const page = options.page || 0;
+        const pageSize = options.pageSize || RESULT_SEARCH_PAGE_SIZE;
+
+        const params = new URLSearchParams();
+        params.append('page', String(page));
+        params.append('size', String(pageSize));
+        params.append('sort', 'startDate,desc');
+
+        const data = await this.requestJSON(`/projects/${projectId}/results/?${params.toString()}`, {
+            errorPrefix: `Failed to fetch results of project ${projectId}`
+        });
+        const results = Array.isArray(data) ? data : data?.content;
+        if (!Array.isArray(results)) {
+            throw new Error('Unexpected response structure');
+        }
+
+        const totalPages = Number.isInteger(data.totalPages)
+            ? data.totalPages
+            : (results.length < pageSize ? page + 1 : page + 2);
+        return { results, page, pageSize, totalPages };
+    }
+
+    /**
+     * Search the result history of a project, newest first, following pages as needed
+     * @param {string} projectId
+     * @param {Object} [filters]
+     * @param {string} [filters.testName] - Test name (substring or glob, see createNameMatcher())
+     * @param {string} [filters.assetId]
+     * @param {string} [filters.verdict] - e.g. PASS, FAIL, ERROR, INCONCLUSIVE
+     * @param {string} [filters.branch]
+     * @param {string} [filters.initiator] - User who started the run
+     * @param {string|number} [filters.since] - Only results started at or after this date
+     * @param {string|number} [filters.until] - Only results started before this date
+     * @param {number} [filters.offset] - Number of matching results to skip (default: 0)
+     * @param {number} [filters.limit] - Maximum number of results to return (default: 50)
+     * @param {number} [filters.maxPages] - Maximum number of history pages to read (default: 20 pages of 100 results)
+     * @returns {Promise<ResultSearch>}
+     */
+    async findResults(projectId, filters = {}) {
+        const since = parseDateFilter(filters.since, 'since');
+        const until = parseDateFilter(filters.until, 'until');
+        const offset = filters.offset || 0;
+        const limit = filters.limit || 50;
+        const maxPages = filters.maxPages || RESULT_SEARCH_MAX_PAGES;
+        const matchesName = createNameMatcher(filters.testName);
+        const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+        const startOf = (result) => {
+            const start = result.startDate ?? result.creationDate;
+            return start === undefined || start === null ? null : new Date(start).getTime();
+        };
+
+        const matches = (result) => {
+            const start = startOf(result);
+            if (filters.testName && !matchesName(result.name || '')) return false;
+            if (filters.assetId && String(result.assetId ?? result.testAsset?.assetId) !== String(filters.assetId)) return false;
+            if (filters.verdict && !same(result.verdict, filters.verdict)) return false;
+            if (filters.branch && !same(result.branch, filters.branch)) return false;
+            if (filters.initiator && !same(result.initiator, filters.initiator)) return false;
+            if (since !== null && (start === null || start < since)) return false;
+            if (until !== null && (start === null || start >= until)) return false;
+            return true;
+        };
+
+        // Collect one match more than asked for, to know whether more follow
+        const found = [];
+        let scanned = 0;
+        let truncated = false;
+        for (let page = 0; ; page++) {
+            const { results, totalPages } = await this.listResultsPage(projectId, { page, pageSize: RESULT_SEARCH_PAGE_SIZE });
+            found.push(...results.filter(matches));
+            scanned += results.length;
+
+            // Results come newest first, so nothing on later pages can be newer than the since date
+            const oldest = results.length > 0 ? startOf(results[results.length - 1]) : null;
+            const pastSince = since !== null && oldest !== null && oldest < since;
+            if (found.length > offset + limit || pastSince || results.length === 0 || page + 1 >= totalPages) break;
+            if (page + 1 >= maxPages) {
+                truncated = true;
+                break;
+            }
+        }
+
+        return {
+            results: found.slice(offset, offset + limit),
+            hasMore: found.length > offset + limit,
+            truncated,
+            scanned
+        };
+    }
+
+    /**
+     * Get the summary of a result (status, verdict, timings, reports)
+     * @param {string} projectId
+     * @param {string} resultId
+     * @returns {Promise<Object>}
+     */
+    async getResult(projectId, resultId) {
+        return await this.requestJSON(`/projects/${projectId}/results/${resultId}`);
+    }
+
+    /**
+     * Get the execution log items of a result
+     * @param {string} projectId
+     * @param {string} resultId
+     * @returns {Promise<Object[]>}
+     */
+    async getResultLogs(projectId, resultId) {
+        return await this.requestJSON(`/projects/${projectId}/results/${resultId}/logs`);
+    }
+
+    /**
+     * Get the artifacts of a result
+     * @param {string} projectId
+     * @param {string} resultId
+     * @returns {Promise<Object[]>}
+     */
+    async getResultArtifacts(projectId, resultId) {
+        return await this.requestJSON(`/projects/${projectId}/results/${resultId}/artifacts`);
+    }
+
+    /**
+     * Get the screenshots of a result
+     * @param {string} projectId
+     * @param {string} resultId
+     * @returns {Promise<Object[]>}
+     */
+    async getResultScreenshots(projectId, resultId) {
+        return await this.requestJSON(`/projects/${projectId}/results/${resultId}/screenshots`);
+    }
+
+    /**
+     * Get the performance data of a result
+     * @param {string} projectId
+     * @param {string} resultId
+     * @returns {Promise<Object>}
+     */
+    async getResultPerformance(projectId, resultId) {
+        return await this.requestJSON(`/projects/${projectId}/results/${resultId}/performance`);
+    }
+
+    /**
+     * Prepare the testlog archive of a result for download
+     * @param {string} projectId
+     * @param {string} resultId
+     * @returns {Promise<PreparedDownload>}
+     */
+    async prepareDownload(projectId, resultId) {
+        const path = `/projects/${projectId}/results/${resultId}/reports/testlog/download`;
+        const prepareUrl = `${this.restURL}${path}`;
+
+        const response = await this.send(prepareUrl, { method: 'POST' });
+
+        if (!response.ok) {
+            throw new Error(`Failed to prepare download: ${response.status} ${response.statusText}`);
+        }
+
+        // Extract download ID from location header
+        const location = response.headers.get('location');
+        if (!location) {
+            throw new Error('No location header found in response');
+        }
+
+        // Extract download ID from location path (e.g., /test/rest/projects/1150/downloads/1556 -> 1556)
+        const downloadIdMatch = location.match(/\/downloads\/(\d+)$/);
+        if (!downloadIdMatch) {
+            throw new Error(`Could not extract download ID from location header: ${location}`);
+        }
+
+        return { downloadId: downloadIdMatch[1], location, prepareUrl };
+    }
+
+    /**
+     * URL of a prepared download
+     * @param {string} projectId
+     * @param {string} downloadId
+     * @returns {string}
+     */
+    getDownloadURL(projectId, downloadId) {
+        return `${this.restURL}/projects/${projectId}/downloads/${downloadId}`;
+    }
+
+    /**
+     * Download a prepared result archive (zip) into memory. The archive is streamed to a
+     * temporary file first and only loaded when it is within config.maxArchiveBytes.
+     * @param {string} projectId
+     * @param {string} downloadId
+     * @returns {Promise<Buffer>}
+     */
+    async downloadArchive(projectId, downloadId) {
+        return await withTemporaryDirectory(async (dir) => {
+            const archivePath = path.join(dir, 'archive.zip');
+            const size = await this.downloadArchiveToFile(projectId, downloadId, archivePath);
+            return await this.loadArchive(archivePath, size);
+        });
+    }
+
+    /**
+     * Download a prepared result archive into a file, streaming it to disk
+     * @param {string} projectId
+     * @param {string} downloadId
+     * @param {string} filePath - File to write the archive to
+     * @returns {Promise<number>} Size of the archive in bytes
+     */
+    async downloadArchiveToFile(projectId, downloadId, filePath) {
+        const response = await this.send(this.getDownloadURL(projectId, downloadId));
+
+        if (!response.ok) {
+            throw new Error(`Failed to download results: ${response.status} ${response.statusText}`);
+        }
+
+        return (await saveResponseBody(response, filePath)).size;
+    }
+
+    /**
+     * Download a prepared result archive if the server has finished preparing it.
+     * While the archive is being prepared the server answers 202 or 204, or with a
+     * body that is not a zip archive.
+     * @param {string} projectId
+     * @param {string} downloadId
+     * @param {Object} [options]
+     * @param {string} [options.filePath] - Stream the archive to this file instead of returning it; without it the
+     *   archive goes through a temporary file and is returned in memory, within config.maxArchiveBytes
+     * @returns {Promise<{ ready: boolean, status: number, archive: Buffer|string|null, size: number }>} archive is the file path when options.filePath is given
+     */
+    async tryDownloadArchive(projectId, downloadId, options = {}) {
+        if (!options.filePath) {
+            return await withTemporaryDirectory(async (dir) => {
+                const attempt = await this.tryDownloadArchive(projectId, downloadId, { filePath: path.join(dir, 'archive.zip') });
+                return attempt.ready ? { ...attempt, archive: await this.loadArchive(attempt.archive, attempt.size) } : attempt;
+            });
+        }
+
+        const response = await this.send(this.getDownloadURL(projectId, downloadId));
+
+        if (!response.ok) {
+            throw new Error(`Failed to download results: ${response.status} ${response.statusText}`);
+        }
+
+        const { head, size } = await saveResponseBody(response, options.filePath);
+        if (DOWNLOAD_PENDING_STATUSES.includes(response.status) || !isZipArchive(head)) {
+            return { ready: false, status: response.status, archive: null, size };
+        }
+        return { ready: true, status: response.status, archive: options.filePath, size };
+    }
+
+    /**
+     * Load a downloaded archive file into memory, refusing archives over config.maxArchiveBytes
+     * @param {string} filePath
+     * @param {number} size - Size of the file in bytes
+     * @returns {Promise<Buffer>}
+     */
+    async loadArchive(filePath, size) {
+        if (size > this.maxArchiveBytes) {
+            throw new Error(`The archive (${size} bytes) exceeds the memory limit of ${this.maxArchiveBytes} bytes. Download it to a file with downloadArchiveToFile() instead.`);
+        }
+        return await readFile(filePath);
+    }
+
+    /**
+     * Extract and parse testlog.json from a result archive. The whole testlog is kept in memory,
+     * so a testlog larger than config.maxTestLogBytes is refused; readParsedTestLog() keeps only
+     * the fields the analysis uses.
+     * @param {Buffer|string} archive - Archive from downloadArchive(), or the path of an archive file
+     * @returns {Promise<Object>}
+     */
+    async readTestLog(archive) {
+        const testLogFile = await this.findTestLogEntry(archive);
+        const maxBytes = this.maxTestLogBytes ?? DEFAULT_MAX_TESTLOG_BYTES;
+        if (testLogFile.uncompressedSize > maxBytes) {
+            throw new Error(`testlog.json (${testLogFile.uncompressedSize} bytes) exceeds the memory limit of ${maxBytes} bytes. Use readParsedTestLog() instead.`);
+        }
+        return JSON.parse((await testLogFile.buffer()).toString('utf-8'));
+    }
+
+    /**
+     * Stream testlog.json out of a result archive and parse it into its summary, steps and
+     * failures, keeping at most config.maxTestLogBytes of it in memory
+     * @param {Buffer|string} archive - Archive from downloadArchive(), or the path of an archive file
+     * @returns {Promise<import('./testlog.js').ParsedTestLog>}
+     */
+    async readParsedTestLog(archive) {
+        const testLogFile = await this.findTestLogEntry(archive);
+        return await parseTestLogStream(testLogFile.stream(), { maxBytes: this.maxTestLogBytes });
+    }
+
+    /**
+     * Download a prepared result archive to a temporary file and parse its testlog.json,
+     * without holding the archive or the whole testlog in memory
+     * @param {string} projectId
+     * @param {string} downloadId
+     * @returns {Promise<{ testLog: import('./testlog.js').ParsedTestLog, archiveSize: number }>}
+     */
+    async fetchParsedTestLog(projectId, downloadId) {
+        return await withTemporaryDirectory(async (dir) => {
+            const archivePath = path.join(dir, 'archive.zip');
+            const archiveSize = await this.downloadArchiveToFile(projectId, downloadId, archivePath);
+            return { testLog: await this.readParsedTestLog(archivePath), archiveSize };
+        });
+    }
+
+    /**
+     * Find the testlog.json entry of a result archive
+     * @param {Buffer|string} archive - Archive from downloadArchive(), or the path of an archive file
+     * @returns {Promise<Object>} The unzipper entry
+     */
+    async findTestLogEntry(archive) {
+        const directory = await openArchive(archive);
+        const testLogFile = directory.files.find(f => f.path.endsWith('testlog.json') && f.type === 'File');
+
+        if (!testLogFile) {
+            throw new Error(`testlog.json not found in archive`);
+        }
+        return testLogFile;
+    }
+
+    /**
+     * List the files in a result archive
+     * @param {Buffer|string} archive - Archive from downloadArchive(), or the path of an archive file
+     * @returns {Promise<ArchiveEntry[]>}
+     */
+    async listArchiveEntries(archive) {
+        const directory = await openArchive(archive);
+        return directory.files
+            .filter(f => f.type === 'File')
+            .map(f => ({
+                path: f.path,
+                size: f.uncompressedSize,
+                compressedSize: f.compressedSize,
+                lastModified: f.lastModifiedDateTime instanceof Date && !Number.isNaN(f.lastModifiedDateTime.getTime())
+                    ? f.lastModifiedDateTime.toISOString()
+                    : null
+            }));
+    }
+
+    /**
+     * Extract one file from a result archive
+     * @param {Buffer|string} archive - Archive from downloadArchive(), or the path of an archive file
+     * @param {string} entryPath - Path of the file inside the archive, as listed by listArchiveEntries()
+     * @param {Object} [options]
+     * @param {number} [options.maxBytes] - Extract only the first maxBytes of the file
+     * @returns {Promise<Buffer>}
+     */
+    async readArchiveEntry(archive, entryPath, options = {}) {
+        const directory = await openArchive(archive);
+        const file = directory.files.find(f => f.type === 'File' && f.path === entryPath);
+
+        if (!file) {
+            throw new Error(`${entryPath} not found in archive`);
+        }
+        if (options.maxBytes === undefined || file.uncompressedSize <= options.maxBytes) {
+            return await file.buffer();
+        }
+
+        // Stop inflating once enough of the file has been read
+        const chunks = [];
+        let length = 0;
+        const stream = file.stream();
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length >= options.maxBytes) break;
+        }
+        stream.destroy();
+        return Buffer.concat(chunks).subarray(0, options.maxBytes);
+    }
+
+    /**
+     * Look up files referenced by the testlog (such as screenshots) in a result archive.
+     * Paths are matched relative to the archive root or to a folder inside it.
+     * @param {Buffer|string} archive - Archive from downloadArchive(), or the path of an archive file
+     * @param {string[]} filePaths - Paths as referenced in the testlog, e.g. screenshots/s3.1.png
+     * @returns {Promise<Map<string, { path: string, size: number, buffer: () => Promise<Buffer> }>>} Found files by requested path; contents are only extracted when buffer() is called
+     */
+    async findArchiveFiles(archive, filePaths) {
+        const directory = await openArchive(archive);
+        const files = directory.files.filter(f => f.type === 'File');
+        const found = new Map();
+
+        for (const filePath of filePaths) {
+            const wanted = String(filePath).replace(/\\/g, '/').replace(/^\.?\//, '');
+            const file = files.find(f => f.path === wanted || f.path.endsWith(`/${wanted}`));
+            if (file) {
+                found.set(filePath, { path: file.path, size: file.uncompressedSize, buffer: () => file.buffer() });
+            }
+        }
+        return found;
+    }
+}
+
+export default DevOpsTestClient;
@@ -0,0 +1,162 @@
+/**
+ * Flakiness Analysis Module
+ *
+ * Tells flaky tests apart from real regressions by looking at the recent history of
+ * each test: how often the verdict flips between consecutive runs, which steps fail,
+ * and whether failures on the same revision happen at different steps. The input is
+ * plain run data (verdicts and the steps parsed from each run's testlog), so the
+ * analysis does not depend on how the history was fetched.
+ */
+
+/**
+ * @typedef {Object} FlakinessRun
+ * @property {string} resultId
+ * @property {string} testName
+ * @property {string|null} verdict - PASS, FAIL, ERROR, ...
+ * @property {string|null} revision - Branch or revision the run was made on
+ * @property {string|null} startTime - ISO 8601 start time, used to order the runs
+ * @property {{ name: string, verdict: string }[]|null} steps - Steps parsed from the testlog, null if unavailable
+ * @property {string[]|null} failingSteps - Names of the failed steps, null if unavailable
+ */
+
+/**
+ * @typedef {Object} TestFlakiness
+ * @property {string} testName
+ * @property {number} runs
+ * @property {number} passed
+ * @property {number} failed - Runs with any verdict other than PASS
+ * @property {number} flipRate - Share of consecutive runs whose outcome differs (0-1)
+ * @property {number} failRate - Share of failed runs (0-1)
+ * @property {number} score - Ranking score; higher is flakier
+ * @property {'flaky'|'failing'|'stable'} classification - failing: every run since the first failure failed at the same step
+ * @property {boolean} inconsistentFailures - Failed at different steps on the same revision
+ * @property {string[]} verdicts - Verdicts oldest first
+ * @property {{ resultId: string, verdict: string|null, revision: string|null, startTime: string|null, failingSteps: string[]|null }[]} evidence - The failed runs
+ * @property {{ name: string, runs: number, failed: number, flipRate: number }[]} steps - Steps whose verdict changed between runs, flakiest first
+ */
+
+// Weight added to the score of tests failing at different steps on the same revision
+const INCONSISTENT_FAILURE_WEIGHT = 0.5;
+
+const STEP_VERDICTS = ['PASS', 'FAIL', 'ERROR'];
+
+const isPass = (verdict) => String(verdict).toUpperCase() === 'PASS';
+
+// Share of consecutive outcomes that differ
+function flipRate(outcomes) {
+    if (outcomes.length < 2) return 0;
+    let flips = 0;
+    for (let i = 1; i < outcomes.length; i++) {
+        if (outcomes[i] !== outcomes[i - 1]) flips++;
+    }
+    return flips / (outcomes.length - 1);
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Per-step flip rates across the runs that have step data
+function analyzeSteps(runs) {
+    const byName = new Map();
+    for (const run of runs) {
+        if (!run.steps) continue;
+        // A step that occurs several times in one run counts as failed if any occurrence failed
+        const verdicts = new Map();
+        for (const step of run.steps) {
+            const verdict = String(step.verdict).toUpperCase();
+            if (!STEP_VERDICTS.includes(verdict)) continue;
+            verdicts.set(step.name, verdicts.get(step.name) === false ? false : verdict === 'PASS');
+        }
+        for (const [name, passed] of verdicts) {
+            if (!byName.has(name)) byName.set(name, []);
+            byName.get(name).push(passed);
+        }
+    }
+
+    return [...byName.entries()]
+        .map(([name, outcomes]) => ({
+            name,
+            runs: outcomes.length,
+            failed: outcomes.filter(passed => !passed).length,
+            flipRate: round(flipRate(outcomes))
+        }))
+        .filter(step => step.flipRate > 0)
+        .sort((a, b) => b.flipRate - a.flipRate || b.failed - a.failed);
+}
+
+// Failed runs on the same revision that stopped at different steps
+function findInconsistentFailures(failedRuns) {
+    const byRevision = new Map();
+    for (const run of failedRuns) {
+        if (!run.failingSteps || run.failingSteps.length === 0) continue;
+        const revision = run.revision || 'unknown';
+        if (!byRevision.has(revision)) byRevision.set(revision, new Set());
+        byRevision.get(revision).add(run.failingSteps[0]);
+    }
+    return [...byRevision.values()].some(firstFailures => firstFailures.size > 1);
+}
+
+/**
+ * Analyze the flakiness of one test from its runs
+ * @param {string} testName
+ * @param {FlakinessRun[]} runs - Runs of the test, in any order
+ * @returns {TestFlakiness}
+ */
+export function analyzeTestFlakiness(testName, runs) {
+    const ordered = [...runs].sort((a, b) => String(a.startTime).localeCompare(String(b.startTime)));
+    const outcomes = ordered.map(run => isPass(run.verdict));
+    const failedRuns = ordered.filter(run => !isPass(run.verdict));
+
+    const rate = flipRate(outcomes);
+    const failRate = ordered.length > 0 ? failedRuns.length / ordered.length : 0;
+    const inconsistentFailures = findInconsistentFailures(failedRuns);
+
+    // Failing in every run since the first failure is a regression rather than flakiness
+    let classification = 'stable';
+    if (failedRuns.length > 0) {
+        const failingSinceFirstFailure = outcomes.slice(outcomes.indexOf(false)).every(passed => !passed);
+        classification = failingSinceFirstFailure && !inconsistentFailures ? 'failing' : 'flaky';
+    }
+
+    return {
+        testName,
+        runs: ordered.length,
+        passed: ordered.length - failedRuns.length,
+        failed: failedRuns.length,
+        flipRate: round(rate),
+        failRate: round(failRate),
+        score: round(rate + (inconsistentFailures ? INCONSISTENT_FAILURE_WEIGHT : 0)),
+        classification,
+        inconsistentFailures,
+        verdicts: ordered.map(run => run.verdict || 'UNKNOWN'),
+        evidence: failedRuns.map(run => ({
+            resultId: run.resultId,
+            verdict: run.verdict,
+            revision: run.revision,
+            startTime: run.startTime,
+            failingSteps: run.failingSteps
+        })),
+        steps: analyzeSteps(ordered)
+    };
+}
+
+/**
+ * Analyze the flakiness of every test in a set of runs, flakiest first
+ * @param {FlakinessRun[]} runs
+ * @returns {TestFlakiness[]}
+ */
+export function analyzeFlakiness(runs) {
+    const byTest = new Map();
+    for (const run of runs) {
+        if (!byTest.has(run.testName)) byTest.set(run.testName, []);
+        byTest.get(run.testName).push(run);
+    }
+
+    return [...byTest.entries()]
+        .map(([testName, testRuns]) => analyzeTestFlakiness(testName, testRuns))
+        .sort((a, b) => (b.classification === 'flaky') - (a.classification === 'flaky')
+            || b.score - a.score
+            || b.failRate - a.failRate
+            || a.testName.localeCompare(b.testName));
+}
+
+export default analyzeFlakiness;
@@ -0,0 +1,224 @@
+/**
+ * Streamable HTTP Server Module
+ *
+ * Serves MCP over the SDK's Streamable HTTP transport so a single hosted instance can
+ * be shared by a whole team. Every MCP session gets its own McpServer and DevOps Test
+ * credentials: the personal access token is supplied by the client in the
+ * X-DevOps-Test-Token header when the session is initialized, and every later request
+ * of that session must present the same token.
+ *
+ * Request bodies are limited in size, the number of sessions is capped, and sessions
+ * left idle are closed.
+ */
+
+import http from 'http';
+import { randomUUID, timingSafeEqual, webcrypto } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createLogger, detachMcpServer } from './logger.js';
+
+/**
+ * Header carrying the DevOps Test personal access token of an HTTP session
+ */
+export const TOKEN_HEADER = 'x-devops-test-token';
+
+// Largest request body accepted, in bytes
+export const DEFAULT_MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Sessions served at the same time
+export const DEFAULT_MAX_SESSIONS = 100;
+
+// Time after which a session without requests is closed, in milliseconds
+export const DEFAULT_SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Longest interval between two checks for idle sessions
+const MAX_IDLE_CHECK_INTERVAL_MS = 60 * 1000;
+
+// The SDK's HTTP transport uses the global crypto, which Node 18 only provides behind a flag
+if (!globalThis.crypto) {
+    globalThis.crypto = webcrypto;
+}
+
+const log = createLogger('http');
+
+// Compare tokens without leaking their contents through timing
+function sameToken(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+function sendJSONRPCError(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+        jsonrpc: '2.0',
+        error: { code: -32000, message },
+        id: null
+    }));
+}
+
+// Read and parse a JSON request body of at most maxBytes; a larger body fails with status 413
+async function readJSONBody(req, maxBytes) {
+    const tooLarge = () => Object.assign(new Error(`Request body exceeds ${maxBytes} bytes`), { status: 413 });
+    if (Number(req.headers['content-length']) > maxBytes) {
+        throw tooLarge();
+    }
+
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of req) {
+        length += chunk.length;
+        if (length > maxBytes) {
+            throw tooLarge();
+        }
+        chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks).toString('utf-8');
+    return body ? JSON.parse(body) : undefined;
+}
+
+/**
+ * Start the Streamable HTTP server
+ *
+ * @param {Object} options
+ * @param {number} options.port - Port to listen on (0 for a random free port)
+ * @param {string} [options.host] - Interface to bind to (default: 127.0.0.1)
+ * @param {string} [options.path] - Path of the MCP endpoint (default: /mcp)
+ * @param {(token: string) => McpServer} options.createSessionServer - Builds the MCP server for a new session
+ * @param {number} [options.maxBodyBytes] - Largest request body accepted (default: 4 MB)
+ * @param {number} [options.maxSessions] - Sessions served at the same time (default: 100)
+ * @param {number} [options.sessionIdleTimeoutMs] - Close sessions without requests for this long (default: 30 minutes)
+ * @returns {Promise<{ url: string, sessions: Map, close: () => Promise<void> }>}
+ */
+export async function startHttpServer(options) {
+    const host = options.host || '127.0.0.1';
+    const endpointPath = options.path || '/mcp';
+    const maxBodyBytes = options.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES;
+    const maxSessions = options.maxSessions ?? DEFAULT_MAX_SESSIONS;
+    const idleTimeoutMs = options.sessionIdleTimeoutMs ?? DEFAULT_SESSION_IDLE_TIMEOUT_MS;
+
+    // sessionId -> { transport, server, token, lastActive }
+    const sessions = new Map();
+
+    // Close the sessions that have not been used within the idle timeout
+    const closeIdleSessions = async () => {
+        const now = Date.now();
+        for (const [id, session] of sessions) {
+            if (now - session.lastActive >= idleTimeoutMs) {
+                log.info(`Session ${id} was idle for ${Math.round((now - session.lastActive) / 1000)}s; closing it`);
+                await session.transport.close();
+            }
+        }
+    };
+    const idleTimer = setInterval(() => {
+        closeIdleSessions().catch(error => log.warning(`Closing idle sessions failed: ${error.message}`));
+    }, Math.min(idleTimeoutMs, MAX_IDLE_CHECK_INTERVAL_MS));
+    // The timer alone must not keep the process running
+    idleTimer.unref?.();
+
+    const handleRequest = async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || host}`);
+        if (url.pathname !== endpointPath) {
+            sendJSONRPCError(res, 404, 'Not found');
+            return;
+        }
+
+        const token = req.headers[TOKEN_HEADER];
+        if (!token) {
+            sendJSONRPCError(res, 401, `Missing ${TOKEN_HEADER} header with a DevOps Test personal access token`);
+            return;
+        }
+
+        const body = req.method === 'POST' ? await readJSONBody(req, maxBodyBytes) : undefined;
+        const sessionId = req.headers['mcp-session-id'];
+
+        if (sessionId) {
+            const session = sessions.get(sessionId);
+            if (!session) {
+                sendJSONRPCError(res, 404, 'Session not found');
+                return;
+            }
+            if (!sameToken(token, session.token)) {
+                sendJSONRPCError(res, 403, 'Token does not match the token this session was initialized with');
+                return;
+            }
+            session.lastActive = Date.now();
+            await session.transport.handleRequest(req, res, body);
+            return;
+        }
+
+        if (req.method !== 'POST' || !isInitializeRequest(body)) {
+            sendJSONRPCError(res, 400, 'Bad Request: No valid session ID provided');
+            return;
+        }
+
+        if (sessions.size >= maxSessions) {
+            sendJSONRPCError(res, 503, `The server already serves ${maxSessions} sessions; try again later`);
+            return;
+        }
+
+        // New session: its own MCP server and DevOps Test client, bound to the caller's token
+        const server = options.createSessionServer(token);
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => {
+                sessions.set(id, { transport, server, token, lastActive: Date.now() });
+                log.info(`Session ${id} initialized`, { sessions: sessions.size });
+            }
+        });
+        transport.onclose = () => {
+            if (transport.sessionId && sessions.delete(transport.sessionId)) {
+                log.info(`Session ${transport.sessionId} closed`, { sessions: sessions.size });
+            }
+            detachMcpServer(server);
+        };
+
+        try {
+            await server.connect(transport);
+            await transport.handleRequest(req, res, body);
+        } finally {
+            // A session whose initialization failed is never used again
+            if (!transport.sessionId || !sessions.has(transport.sessionId)) {
+                await server.close();
+            }
+        }
+    };
+
+    const httpServer = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            if (error.status === 413) {
+                log.warning(`Rejected ${req.method} ${req.url}: ${error.message}`);
+                res.setHeader('Connection', 'close');
+                sendJSONRPCError(res, 413, error.message);
+                return;
+            }
+            log.error(`Error handling ${req.method} ${req.url}: ${error.message}`);
+            if (!res.headersSent) {
+                sendJSONRPCError(res, error instanceof SyntaxError ? 400 : 500, error instanceof SyntaxError ? 'Parse error' : 'Internal server error');
+            }
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(options.port, host, resolve);
+    });
+
+    const { port } = httpServer.address();
+    const url = `http://${host}:${port}${endpointPath}`;
+    log.info(`MCP Streamable HTTP server listening on ${url}`);
+
+    return {
+        url,
+        sessions,
+        async close() {
+            clearInterval(idleTimer);
+            for (const { transport } of sessions.values()) {
+                await transport.close();
+            }
+            await new Promise(resolve => httpServer.close(resolve));
+        }
+    };
+}
+
+export default startHttpServer;
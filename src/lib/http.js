@@ -0,0 +1,160 @@
+/**
+ * HTTP Request Module
+ *
+ * The request layer shared by DevOpsTestClient and SimpleAuth. Every request gets a
+ * timeout, and is retried with exponential back-off and jitter when the server is
+ * overloaded or briefly unavailable (429, 502, 503, 504), honoring Retry-After. A 401
+ * lets the caller renew its access token before the request is sent once more.
+ *
+ * Requests that are not idempotent (POST by default) may have been processed even
+ * though their response was lost, so they are only retried when the server says it
+ * did not process them: on 429 and on 401. Network errors, timeouts and gateway
+ * errors are returned or thrown for those requests without another attempt.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('http');
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [timeoutMs] - Time to wait for the response headers of one attempt (default: 30 s)
+ * @property {number} [retries] - Attempts after the first one (default: 3)
+ * @property {number} [retryDelayMs] - Base delay of the exponential back-off (default: 500 ms)
+ * @property {boolean} [idempotent] - Whether the request may be sent again after a network error,
+ *   timeout or gateway error (default: true except for POST and PATCH)
+ * @property {() => Promise<void>|void} [onUnauthorized] - Called once on a 401 before the request is sent again,
+ *   e.g. to clear the access token; without it a 401 is returned as is
+ */
+
+export const DEFAULT_TIMEOUT_MS = 30000;
+
+export const DEFAULT_RETRIES = 3;
+
+export const DEFAULT_RETRY_DELAY_MS = 500;
+
+// Statuses of an overloaded or briefly unavailable server
+export const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// Longest back-off between two attempts
+const MAX_BACKOFF_MS = 10000;
+
+// Longest Retry-After that is waited for; a longer one is returned to the caller
+const MAX_RETRY_AFTER_MS = 60000;
+
+const NON_IDEMPOTENT_METHODS = ['POST', 'PATCH'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request may succeed when sent again later: network errors, timeouts,
+ * server errors (5xx) and 429. Other errors, such as 404 or 403, will not go away by waiting.
+ * @param {Error} error - Error thrown by fetch() or DevOpsTestClient, carrying `status` for an HTTP error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+    if (error?.status) {
+        return error.status === 429 || error.status >= 500;
+    }
+    return error?.code === 'ETIMEDOUT' || (error instanceof TypeError && error.message === 'fetch failed');
+}
+
+/**
+ * Delay requested by a Retry-After header, given in seconds or as an HTTP date
+ * @param {string|null} header
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} Milliseconds, null when the header is missing or invalid
+ */
+export function retryAfterMs(header, now = Date.now()) {
+    if (!header) return null;
+    if (/^\d+$/.test(header.trim())) return Number(header.trim()) * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Back-off before a retry: a random delay of up to retryDelayMs * 2^retry ("full jitter")
+ * @param {number} retry - Retries done so far
+ * @param {number} [retryDelayMs]
+ * @param {() => number} [random]
+ * @returns {number} Milliseconds
+ */
+export function backoffDelay(retry, retryDelayMs = DEFAULT_RETRY_DELAY_MS, random = Math.random) {
+    return Math.round(random() * Math.min(MAX_BACKOFF_MS, retryDelayMs * 2 ** retry));
+}
+
+/**
+ * fetch() that fails when the response headers do not arrive in time. The body of a
+ * response is not subject to the timeout, so large downloads can take as long as they need.
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {number} [timeoutMs]
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithTimeout(url, init, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            const timeout = new Error(`${init.method || 'GET'} ${url} timed out after ${timeoutMs / 1000} seconds`);
+            timeout.code = 'ETIMEDOUT';
+            throw timeout;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Send a request with a timeout per attempt, retrying as described above
+ * @param {string} url
+ * @param {RequestInit|(() => Promise<RequestInit>)} init - Request, or a function building it for every attempt
+ *   (so headers such as Authorization can change between attempts)
+ * @param {RetryPolicy} [policy]
+ * @returns {Promise<Response>} The last response, whatever its status
+ */
+export async function fetchWithRetry(url, init, policy = {}) {
+    const { timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, retryDelayMs = DEFAULT_RETRY_DELAY_MS, onUnauthorized } = policy;
+    let reauthenticated = false;
+
+    for (let retry = 0; ; retry++) {
+        const request = typeof init === 'function' ? await init() : init;
+        const method = (request.method || 'GET').toUpperCase();
+        const idempotent = policy.idempotent ?? !NON_IDEMPOTENT_METHODS.includes(method);
+
+        let response;
+        try {
+            response = await fetchWithTimeout(url, request, timeoutMs);
+        } catch (error) {
+            if (!idempotent || retry >= retries) throw error;
+            const delayMs = backoffDelay(retry, retryDelayMs);
+            log.warning(`${method} ${url} failed (${error.message}); retrying in ${delayMs} ms`);
+            await sleep(delayMs);
+            continue;
+        }
+
+        // The access token was revoked or has expired: renew it and send the request once more
+        if (response.status === 401 && onUnauthorized && !reauthenticated) {
+            reauthenticated = true;
+            await response.body?.cancel();
+            log.info(`${method} ${url} was rejected with HTTP 401; renewing the access token`);
+            await onUnauthorized();
+            retry--;
+            continue;
+        }
+
+        if (!RETRYABLE_STATUSES.includes(response.status) || retry >= retries || (!idempotent && response.status !== 429)) {
+            return response;
+        }
+        const delayMs = retryAfterMs(response.headers.get('retry-after')) ?? backoffDelay(retry, retryDelayMs);
+        if (delayMs > MAX_RETRY_AFTER_MS) {
+            return response;
+        }
+        await response.body?.cancel();
+        log.warning(`${method} ${url} returned HTTP ${response.status}; retrying in ${delayMs} ms`);
+        await sleep(delayMs);
+    }
+}
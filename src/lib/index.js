@@ -0,0 +1,17 @@
+/**
+ * Library entry point
+ *
+ * Exports the DevOps Test client and authentication for use from Node scripts and CI jobs.
+ * The MCP server itself is started through the mcp-devops-test bin (src/lib/server.js).
+ */
+
+export { DevOpsTestClient, DEFAULT_TEST_TYPES, createNameMatcher } from './devops-test-client.js';
+export { SimpleAuth, createSimpleAuthFromEnv } from './simple-auth.js';
+export { ConnectionProfiles, loadProfilesFile, defaultProfilesPath } from './profiles.js';
+export { CredentialChain, credentialSources } from './credentials.js';
+export { analyzeFlakiness, analyzeTestFlakiness } from './flakiness.js';
+export { compareSteps, alignSteps } from './result-comparison.js';
+export { analyzePerformance, evaluateSLAs } from './performance.js';
+export { toJUnitXML } from './junit.js';
+export { parseTestLog, parseTestLogStream, buildStepTree, analyzeTiming } from './testlog.js';
+export { DevOpsTestClient as default } from './devops-test-client.js';
@@ -0,0 +1,135 @@
+/**
+ * JUnit XML Module
+ *
+ * Converts a parsed testlog (the output of parseTestLog) into JUnit XML for CI
+ * dashboards such as Jenkins and GitLab. Every step that has child steps becomes a
+ * <testsuite> named after its position in the step tree, and every leaf step becomes a
+ * <testcase> in the suite of its parent. Failed steps carry their reason, message and
+ * stacktrace; screenshots are referenced with the [[ATTACHMENT|path]] convention.
+ */
+
+import { buildStepTree } from './testlog.js';
+
+/**
+ * @typedef {Object} JUnitReport
+ * @property {string} xml
+ * @property {number} tests - Number of test cases
+ * @property {number} failures
+ * @property {number} errors
+ * @property {number} suites
+ */
+
+const SEPARATOR = ' › ';
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text for use in XML attribute values and text content
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeXML(value) {
+    return String(value ?? '')
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+const seconds = (ms) => (typeof ms === 'number' ? ms / 1000 : 0).toFixed(3);
+
+const timestamp = (time) => {
+    if (time === undefined || time === null) return null;
+    const date = new Date(time);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().replace(/\.\d{3}Z$/, '');
+};
+
+const verdictOf = (step) => String(step.verdict || '').toUpperCase();
+
+/**
+ * Convert a parsed testlog to JUnit XML
+ * @param {{ summary: Object, steps: Object[], failures: Object[] }} testLog - Output of parseTestLog()
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name of the report (default: the name of the root step)
+ * @returns {JUnitReport}
+ */
+export function toJUnitXML(testLog, options = {}) {
+    const failuresByStep = new Map(testLog.failures.map(failure => [failure.stepId, failure]));
+    const roots = buildStepTree(testLog.steps);
+    const name = options.name || roots[0]?.step.name || 'DevOps Test';
+
+    const suites = [];
+    const suiteFor = (suiteName, startTime) => {
+        let suite = suites.find(s => s.name === suiteName);
+        if (!suite) {
+            suite = { name: suiteName, startTime, cases: [] };
+            suites.push(suite);
+        }
+        return suite;
+    };
+
+    // The rolled-up verdict of a child covers the child and every step below it
+    const hasFailingDescendant = (node) => node.children.some(child => ['FAIL', 'ERROR'].includes(verdictOf(child)));
+
+    const visit = (node, suiteName) => {
+        const { step } = node;
+        if (node.children.length === 0) {
+            suiteFor(suiteName, step.startTime).cases.push({ step, classname: suiteName });
+            return;
+        }
+        const ownSuite = suiteName === null ? String(step.name) : `${suiteName}${SEPARATOR}${step.name}`;
+        const suite = suiteFor(ownSuite, step.startTime);
+        // A step that failed without any failing child step reports the failure itself
+        if (['FAIL', 'ERROR'].includes(verdictOf(step)) && !hasFailingDescendant(node)) {
+            suite.cases.push({ step, classname: ownSuite });
+        }
+        node.children.forEach(child => visit(child, ownSuite));
+    };
+    roots.forEach(root => visit(root, root.children.length > 0 ? null : name));
+
+    const totals = { tests: 0, failures: 0, errors: 0, time: 0 };
+    const suiteXML = suites.filter(suite => suite.cases.length > 0).map(suite => {
+        const counts = { tests: suite.cases.length, failures: 0, errors: 0, time: 0 };
+        const cases = suite.cases.map(({ step, classname }) => {
+            const verdict = verdictOf(step);
+            counts.time += typeof step.duration === 'number' ? step.duration : 0;
+            let xml = `    <testcase name="${escapeXML(step.name)}" classname="${escapeXML(classname)}" time="${seconds(step.duration)}"`;
+            if (verdict !== 'FAIL' && verdict !== 'ERROR') {
+                return `${xml}/>`;
+            }
+
+            const failure = failuresByStep.get(step.id) || {};
+            const element = verdict === 'ERROR' ? 'error' : 'failure';
+            counts[verdict === 'ERROR' ? 'errors' : 'failures']++;
+            const message = failure.message || failure.reason || `Step verdict ${verdict}`;
+            xml += `>\n      <${element} message="${escapeXML(message)}" type="${escapeXML(failure.reason || verdict)}">`;
+            xml += escapeXML(failure.stacktrace || message);
+            xml += `</${element}>\n`;
+            if (failure.screenshot) {
+                xml += `      <system-out>[[ATTACHMENT|${escapeXML(failure.screenshot)}]]</system-out>\n`;
+            }
+            return `${xml}    </testcase>`;
+        });
+
+        totals.tests += counts.tests;
+        totals.failures += counts.failures;
+        totals.errors += counts.errors;
+        totals.time += counts.time;
+        const started = timestamp(suite.startTime);
+        return `  <testsuite name="${escapeXML(suite.name)}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="0" time="${seconds(counts.time)}"${started ? ` timestamp="${started}"` : ''}>\n` +
+            `${cases.join('\n')}\n  </testsuite>`;
+    });
+
+    const time = typeof testLog.summary?.duration === 'number' ? testLog.summary.duration : totals.time;
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>\n` +
+        `<testsuites name="${escapeXML(name)}" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" time="${seconds(time)}">\n` +
+        (suiteXML.length > 0 ? `${suiteXML.join('\n')}\n` : '') +
+        `</testsuites>\n`;
+
+    return { xml, tests: totals.tests, failures: totals.failures, errors: totals.errors, suites: suiteXML.length };
+}
+
+export default toJUnitXML;
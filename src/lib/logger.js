@@ -0,0 +1,211 @@
+/**
+ * Logger Module
+ *
+ * Protocol-safe logging for the MCP server. Under the stdio transport stdout is the
+ * JSON-RPC channel, so log lines go to stderr (or a log file) and never to stdout.
+ * When an MCP client sets a log level with logging/setLevel, messages at or above
+ * that level are also forwarded to it as notifications/message. Only messages logged
+ * while handling that client's own requests are forwarded, so with several sessions
+ * (HTTP transport) no client sees what another client's requests logged.
+ *
+ * Secret values (tokens) registered with registerSecret() and string values of keys
+ * ending in token, authorization, password or secret are redacted before anything is written.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { appendFileSync } from 'fs';
+import { SetLevelRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Log levels in order of severity (same names as MCP logging levels)
+ */
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+const LEVEL_ALIASES = { warn: 'warning', err: 'error', fatal: 'critical' };
+const SENSITIVE_KEY_PATTERN = /(token|authorization|password|secret)$/i;
+const REDACTED = '[REDACTED]';
+
+// Shared logger state, configured once at startup by configureLogger()
+const state = {
+    level: 'info',
+    format: 'text',
+    file: null,
+    secrets: new Map(), // secret -> number of registrations still in use
+    mcpServers: new Map() // McpServer -> log level set by its client (null until set)
+};
+
+// McpServer whose request is being handled, carried through every async call and timer it starts
+const currentServer = new AsyncLocalStorage();
+
+/**
+ * Normalize a level name, accepting common aliases (warn, err, fatal)
+ */
+export function normalizeLevel(level) {
+    if (!level) return null;
+    const name = String(level).toLowerCase();
+    const normalized = LEVEL_ALIASES[name] || name;
+    if (!LOG_LEVELS.includes(normalized)) {
+        throw new Error(`Invalid log level "${level}". Use one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    return normalized;
+}
+
+/**
+ * Configure level, output format ("text" or "json") and optional log file
+ */
+export function configureLogger(options = {}) {
+    if (options.level) state.level = normalizeLevel(options.level);
+    if (options.format) {
+        if (!['text', 'json'].includes(options.format)) {
+            throw new Error(`Invalid log format "${options.format}". Use "text" or "json"`);
+        }
+        state.format = options.format;
+    }
+    if (options.file !== undefined) state.file = options.file || null;
+}
+
+/**
+ * Register a secret value (e.g. a token) that must never appear in log output
+ */
+export function registerSecret(value) {
+    if (value && String(value).length >= 4) {
+        state.secrets.set(String(value), (state.secrets.get(String(value)) ?? 0) + 1);
+    }
+}
+
+/**
+ * Stop redacting a secret that is no longer in use (e.g. a replaced access token). A secret
+ * registered several times, such as the token of two HTTP sessions, stays redacted until
+ * every registration is undone.
+ */
+export function unregisterSecret(value) {
+    const count = value ? state.secrets.get(String(value)) : undefined;
+    if (count === undefined) return;
+    if (count > 1) {
+        state.secrets.set(String(value), count - 1);
+    } else {
+        state.secrets.delete(String(value));
+    }
+}
+
+/**
+ * Redact registered secrets and sensitive keys from a string or structured value
+ */
+export function redact(value) {
+    if (typeof value === 'string') {
+        let text = value.replace(/Bearer\s+[^\s"']+/g, `Bearer ${REDACTED}`);
+        for (const secret of state.secrets.keys()) {
+            text = text.split(secret).join(REDACTED);
+        }
+        return text;
+    }
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: redact(value.message) };
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = SENSITIVE_KEY_PATTERN.test(key) && typeof item === 'string' ? REDACTED : redact(item);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Forward log messages to the client of an MCP server once it sets a log level.
+ * Must be called before tools and resources are registered and before the server
+ * is connected to its transport, so that its request handlers run in its log context.
+ */
+export function attachMcpServer(mcpServer) {
+    const lowLevelServer = mcpServer.server;
+    lowLevelServer.registerCapabilities({ logging: {} });
+    lowLevelServer.setRequestHandler(SetLevelRequestSchema, async (request) => {
+        state.mcpServers.set(mcpServer, normalizeLevel(request.params.level));
+        return {};
+    });
+
+    // Messages logged while a request of this server is handled go to its client only
+    const setRequestHandler = lowLevelServer.setRequestHandler.bind(lowLevelServer);
+    lowLevelServer.setRequestHandler = (schema, handler) => setRequestHandler(schema, (request, extra) => currentServer.run(mcpServer, () => handler(request, extra)));
+    state.mcpServers.set(mcpServer, null);
+}
+
+/**
+ * Stop forwarding log messages to an MCP server (e.g. when its session closes)
+ */
+export function detachMcpServer(mcpServer) {
+    state.mcpServers.delete(mcpServer);
+}
+
+const severity = (level) => LOG_LEVELS.indexOf(level);
+
+function write(level, component, message, data) {
+    const safeMessage = redact(String(message));
+    const safeData = data === undefined ? undefined : redact(data);
+
+    if (severity(level) >= severity(state.level)) {
+        let line;
+        if (state.format === 'json') {
+            const entry = { time: new Date().toISOString(), level, component, message: safeMessage };
+            if (safeData !== undefined) entry.data = safeData;
+            line = JSON.stringify(entry);
+        } else {
+            line = `${new Date().toISOString()} [${level}] [${component}] ${safeMessage}`;
+            if (safeData !== undefined) line += ` ${JSON.stringify(safeData)}`;
+        }
+
+        if (state.file) {
+            try {
+                appendFileSync(state.file, line + '\n');
+            } catch (error) {
+                process.stderr.write(`${line}\n`);
+            }
+        } else {
+            process.stderr.write(`${line}\n`);
+        }
+    }
+
+    // Messages logged outside any request (e.g. at startup) are not forwarded to any client
+    const mcpServer = currentServer.getStore();
+    const clientLevel = mcpServer ? state.mcpServers.get(mcpServer) : null;
+    if (!clientLevel || severity(level) < severity(clientLevel) || !mcpServer.isConnected()) return;
+    mcpServer.sendLoggingMessage({
+        level,
+        logger: component,
+        data: safeData === undefined ? safeMessage : { message: safeMessage, data: safeData }
+    }).catch(() => {
+        // Never let a failed notification break the caller or recurse into the logger
+    });
+}
+
+/**
+ * Logger for one component; messages carry the component name
+ */
+export class Logger {
+    constructor(component) {
+        this.component = component;
+    }
+
+    child(component) {
+        return new Logger(`${this.component}:${component}`);
+    }
+
+    debug(message, data) { write('debug', this.component, message, data); }
+    info(message, data) { write('info', this.component, message, data); }
+    notice(message, data) { write('notice', this.component, message, data); }
+    warning(message, data) { write('warning', this.component, message, data); }
+    error(message, data) { write('error', this.component, message, data); }
+}
+
+/**
+ * Create a logger for a component (e.g. "server", "auth")
+ */
+export function createLogger(component) {
+    return new Logger(component);
+}
+
+export default createLogger;
@@ -0,0 +1,237 @@
+/**
+ * Performance Analysis Module
+ *
+ * Interprets the performance data of a schedule result (VUSCHEDULE, RATESCHEDULE and
+ * PERF runs): response-time percentiles, throughput and error rate overall and per
+ * transaction or page, the virtual-user ramp, and pass/fail evaluation of service level
+ * agreements (SLAs) so load tests can gate releases. The input is the JSON returned by
+ * the /performance endpoint of a result. Field names differ between server versions, so
+ * the common spellings are accepted (see PerformanceData).
+ */
+
+/**
+ * @typedef {Object} PerformanceData
+ * @property {Object[]} [transactions] - Per transaction or page (also read from pages, elements or requests):
+ *   name or label; raw responseTimes or samples in milliseconds; count, hits or attempts; errors, failures or failed;
+ *   average, mean or averageResponseTime; max; p50/p90/p95/p99 or percentiles: { "50": ms, ... }
+ * @property {Object} [summary] - Overall figures with the same fields, used when they cannot be computed from the transactions
+ * @property {Array<{ time: number, users: number }>} [users] - Active virtual users over time (also read from virtualUsers or vuRamp);
+ *   time in seconds from the start or as an epoch timestamp in milliseconds, users also read from count or value
+ * @property {number} [durationSeconds] - Length of the run; otherwise duration (ms) or endTime - startTime
+ */
+
+/**
+ * @typedef {Object} ResponseTimeStats
+ * @property {number} count - Number of requests
+ * @property {number} errors - Failed requests
+ * @property {number|null} errorRate - Share of failed requests (0-1)
+ * @property {number|null} throughput - Requests per second
+ * @property {number|null} average - Milliseconds
+ * @property {number|null} max - Milliseconds
+ * @property {number|null} p50
+ * @property {number|null} p90
+ * @property {number|null} p95
+ * @property {number|null} p99
+ */
+
+/**
+ * @typedef {Object} SLA
+ * @property {'p50'|'p90'|'p95'|'p99'|'average'|'max'|'errorRate'|'throughput'} metric
+ * @property {number} threshold - Milliseconds for response times, 0-1 for errorRate, requests per second for throughput
+ * @property {string} [transaction] - Transaction or page the SLA applies to (default: all requests)
+ * @property {'<'|'<='|'>'|'>='} [operator] - Default: '>=' for throughput, '<=' for every other metric
+ */
+
+/**
+ * @typedef {Object} SLAResult
+ * @property {string} metric
+ * @property {string|null} transaction
+ * @property {string} operator
+ * @property {number} threshold
+ * @property {number|null} actual - null when the data has no value for the metric
+ * @property {boolean} passed - false when the data has no value for the metric
+ */
+
+/**
+ * @typedef {Object} PerformanceAnalysis
+ * @property {number|null} durationSeconds
+ * @property {ResponseTimeStats} overall
+ * @property {Array<ResponseTimeStats & { name: string }>} transactions - Slowest (p95) first
+ * @property {{ peakUsers: number|null, rampUpSeconds: number|null, points: Array<{ seconds: number, users: number }> }} users
+ * @property {SLAResult[]} slas
+ * @property {boolean|null} slasPassed - null when no SLA was given
+ */
+
+export const PERCENTILES = [50, 90, 95, 99];
+
+export const SLA_METRICS = ['p50', 'p90', 'p95', 'p99', 'average', 'max', 'errorRate', 'throughput'];
+
+// Timestamps above this are epoch milliseconds rather than seconds from the start of the run
+const EPOCH_MS_THRESHOLD = 1e11;
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+const firstNumber = (...values) => {
+    for (const value of values) {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number === 'number' && Number.isFinite(number)) return number;
+    }
+    return null;
+};
+
+/**
+ * Nearest-rank percentile of a list of numbers
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} null for an empty list
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+// Raw response times of a transaction, in milliseconds
+function samplesOf(entry) {
+    const samples = entry.responseTimes ?? entry.samples;
+    if (!Array.isArray(samples)) return null;
+    return samples
+        .map(sample => (typeof sample === 'object' && sample !== null ? firstNumber(sample.responseTime, sample.elapsed, sample.value) : firstNumber(sample)))
+        .filter(value => value !== null);
+}
+
+// Response time statistics of one transaction, or of the summary, from raw samples or reported figures
+function statsOf(entry, durationSeconds) {
+    const samples = samplesOf(entry);
+    const sorted = samples ? samples.sort((a, b) => a - b) : null;
+    const count = firstNumber(entry.count, entry.hits, entry.attempts, entry.requests) ?? (sorted ? sorted.length : 0);
+    const errors = firstNumber(entry.errors, entry.failures, entry.failed) ?? 0;
+
+    const stats = {
+        count,
+        errors,
+        errorRate: count > 0 ? round(errors / count) : null,
+        throughput: firstNumber(entry.throughput) ?? (durationSeconds ? round(count / durationSeconds) : null),
+        average: firstNumber(entry.average, entry.mean, entry.averageResponseTime) ?? (sorted?.length ? round(sorted.reduce((a, b) => a + b, 0) / sorted.length) : null),
+        max: firstNumber(entry.max, entry.maxResponseTime) ?? (sorted?.length ? sorted[sorted.length - 1] : null)
+    };
+    for (const p of PERCENTILES) {
+        stats[`p${p}`] = sorted?.length ? percentile(sorted, p) : firstNumber(entry[`p${p}`], entry.percentiles?.[p], entry.percentiles?.[`p${p}`]);
+    }
+    return { stats, sorted };
+}
+
+// Length of the run in seconds
+function durationOf(data) {
+    const seconds = firstNumber(data.durationSeconds, data.summary?.durationSeconds);
+    if (seconds !== null) return seconds;
+    const ms = firstNumber(data.duration, data.summary?.duration);
+    if (ms !== null) return ms / 1000;
+    const toMillis = (time) => (typeof time === 'string' && !/^\d+$/.test(time) ? Date.parse(time) : firstNumber(time));
+    const start = toMillis(data.startTime);
+    const end = toMillis(data.endTime);
+    return Number.isFinite(start) && Number.isFinite(end) && end > start ? (end - start) / 1000 : null;
+}
+
+// Active virtual users over time, with times in seconds from the first point
+function usersOf(data) {
+    const points = (data.users ?? data.virtualUsers ?? data.vuRamp ?? [])
+        .map(point => ({ time: firstNumber(point.time, point.seconds, point.timestamp), users: firstNumber(point.users, point.count, point.value) }))
+        .filter(point => point.time !== null && point.users !== null)
+        .sort((a, b) => a.time - b.time);
+    if (points.length === 0) return { peakUsers: null, rampUpSeconds: null, points: [] };
+
+    const scale = points[points.length - 1].time > EPOCH_MS_THRESHOLD ? 1000 : 1;
+    const start = points[0].time;
+    const normalized = points.map(point => ({ seconds: round((point.time - start) / scale), users: point.users }));
+    const peakUsers = Math.max(...normalized.map(point => point.users));
+    return {
+        peakUsers,
+        rampUpSeconds: normalized.find(point => point.users === peakUsers).seconds,
+        points: normalized
+    };
+}
+
+const compare = {
+    '<': (actual, threshold) => actual < threshold,
+    '<=': (actual, threshold) => actual <= threshold,
+    '>': (actual, threshold) => actual > threshold,
+    '>=': (actual, threshold) => actual >= threshold
+};
+
+/**
+ * Evaluate SLAs against analyzed performance statistics
+ * @param {SLA[]} slas
+ * @param {ResponseTimeStats} overall
+ * @param {Array<ResponseTimeStats & { name: string }>} transactions
+ * @returns {SLAResult[]}
+ */
+export function evaluateSLAs(slas, overall, transactions) {
+    return slas.map(sla => {
+        if (!SLA_METRICS.includes(sla.metric)) {
+            throw new Error(`Unknown SLA metric "${sla.metric}". Use one of: ${SLA_METRICS.join(', ')}`);
+        }
+        const operator = sla.operator || (sla.metric === 'throughput' ? '>=' : '<=');
+        if (!compare[operator]) {
+            throw new Error(`Unknown SLA operator "${sla.operator}". Use one of: ${Object.keys(compare).join(', ')}`);
+        }
+        const transaction = sla.transaction ?? null;
+        const stats = transaction === null ? overall : transactions.find(t => t.name === transaction);
+        const actual = stats?.[sla.metric] ?? null;
+        return {
+            metric: sla.metric,
+            transaction,
+            operator,
+            threshold: sla.threshold,
+            actual,
+            passed: actual !== null && compare[operator](actual, sla.threshold)
+        };
+    });
+}
+
+/**
+ * Analyze the performance data of a result
+ * @param {PerformanceData} data - Response of the /performance endpoint
+ * @param {Object} [options]
+ * @param {SLA[]} [options.slas] - SLAs to evaluate
+ * @returns {PerformanceAnalysis}
+ */
+export function analyzePerformance(data, options = {}) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('The result has no performance data');
+    }
+    const durationSeconds = durationOf(data);
+    const entries = data.transactions ?? data.pages ?? data.elements ?? data.requests ?? [];
+
+    const allSamples = [];
+    let samplesComplete = entries.length > 0;
+    const transactions = entries.map((entry, index) => {
+        const { stats, sorted } = statsOf(entry, durationSeconds);
+        if (sorted) allSamples.push(...sorted);
+        else samplesComplete = false;
+        return { name: String(entry.name ?? entry.label ?? `Transaction ${index + 1}`), ...stats };
+    });
+
+    // Overall percentiles need every sample; without them the figures reported in the summary are used
+    const summary = data.summary ?? {};
+    const overall = statsOf({
+        ...summary,
+        responseTimes: samplesComplete ? allSamples : summary.responseTimes,
+        count: firstNumber(summary.count, summary.hits, summary.attempts, summary.requests) ?? transactions.reduce((sum, t) => sum + t.count, 0),
+        errors: firstNumber(summary.errors, summary.failures, summary.failed) ?? transactions.reduce((sum, t) => sum + t.errors, 0)
+    }, durationSeconds).stats;
+
+    transactions.sort((a, b) => (b.p95 ?? -1) - (a.p95 ?? -1));
+
+    const slas = evaluateSLAs(options.slas || [], overall, transactions);
+    return {
+        durationSeconds,
+        overall,
+        transactions,
+        users: usersOf(data),
+        slas,
+        slasPassed: slas.length > 0 ? slas.every(sla => sla.passed) : null
+    };
+}
+
+export default analyzePerformance;
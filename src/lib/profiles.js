@@ -0,0 +1,175 @@
+/**
+ * Connection Profiles Module
+ *
+ * Named connections to DevOps Test servers, so one MCP server can work against several
+ * instances and teamspaces (staging and production, for example). Profiles are read
+ * from a JSON file:
+ *
+ *   {
+ *     "defaultProfile": "staging",
+ *     "profiles": {
+ *       "staging": { "serverURL": "https://staging.example.com/test", "teamspaceId": "...", "tokenEnv": "STAGING_TOKEN" },
+ *       "production": { "serverURL": "https://devops.example.com/test", "teamspaceId": "...", "credentialHelper": "pass show devops/production" }
+ *     }
+ *   }
+ *
+ * The token of a profile comes from token, tokenEnv, tokenFile or credentialHelper, resolved
+ * through the same credential chain as the command line options (see credentials.js).
+ * Every profile gets its own client, and so its own SimpleAuth and access token.
+ * Clients are created on first use. With a profiles file, the server URL, teamspace and
+ * token options of the command line and environment are not used (see getConfig()).
+ */
+
+import { readFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { CredentialChain, credentialSources } from './credentials.js';
+
+/**
+ * @typedef {Object} ConnectionProfile
+ * @property {string} serverURL - URL of the DevOps Test instance
+ * @property {string} teamspaceId
+ * @property {string} [token] - Personal access token
+ * @property {string} [tokenEnv] - Environment variable holding the personal access token
+ * @property {string} [tokenFile] - File holding the personal access token, readable only by its owner
+ * @property {string} [credentialHelper] - Command printing the personal access token
+ * @property {CredentialChain} [credentials] - Chain to use instead of one built from the fields above
+ */
+
+/**
+ * @typedef {Object} ProfileSummary
+ * @property {string} name
+ * @property {string} serverURL
+ * @property {string} teamspaceId
+ * @property {boolean} isDefault
+ * @property {string|null} tokenSource - Where the token comes from, e.g. "STAGING_TOKEN environment variable (tokenEnv of profile "staging")"
+ */
+
+/**
+ * Default profiles file: $XDG_CONFIG_HOME/mcp-devops-test/profiles.json, or ~/.config/mcp-devops-test/profiles.json
+ * @param {Object} [env] - Environment to read XDG_CONFIG_HOME from
+ * @returns {string}
+ */
+export function defaultProfilesPath(env = process.env) {
+    const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(base, 'mcp-devops-test', 'profiles.json');
+}
+
+/**
+ * Read and validate a profiles file
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {boolean} [options.optional] - Return null instead of failing when the file does not exist
+ * @returns {{ path: string, defaultProfile: string, profiles: Object<string, ConnectionProfile> }|null}
+ */
+export function loadProfilesFile(filePath, options = {}) {
+    let text;
+    try {
+        text = readFileSync(filePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT' && options.optional) return null;
+        throw new Error(`Cannot read profiles file ${filePath}: ${error.message}`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Profiles file ${filePath} is not valid JSON: ${error.message}`);
+    }
+
+    const profiles = data?.profiles;
+    if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles) || Object.keys(profiles).length === 0) {
+        throw new Error(`Profiles file ${filePath} has no profiles. Add a "profiles" object with one entry per connection.`);
+    }
+    for (const [name, profile] of Object.entries(profiles)) {
+        for (const field of ['serverURL', 'teamspaceId']) {
+            if (typeof profile?.[field] !== 'string' || profile[field] === '') {
+                throw new Error(`Profile "${name}" in ${filePath} has no ${field}`);
+            }
+        }
+    }
+
+    const defaultProfile = data.defaultProfile ?? Object.keys(profiles)[0];
+    if (!profiles[defaultProfile]) {
+        throw new Error(`Default profile "${defaultProfile}" is not defined in ${filePath}`);
+    }
+    return { path: filePath, defaultProfile, profiles };
+}
+
+export class ConnectionProfiles {
+    /**
+     * @param {Object} config
+     * @param {Object<string, ConnectionProfile>} config.profiles
+     * @param {string} config.defaultProfile - Name of the profile used when a tool names none
+     * @param {(profile: ConnectionProfile, name: string) => Object} config.createClient - Create the client of a profile;
+     *   the profile passed in always has its credentials set
+     * @param {string|null} [config.path] - Profiles file the profiles were read from
+     */
+    constructor(config) {
+        if (!config.profiles[config.defaultProfile]) {
+            throw new Error(`Default profile "${config.defaultProfile}" is not defined`);
+        }
+        this.profiles = config.profiles;
+        this.defaultProfile = config.defaultProfile;
+        this.createClient = config.createClient;
+        this.path = config.path ?? null;
+        this.clients = new Map();
+    }
+
+    /**
+     * Credential chain of a profile
+     * @param {string} name
+     * @returns {CredentialChain}
+     */
+    credentialsOf(name) {
+        const profile = this.profiles[name];
+        return profile.credentials ?? new CredentialChain(credentialSources({ profile, profileName: name }));
+    }
+
+    /**
+     * Names of the configured profiles
+     * @returns {string[]}
+     */
+    get names() {
+        return Object.keys(this.profiles);
+    }
+
+    /**
+     * Client of a profile, created on first use
+     * @param {string} [name] - Profile name (default: the default profile)
+     * @returns {Object}
+     */
+    clientFor(name = this.defaultProfile) {
+        if (this.clients.has(name)) return this.clients.get(name);
+
+        const profile = Object.hasOwn(this.profiles, name) ? this.profiles[name] : null;
+        if (!profile) {
+            throw new Error(`Unknown profile "${name}". Configured profiles: ${this.names.join(', ')}`);
+        }
+        const credentials = this.credentialsOf(name);
+        if (!credentials.configured) {
+            const where = profile.tokenEnv ? `Set the ${profile.tokenEnv} environment variable` : `Set "token", "tokenEnv", "tokenFile" or "credentialHelper" for it${this.path ? ` in ${this.path}` : ''}`;
+            throw new Error(`Profile "${name}" has no personal access token. ${where}.`);
+        }
+        const client = this.createClient({ ...profile, credentials }, name);
+        this.clients.set(name, client);
+        return client;
+    }
+
+    /**
+     * The configured profiles, without their tokens
+     * @returns {ProfileSummary[]}
+     */
+    list() {
+        return Object.entries(this.profiles).map(([name, profile]) => ({
+            name,
+            serverURL: profile.serverURL,
+            teamspaceId: profile.teamspaceId,
+            isDefault: name === this.defaultProfile,
+            tokenSource: this.credentialsOf(name).source
+        }));
+    }
+}
+
+export default ConnectionProfiles;
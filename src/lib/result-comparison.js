@@ -0,0 +1,145 @@
+/**
+ * Result Comparison Module
+ *
+ * Aligns the step trees of two test results and reports what changed between them:
+ * steps whose verdict changed, steps that only exist in one of the results, and steps
+ * whose duration changed significantly. Steps are the flat, depth-first lists produced
+ * by parseTestLog() from a testlog or from execution logs (each step carries its nesting
+ * level); they are aligned by the chain of step names from the root, since step IDs
+ * differ between runs.
+ */
+
+/**
+ * @typedef {Object} ComparableStep
+ * @property {string} name
+ * @property {number} [level] - Nesting depth, 0 for top-level steps
+ * @property {string} [verdict]
+ * @property {number|null} [duration] - Duration in milliseconds
+ */
+
+/**
+ * @typedef {Object} AlignedStep
+ * @property {string} key - Position of the step in the tree, e.g. "Login › Submit form"
+ * @property {string} name
+ * @property {number} level
+ * @property {string|null} verdict
+ * @property {number|null} duration
+ */
+
+/**
+ * @typedef {Object} StepComparison
+ * @property {Array<{ key: string, name: string, level: number, baseVerdict: string|null, targetVerdict: string|null }>} verdictChanges
+ * @property {AlignedStep[]} added - Steps only in the target result
+ * @property {AlignedStep[]} removed - Steps only in the base result
+ * @property {Array<{ key: string, name: string, level: number, baseDuration: number, targetDuration: number, changeMs: number, changePercent: number|null }>} durationChanges - changePercent is null when the base duration was 0
+ * @property {number} unchanged - Steps present in both results with the same verdict and no significant duration change
+ */
+
+/**
+ * Default thresholds for a significant duration change: both must be exceeded
+ */
+export const DEFAULT_DURATION_THRESHOLDS = {
+    minChangeMs: 1000,
+    minChangePercent: 50
+};
+
+const SEPARATOR = ' › ';
+
+/**
+ * Give every step a key from the names of its ancestors and itself. Repeated names
+ * under the same parent are numbered in order of appearance ("Retry #2").
+ * @param {ComparableStep[]} steps
+ * @returns {AlignedStep[]}
+ */
+export function alignSteps(steps) {
+    const aligned = [];
+    const ancestors = []; // key of the latest step at each level
+    const seen = new Map(); // parent key -> occurrences of each child name
+
+    for (const step of steps) {
+        const level = step.level || 0;
+        ancestors.length = level;
+        const parentKey = level > 0 ? (ancestors[level - 1] ?? '') : '';
+        const name = String(step.name);
+
+        if (!seen.has(parentKey)) seen.set(parentKey, new Map());
+        const occurrences = seen.get(parentKey);
+        const occurrence = (occurrences.get(name) || 0) + 1;
+        occurrences.set(name, occurrence);
+
+        const ownKey = occurrence > 1 ? `${name} #${occurrence}` : name;
+        const key = parentKey ? `${parentKey}${SEPARATOR}${ownKey}` : ownKey;
+        ancestors[level] = key;
+
+        aligned.push({
+            key,
+            name,
+            level,
+            verdict: step.verdict ?? null,
+            duration: typeof step.duration === 'number' ? step.duration : null
+        });
+    }
+    return aligned;
+}
+
+/**
+ * Compare the steps of a base result with those of a target result
+ * @param {ComparableStep[]} baseSteps
+ * @param {ComparableStep[]} targetSteps
+ * @param {Object} [thresholds] - See DEFAULT_DURATION_THRESHOLDS
+ * @returns {StepComparison}
+ */
+export function compareSteps(baseSteps, targetSteps, thresholds = {}) {
+    const { minChangeMs, minChangePercent } = { ...DEFAULT_DURATION_THRESHOLDS, ...thresholds };
+    const base = alignSteps(baseSteps);
+    const target = alignSteps(targetSteps);
+    const baseByKey = new Map(base.map(step => [step.key, step]));
+    const targetKeys = new Set(target.map(step => step.key));
+
+    const comparison = { verdictChanges: [], added: [], removed: [], durationChanges: [], unchanged: 0 };
+
+    for (const step of target) {
+        const before = baseByKey.get(step.key);
+        if (!before) {
+            comparison.added.push(step);
+            continue;
+        }
+
+        let changed = false;
+        if ((before.verdict || null) !== (step.verdict || null)) {
+            comparison.verdictChanges.push({
+                key: step.key,
+                name: step.name,
+                level: step.level,
+                baseVerdict: before.verdict,
+                targetVerdict: step.verdict
+            });
+            changed = true;
+        }
+
+        if (before.duration !== null && step.duration !== null) {
+            const changeMs = step.duration - before.duration;
+            const changePercent = before.duration > 0 ? (changeMs / before.duration) * 100 : (changeMs === 0 ? 0 : Infinity);
+            if (Math.abs(changeMs) >= minChangeMs && Math.abs(changePercent) >= minChangePercent) {
+                comparison.durationChanges.push({
+                    key: step.key,
+                    name: step.name,
+                    level: step.level,
+                    baseDuration: before.duration,
+                    targetDuration: step.duration,
+                    changeMs,
+                    changePercent: Number.isFinite(changePercent) ? Math.round(changePercent) : null
+                });
+                changed = true;
+            }
+        }
+
+        if (!changed) comparison.unchanged++;
+    }
+
+    comparison.removed = base.filter(step => !targetKeys.has(step.key));
+    comparison.durationChanges.sort((a, b) => Math.abs(b.changeMs) - Math.abs(a.changeMs));
+    return comparison;
+}
+
+export default compareSteps;
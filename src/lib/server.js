@@ -3,46 +3,109 @@
 
 import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { UriTemplate } from "@modelcontextprotocol/sdk/shared/uriTemplate.js";
 import { z } from "zod";
 import { config as loadEnv } from 'dotenv';
-import { createSimpleAuthFromEnv } from './simple-auth.js';
-import unzipper from 'unzipper';
-import stream from 'stream';
+import { DevOpsTestClient, DEFAULT_TEST_TYPES, createNameMatcher, withTemporaryDirectory } from './devops-test-client.js';
+import { createLogger, configureLogger, attachMcpServer } from './logger.js';
+import { startHttpServer } from './http-server.js';
+import { isTransientError } from './http.js';
+import { analyzeFlakiness } from './flakiness.js';
+import { compareSteps, DEFAULT_DURATION_THRESHOLDS } from './result-comparison.js';
+import { analyzePerformance, SLA_METRICS } from './performance.js';
+import { ConnectionProfiles, defaultProfilesPath, loadProfilesFile } from './profiles.js';
+import { CredentialChain, credentialSources, readArguments, readCredentialArguments } from './credentials.js';
+import { toJUnitXML } from './junit.js';
+import { parseTestLog } from './testlog.js';
+import { ArchiveCache } from './archive-cache.js';
+import { mimeTypeOf, entryKind, decodeText } from './archive-entries.js';
+import { realpathSync, mkdirSync, writeFileSync } from 'fs';
+import { stat } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 // Load environment variables from .env file if it exists
 loadEnv();
 
 // Configuration from environment variables or command line arguments
-function getConfig() {
-    // Parse command line arguments
-    const args = process.argv.slice(2);
-    const config = {};
-    
-    for (let i = 0; i < args.length; i += 2) {
-        const key = args[i];
-        const value = args[i + 1];
-        
-        switch (key) {
-            case '--token':
-                config.token = value;
-                break;
-            case '--server-url':
-                config.serverUrl = value;
-                break;
-            case '--teamspace-id':
-                config.teamspaceId = value;
-                break;
-        }
+export function getConfig(argv = process.argv.slice(2), env = process.env) {
+    // Parse command line arguments the same way as createSimpleAuthFromEnv() does
+    const config = {
+        ...readCredentialArguments(argv),
+        ...readArguments(argv, {
+            '--teamspace-id': 'teamspaceId',
+            '--log-level': 'logLevel',
+            '--log-format': 'logFormat',
+            '--log-file': 'logFile',
+            '--transport': 'transport',
+            '--port': 'port',
+            '--host': 'host',
+            '--max-testlog-mb': 'maxTestLogMB',
+            '--request-timeout': 'requestTimeout',
+            '--max-retries': 'maxRetries',
+            '--profile': 'profile',
+            '--profiles-file': 'profilesFile'
+        })
+    };
+
+    // Named connection profiles; the default location is optional, an explicitly given file is not
+    const profilesPath = config.profilesFile || env.TEST_PROFILES_FILE;
+    const profilesFile = loadProfilesFile(profilesPath || defaultProfilesPath(env), { optional: !profilesPath });
+    const profileName = config.profile || env.TEST_PROFILE || profilesFile?.defaultProfile || 'default';
+    if (profilesFile && !profilesFile.profiles[profileName]) {
+        throw new Error(`Unknown profile "${profileName}". Profiles in ${profilesFile.path}: ${Object.keys(profilesFile.profiles).join(', ')}`);
+    }
+    if (!profilesFile && (config.profile || env.TEST_PROFILE)) {
+        throw new Error(`Profile "${profileName}" requested but no profiles file was found at ${defaultProfilesPath(env)}`);
     }
     
-    // Environment variables take precedence if not provided via command line
-    const personal_access_token_string = config.token || process.env.TEST_ACCESS_TOKEN;
-    const serverURL = config.serverUrl || process.env.TEST_SERVER_URL;
-    const teamspaceID = config.teamspaceId || process.env.TEST_TEAMSPACE_ID;
+    // A profiles file defines every connection, so each profile keeps its own server, teamspace and
+    // token. The command line and environment describe the single connection of a server without one.
+    const profile = profilesFile?.profiles[profileName];
+    const connectionSettings = [
+        [config.serverUrl, '--server-url'], [env.TEST_SERVER_URL, 'TEST_SERVER_URL'],
+        [config.teamspaceId, '--teamspace-id'], [env.TEST_TEAMSPACE_ID, 'TEST_TEAMSPACE_ID'],
+        [config.token, '--token'], [env.TEST_ACCESS_TOKEN, 'TEST_ACCESS_TOKEN'],
+        [config.tokenFile, '--token-file'], [env.TEST_ACCESS_TOKEN_FILE, 'TEST_ACCESS_TOKEN_FILE'],
+        [config.credentialHelper, '--credential-helper'], [env.TEST_CREDENTIAL_HELPER, 'TEST_CREDENTIAL_HELPER']
+    ];
+    const ignoredSettings = profile ? connectionSettings.filter(([value]) => value).map(([, name]) => name) : [];
+    const credentials = new CredentialChain(profile
+        ? credentialSources({ profile, profileName, profileEnv: env })
+        : credentialSources({ args: config, env }));
+    const serverURL = profile ? profile.serverURL : config.serverUrl || env.TEST_SERVER_URL;
+    const teamspaceID = profile ? profile.teamspaceId : config.teamspaceId || env.TEST_TEAMSPACE_ID;
+    const logLevel = config.logLevel || env.TEST_LOG_LEVEL || 'info';
+    const logFormat = config.logFormat || env.TEST_LOG_FORMAT || 'text';
+    const logFile = config.logFile || env.TEST_LOG_FILE || null;
+    const transport = config.transport || env.TEST_MCP_TRANSPORT || 'stdio';
+    const port = Number(config.port || env.TEST_MCP_PORT || 3000);
+    const host = config.host || env.TEST_MCP_HOST || '127.0.0.1';
+    const maxTestLogMB = Number(config.maxTestLogMB || env.TEST_MAX_TESTLOG_MB || 64);
+    const requestTimeout = Number(config.requestTimeout || env.TEST_REQUEST_TIMEOUT || 30);
+    const maxRetries = Number(config.maxRetries || env.TEST_MAX_RETRIES || 3);
     
     // Validate required configuration
-    if (!personal_access_token_string) {
-        throw new Error("Personal access token is required. Set TEST_ACCESS_TOKEN environment variable or use --token argument.");
+    if (!['stdio', 'http'].includes(transport)) {
+        throw new Error(`Unknown transport "${transport}". Use --transport stdio or --transport http.`);
+    }
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port "${config.port || env.TEST_MCP_PORT}".`);
+    }
+    if (!(maxTestLogMB > 0)) {
+        throw new Error(`Invalid testlog memory limit "${config.maxTestLogMB || env.TEST_MAX_TESTLOG_MB}". Give a number of megabytes.`);
+    }
+    if (!(requestTimeout > 0)) {
+        throw new Error(`Invalid request timeout "${config.requestTimeout || env.TEST_REQUEST_TIMEOUT}". Give a number of seconds.`);
+    }
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+        throw new Error(`Invalid number of retries "${config.maxRetries || env.TEST_MAX_RETRIES}". Give 0 or a positive whole number.`);
+    }
+    // Over HTTP each session supplies its own token, so a process-wide token is only needed for stdio
+    if (!credentials.configured && transport === 'stdio') {
+        throw new Error(profile
+            ? `Personal access token is required. Set "token", "tokenEnv", "tokenFile" or "credentialHelper" of profile "${profileName}" in ${profilesFile.path}.`
+            : `Personal access token is required. Use --token, --token-file or --credential-helper, or set TEST_ACCESS_TOKEN, TEST_ACCESS_TOKEN_FILE or TEST_CREDENTIAL_HELPER.`);
     }
     if (!serverURL) {
         throw new Error("Server URL is required. Set TEST_SERVER_URL environment variable or use --server-url argument.");
@@ -52,942 +115,2907 @@ function getConfig() {
     }
     
     return { 
-        personal_access_token_string, 
+        credentials,
         serverURL, 
-        teamspaceID
+        teamspaceID,
+        logLevel,
+        logFormat,
+        logFile,
+        transport,
+        port,
+        host,
+        maxTestLogBytes: Math.round(maxTestLogMB * 1024 * 1024),
+        requestTimeoutMs: Math.round(requestTimeout * 1000),
+        maxRetries,
+        profilesPath: profilesFile?.path ?? null,
+        profileName,
+        // Profiles of the profiles file with their credentials, null without one
+        profiles: profilesFile ? Object.fromEntries(Object.entries(profilesFile.profiles).map(([name, entry]) => [name, {
+            ...entry,
+            credentials: new CredentialChain(credentialSources({ profile: entry, profileName: name, profileEnv: env }))
+        }])) : null,
+        // Command line and environment connection settings that the profiles file overrules
+        ignoredSettings
     };
 }
 
-// Get configuration at startup
-const { personal_access_token_string, serverURL, teamspaceID } = getConfig();
-
-// Create an MCP server
-const server = new McpServer({
-    name: "MCP DevOps Test",
-    version: "1.0.0"
-});
-var globalCookies = "";
-
-// Global authentication instance
-let simpleAuth = null;
-
-// Initialize Simple authentication
-async function initializeAuthentication() {
-    try {
-        console.log('Using Simple authentication with /rest/tokens endpoint');
-        simpleAuth = createSimpleAuthFromEnv();
-        console.log('✅ Simple authentication initialized');
-        return true;
-    } catch (error) {
-        console.error('❌ Failed to initialize Simple authentication:', error.message);
-        return false;
-    }
-}
-
-// Setup authentication - using Simple auth module
-async function setupAuthentication() {
-    if (!simpleAuth) {
-        const initSuccess = await initializeAuthentication();
-        if (!initSuccess) {
-            return false;
-        }
-    }
-    
-    try {
-        console.log('🔐 Setting up authentication using /rest/tokens...');
-        const result = await simpleAuth.authenticateWithPersonalToken();
-        
-        if (result.success) {
-            console.log('✅ Authentication successful - access token obtained');
-            if (result.note) {
-                console.log(`   Note: ${result.note}`);
-            }
-            return true;
-        } else {
-            console.error('❌ Authentication failed:', result.error);
-            console.error('   Description:', result.errorDescription);
-            return false;
-        }
-    } catch (error) {
-        console.error('❌ Error during authentication setup:', error.message);
-        return false;
-    }
-}
+const log = createLogger('server');
 
-// Get default headers for API requests
-async function getDefaultHeaders() {
-    try {
-        const authHeader = await simpleAuth.getAuthHeader();
-        return {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            'Accept': 'application/json',
-            'Authorization': authHeader
-        };
-    } catch (error) {
-        console.error('❌ Failed to get auth header:', error.message);
-        throw error;
-    }
-}
 // Cleanup handler
 async function cleanup() {
     process.exit(0);
 }
 
-// Function to parse test log JSON and extract useful information
-function parseTestLog(testLogJSON) {
-    const results = {
-        summary: {},
-        steps: [],
-        failures: [],
-        screenshots: [],
-        artifacts: []
-    };
-
-    // Extract basic summary information
-    if (testLogJSON.id) results.summary.id = testLogJSON.id;
-    if (testLogJSON.initiatedByUser) results.summary.initiatedByUser = testLogJSON.initiatedByUser;
-    if (testLogJSON.startTime) results.summary.startTime = testLogJSON.startTime;
-    if (testLogJSON.endTime) results.summary.endTime = testLogJSON.endTime;
-    if (testLogJSON.duration) results.summary.duration = testLogJSON.duration;
-    if (testLogJSON.verdict) results.summary.verdict = testLogJSON.verdict;
-    if (testLogJSON.status) results.summary.status = testLogJSON.status;
-
-    // Recursive function to extract steps and failures
-    const extractStepsAndFailures = (logItem, parentPath = '', level = 0) => {
-        if (!logItem) return;
-
-        // Process the current item
-        if (logItem.properties && (logItem.properties.name || logItem.type)) {
-            const step = {
-                id: logItem.id,
-                path: parentPath ? `${parentPath}.${logItem.id}` : logItem.id,
-                name: logItem.properties.name || logItem.type || 'Unnamed step',
-                type: logItem.type,
-                startTime: logItem.time,
-                endTime: logItem.end ? logItem.end.time : null,
-                duration: logItem.end ? logItem.end.duration : null,
-                verdict: logItem.end ? logItem.end.properties?.verdict : 'UNKNOWN',
-                properties: logItem.properties,
-                level: level
-            };
-            
-            results.steps.push(step);
-
-            // Check for failures
-            if (step.verdict === 'FAIL') {
-                const failure = {
-                    stepId: step.id,
-                    name: step.name,
-                    type: step.type,
-                    time: step.endTime || step.startTime,
-                    reason: logItem.end?.properties?.reason || 'Unknown failure',
-                    message: logItem.end?.properties?.message || null,
-                    stacktrace: logItem.end?.properties?.stacktrace || null,
-                    screenshot: logItem.end?.properties?.screenshot || null,
-                    properties: step.properties
-                };
-                results.failures.push(failure);
-            }
-        }
-
-        // Process events
-        if (logItem.events && Array.isArray(logItem.events)) {
-            for (const event of logItem.events) {
-                extractStepsAndFailures(event, parentPath ? `${parentPath}.${logItem.id}` : logItem.id, level + 1);
-            }
-        }
-
-        // Process nested items if they exist
-        if (logItem.items && Array.isArray(logItem.items)) {
-            for (const item of logItem.items) {
-                extractStepsAndFailures(item, parentPath ? `${parentPath}.${logItem.id}` : logItem.id, level + 1);
-            }
-        }
+// Build the comprehensive results report for a test result (summary, steps, failures, artifacts)
+async function buildTestResultsReport(client, args) {
+    // Initialize result object to collect essential data
+    const resultData = {
+        summary: null,
+        logs: null,
+        artifacts: null,
+        screenshots: null,
+        performance: null
     };
 
-    // Start extraction from the root
-    if (Array.isArray(testLogJSON)) {
-        testLogJSON.forEach(item => extractStepsAndFailures(item));
-    } else {
-        extractStepsAndFailures(testLogJSON);
+    // Get main result summary and execution logs (silent fail - left null if unavailable)
+    resultData.summary = await client.getResult(args.projectId, args.resultId).catch(() => null);
+    resultData.logs = await client.getResultLogs(args.projectId, args.resultId).catch(() => null);
+
+    // The execution logs hold the same log items as a testlog, so they go through the same model
+    const testLog = parseTestLog(Array.isArray(resultData.logs) ? resultData.logs : []);
+    const parsedSteps = testLog.steps;
+
+    // Get optional additional data
+    resultData.artifacts = await client.getResultArtifacts(args.projectId, args.resultId).catch(() => null);
+    resultData.screenshots = await client.getResultScreenshots(args.projectId, args.resultId).catch(() => null);
+    resultData.performance = await client.getResultPerformance(args.projectId, args.resultId).catch(() => null);
+
+    // Create comprehensive report
+    let reportText = `# Test Execution Results Report\n\n`;
+    reportText += `**Project ID**: ${args.projectId}\n`;
+    reportText += `**Result ID**: ${args.resultId}\n`;
+    if (args.executionId) {
+        reportText += `**Execution ID**: ${args.executionId}\n`;
     }
+    reportText += `**Report URL**: ${client.getReportURL(args.projectId, args.resultId)}\n\n`;
 
-    return results;
-}
 
-process.on('SIGTERM', cleanup);
-process.on('SIGINT', cleanup);
 
-// Start the server
-//Tool to retrieve all projects from Test system (Reference tool)
-server.tool(
-    "get_projects",
-    "Retrieves all projects from the Test system",
-    {},
-    async () => {
-        try {
-            // Setup authentication if not already done
-            if (!simpleAuth) {
-                const authSuccess = await setupAuthentication();
-                if (!authSuccess) {
-                    throw new Error("Authentication failed");
-                }
-            }
+    // Summary section
+    if (resultData.summary) {
+        reportText += `## Test Summary\n`;
+        reportText += `- **Status**: ${resultData.summary.status || 'Unknown'}\n`;
+        reportText += `- **Verdict**: ${resultData.summary.verdict || 'Unknown'}\n`;
+        const startDate = resultData.summary.startDate || resultData.summary.creationDate;
+        reportText += `- **Start Time**: ${startDate ? new Date(startDate).toISOString() : 'N/A'}\n`;
+        reportText += `- **Duration**: ${resultData.summary.duration ? (resultData.summary.duration / 1000) + ' seconds' : 'N/A'}\n`;
+        reportText += `- **Test Name**: ${resultData.summary.name || 'N/A'}\n`;
+        reportText += `- **Branch**: ${resultData.summary.branch || 'N/A'}\n\n`;
+    }
 
-            // Build API URL - use the same approach as authentication
-            const cleanServerURL = serverURL.replace('/#', '');
-            const apiUrl = `${cleanServerURL}/rest/projects/?member=true&archived=false`;
-            
-            const headers = await getDefaultHeaders();
-            const response = await fetch(apiUrl, {
-                method: 'GET',
-                headers: headers
-            });
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
 
-            const data = await response.json();
-            
-            if (data && data.data && Array.isArray(data.data)) {
-                const projectList = data.data.map(project => {
-                    return `- ${project.name} (ID: ${project.id})${project.archived ? ' [ARCHIVED]' : ''}`;
-                }).join('\n');
-                
-                return {
-                    content: [{ 
-                        type: 'text', 
-                        text: `Retrieved ${data.data.length} projects from Test system:\n\n${projectList}` 
-                    }]
-                };
-            } else {
-                throw new Error('Unexpected response structure');
-            }
-            
-        } catch (e) {
-            return {
-                content: [{ type: 'text', text: `Error retrieving projects: ${e.message}` }]
-            };
-        }
+    // Available Reports
+    if (resultData.summary && resultData.summary.reports) {
+        reportText += `## 📊 Available Reports Analysis\n`;
+        reportText += `The test summary shows ${resultData.summary.reports.length} available reports:\n\n`;
+        resultData.summary.reports.forEach((report, index) => {
+            reportText += `### Report ${index + 1}: ${report.name}\n`;
+            reportText += `- **ID**: ${report.id}\n`;
+            reportText += `- **Content Type**: ${report['content-type']}\n`;
+            reportText += `- **Exportable**: ${report.exportable}\n`;
+            reportText += `- **URL**: ${report.href}\n`;
+            reportText += `- **Last Updated**: ${report.lastUpdated}\n\n`;
+        });
     }
-);
-
-// Tool to list tests from a specific project
-server.tool(
-    "list_tests",
-    "Retrieves tests from a specific project with optional test type filtering",
-    {
-        projectId: z.string().describe("The ID of the project to retrieve tests from"),
-        testType: z.string().optional().describe("Optional test type filter (e.g., EXT_TEST_SUITE, EXT_TEST_SCPT, EXT_TEST_LOADP, EXT_TEST_STUB, etc.)"),
-        branch: z.string().optional().default("main").describe("Branch to use for retrieving tests (default: main)")
-    },
-    async (args) => {
-        try {
-            // Setup authentication if not already done
-            if (!simpleAuth) {
-                const authSuccess = await setupAuthentication();
-                if (!authSuccess) {
-                    throw new Error("Authentication failed");
-                }
-            }
 
-            // Build API URL
-            const cleanServerURL = serverURL.replace('/#', '');
-            const url = new URL(cleanServerURL);
-            const baseURL = `${url.protocol}//${url.host}`;
-            
-            // Default test types if none specified - updated to match new query format
-            const defaultTestTypes = [
-                "AFTSUITE",
-                "APISUITE", 
-                "COMPOUND",
-                "EXT_TEST_CODES",
-                "EXT_TEST_JMETER",
-                "EXT_TEST_JUNIT",
-                "EXT_TEST_PMAN",
-                "RATESCHEDULE",
-                "EXT_TEST_SEL",
-                "EXT_TEST_SUITE",
-                "VUSCHEDULE",
-                "EXT_TEST_SCPT",
-                "EXT_TEST_LOADP",
-                "EXT_TEST_STUB",
-                "APITEST",
-                "UI",
-                "PERF",
-            ];
-            
-            // Use provided testType or default list
-            const testTypes = args.testType ? [args.testType] : defaultTestTypes;
-            
-            // Build URL with multiple externalTypes parameters and new parameters
-            const url_params = new URLSearchParams();
-            url_params.append('revision', args.branch);
-            //url_params.append('deployable', 'true');
-            //url_params.append('assetTypes', 'EXECUTABLE');
-            
-            // Add each test type as separate externalTypes parameter
-            testTypes.forEach(type => {
-                url_params.append('externalTypes', type);
-            });
+    // Step Analysis
+    if (parsedSteps.length > 0) {
+        reportText += `## Step-by-Step Analysis (Hierarchical)\n`;
+        reportText += `Found ${parsedSteps.length} steps/events:\n\n`;
+        
+        parsedSteps.forEach((step, index) => {
+            const status = step.verdict === 'FAIL' ? '❌ FAILED' : 
+                         step.verdict === 'PASS' ? '✅ PASSED' : 
+                         step.verdict === 'INFO' ? 'ℹ️ INFO' :
+                         '⚪ UNKNOWN';
             
-            const apiUrl = `${baseURL}/test/rest/projects/${args.projectId}/assets/?${url_params.toString()}`;
+            // Create indentation based on hierarchy level
+            const indent = '  '.repeat(step.level || 0);
+            const stepNumber = step.level === 0 ? `${index + 1}` : `${index + 1}`;
             
-            const headers = await getDefaultHeaders();
-            const response = await fetch(apiUrl, {
-                method: 'GET',
-                headers: headers
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            reportText += `${indent}### Step ${stepNumber}: ${step.name}\n`;
+            reportText += `${indent}- **ID**: ${step.id}\n`;
+            reportText += `${indent}- **Status**: ${status}\n`;
+            reportText += `${indent}- **Type**: ${step.type}\n`;
+            reportText += `${indent}- **Start Time**: ${step.startTime}\n`;
+            if (step.endTime) reportText += `${indent}- **End Time**: ${step.endTime}\n`;
+            if (step.duration) reportText += `${indent}- **Duration**: ${step.duration}\n`;
+            if (step.level > 0) reportText += `${indent}- **Level**: ${step.level} (substep)\n`;
             
-            if (data && data.content && Array.isArray(data.content)) {
-                const testList = data.content.map(test => {
-                    return `- ${test.name} (ID: ${test.id}, Type: ${test.external_type || 'Unknown'})`;
-                }).join('\n');
+            if (step.verdict === 'FAIL') {
+                reportText += `${indent}- **🚨 FAILURE DETECTED IN THIS STEP**\n`;
                 
-                return {
-                    content: [{ 
-                        type: 'text', 
-                        text: `Retrieved ${data.content.length} tests from project ${args.projectId}:\n\n${testList}` 
-                    }]
-                };
-            } else {
-                throw new Error('Unexpected response structure');
-            }
-            
-        } catch (e) {
-            return {
-                content: [{ type: 'text', text: `Error retrieving tests: ${e.message}` }]
-            };
-        }
-    }
-);
-
-// Tool to execute a test
-server.tool(
-    "execute_test",
-    "Execute a test in a specific project by test name. TIMING: Tests typically take 60-180 seconds to complete. AGENT BEHAVIOR: After execution, inform user 'Test started, will complete in ~2 minutes', then wait at least 60 seconds before first status check. Use progressive back-off for subsequent checks: 30s → 45s → 60s → 90s intervals until completion.",
-    {
-        projectId: z.string().describe("The ID of the project containing the test"),
-        testName: z.string().describe("The name of the test to execute"),
-        browserName: z.string().optional().default("edge").describe("Browser to use for execution (default: edge)"),
-        revision: z.string().optional().default("main").describe("Revision to use (default: main)")
-    },
-    async (args) => {
-        try {
-            // Setup authentication if not already done
-            if (!simpleAuth) {
-                const authSuccess = await setupAuthentication();
-                if (!authSuccess) {
-                    throw new Error("Authentication failed");
+                // Add detailed failure information
+                if (step.properties) {
+                    reportText += `${indent}- **Failure Context**:\n`;
+                    if (step.properties.fragment) reportText += `${indent}  - Fragment: ${step.properties.fragment}\n`;
+                    if (step.properties.object) reportText += `${indent}  - Object: ${step.properties.object}\n`;
+                    if (step.properties.value) reportText += `${indent}  - Value: ${step.properties.value}\n`;
+                    if (step.properties.key) reportText += `${indent}  - Key: ${step.properties.key}\n`;
+                    if (step.properties.parent) reportText += `${indent}  - Parent: ${step.properties.parent}\n`;
                 }
             }
-
-            // First, get the list of tests to find the asset ID for the given test name
-            const cleanServerURL = serverURL.replace('/#', '');
-            const url = new URL(cleanServerURL);
-            const baseURL = `${url.protocol}//${url.host}`;
-            
-            // Get tests to find the asset ID - updated to match new query format
-            const defaultTestTypes = [
-                "AFTSUITE",
-                "APISUITE", 
-                "COMPOUND",
-                "EXT_TEST_CODES",
-                "EXT_TEST_JMETER",
-                "EXT_TEST_JUNIT",
-                "EXT_TEST_PMAN",
-                "RATESCHEDULE",
-                "EXT_TEST_SEL",
-                "EXT_TEST_SUITE",
-                "VUSCHEDULE",
-                "EXT_TEST_SCPT",
-                "EXT_TEST_LOADP",
-                "EXT_TEST_STUB",
-                "APITEST",
-                "UI",
-                "PERF",
-            ];
-            
-            // Build URL with multiple externalTypes parameters and new parameters
-            const url_params = new URLSearchParams();
-            url_params.append('revision', args.revision);
-            url_params.append('deployable', 'true');
-            url_params.append('assetTypes', 'EXECUTABLE');
-            
-            // Add each test type as separate externalTypes parameter
-            defaultTestTypes.forEach(type => {
-                url_params.append('externalTypes', type);
-            });
-            
-            const testsApiUrl = `${baseURL}/test/rest/projects/${args.projectId}/assets/?${url_params.toString()}`;
             
-            const testsHeaders = await getDefaultHeaders();
-            const testsResponse = await fetch(testsApiUrl, {
-                method: 'GET',
-                headers: testsHeaders
-            });
-
-            if (!testsResponse.ok) {
-                throw new Error(`Failed to fetch tests: HTTP ${testsResponse.status}: ${testsResponse.statusText}`);
+            // Show step-specific properties
+            if (step.type && step.type.includes('click') && step.properties) {
+                reportText += `${indent}- **Action**: Click on ${step.properties.object || 'element'}\n`;
+            } else if (step.type && step.type.includes('type') && step.properties) {
+                reportText += `${indent}- **Action**: Type "${step.properties.value || 'text'}" into ${step.properties.object || 'element'}\n`;
+            } else if (step.type && step.type.includes('press') && step.properties) {
+                reportText += `${indent}- **Action**: Press key "${step.properties.key || 'unknown'}"\n`;
+            } else if (step.type && step.type.includes('config') && step.properties) {
+                reportText += `${indent}- **Configuration**: ${JSON.stringify(step.properties, null, 2)}\n`;
+            } else if (step.type && step.type.includes('device') && step.properties) {
+                reportText += `${indent}- **Device Info**: ${JSON.stringify(step.properties, null, 2)}\n`;
             }
-
-            const testsData = await testsResponse.json();
             
-            if (!testsData || !testsData.content || !Array.isArray(testsData.content)) {
-                throw new Error('Unexpected response structure when fetching tests');
-            }
-
-            // Find the test by name
-            const test = testsData.content.find(t => t.name === args.testName);
-            if (!test) {
-                const availableTests = testsData.content.map(t => t.name).join(', ');
-                throw new Error(`Test "${args.testName}" not found. Available tests: ${availableTests}`);
+            if (step.verdicts && Object.keys(step.verdicts).length > 0) {
+                reportText += `${indent}- **Verdict Summary**: ${JSON.stringify(step.verdicts, null, 2)}\n`;
             }
-
-            const assetId = test.id;
             
-            // Now execute the test with the found asset ID
-            const apiUrl = `${baseURL}/test/rest/projects/${args.projectId}/executions/`;
-            
-            // Prepare the payload
-            const payload = {
-                testAsset: {
-                    assetId: assetId,
-                    revision: args.revision,
-                    requestedVersion: null
-                },
-                advancedSettings: {
-                    configuration: {
-                        "browser.name": args.browserName
-                    }
-                },
-                remoteLocations: [],
-                offlineToken: personal_access_token_string
-            };
+            reportText += `\n`;
+        });
+    }
 
-            const executionHeaders = await getDefaultHeaders();
-            // Add additional headers specific to test execution - updated to match new format
-            executionHeaders['Content-Type'] = 'application/json';
-            executionHeaders['Accept'] = 'application/json, text/plain, */*';
-            executionHeaders['Accept-Version'] = '1.4';
-            executionHeaders['X-Requested-With'] = 'XMLHttpRequest';
-            executionHeaders['Sec-Fetch-Dest'] = 'empty';
-            executionHeaders['Sec-Fetch-Mode'] = 'cors';
-            executionHeaders['Sec-Fetch-Site'] = 'same-origin';
+    // Failure Analysis
+    const failures = testLog.failures;
+    if (failures.length > 0) {
+        reportText += `## 🚨 Failure Analysis\n`;
+        reportText += `Found ${failures.length} failed step(s):\n\n`;
+        
+        failures.forEach((failure, index) => {
+            reportText += `### Failed Step ${index + 1}: ${failure.name}\n`;
+            reportText += `- **Step ID**: ${failure.stepId}\n`;
+            reportText += `- **Step Type**: ${failure.type}\n`;
+            reportText += `- **Failure Time**: ${failure.time}\n`;
+            reportText += `- **Reason**: ${failure.reason}\n`;
+            if (failure.message) reportText += `- **Message**: ${failure.message}\n`;
             
-            const response = await fetch(apiUrl, {
-                method: 'POST',
-                headers: executionHeaders,
-                body: JSON.stringify(payload)
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            if (failure.properties) {
+                reportText += `- **Step Details**: \`\`\`json\n${JSON.stringify(failure.properties, null, 2)}\n\`\`\`\n`;
             }
-
-            const data = await response.json();
-            
-            return {
-                content: [{ 
-                    type: 'text', 
-                    text: `Test execution started successfully!\n\nExecution Details:\n- Test Name: ${args.testName}\n- Execution ID: ${data.id || 'N/A'}\n- Status: ${data.status || 'N/A'}\n- Project ID: ${args.projectId}\n- Asset ID: ${assetId}\n- Browser: ${args.browserName}\n- Revision: ${args.revision}\n\nResponse: ${JSON.stringify(data, null, 2)}` 
-                }]
-            };
             
-        } catch (e) {
-            return {
-                content: [{ type: 'text', text: `Error executing test: ${e.message}` }]
-            };
-        }
+            reportText += `\n`;
+        });
     }
-);
-
-// Tool to get test execution results/report
-server.tool(
-    "get_test_results",
-    "Get comprehensive test execution results and report data. PROGRESSIVE POLLING: If status is RUNNING, wait using progressive back-off: 30s → 45s → 60s → 90s between checks. Tests typically complete in 60-180 seconds.",
-    {
-        projectId: z.string().describe("The ID of the project containing the test"),
-        resultId: z.string().describe("The result ID from the test execution"),
-        executionId: z.string().optional().describe("Optional execution ID for additional context")
-    },
-    async (args) => {
-        try {
-            // Setup authentication if not already done
-            if (!simpleAuth) {
-                const authSuccess = await setupAuthentication();
-                if (!authSuccess) {
-                    throw new Error("Authentication failed");
-                }
-            }
 
-            const cleanServerURL = serverURL.replace('/#', '');
-            const url = new URL(cleanServerURL);
-            const baseURL = `${url.protocol}//${url.host}`;
-            
-            const headers = await getDefaultHeaders();
-            
-            // Initialize result object to collect essential data
-            const resultData = {
-                summary: null,
-                logs: null,
-                artifacts: null,
-                screenshots: null,
-                performance: null
-            };
+    if (parsedSteps.length > 0) {
+        reportText += formatTimingAnalysis(testLog.timing);
+    }
 
-            // Get main result summary
-            try {
-                const summaryUrl = `${baseURL}/test/rest/projects/${args.projectId}/results/${args.resultId}`;
-                const summaryResponse = await fetch(summaryUrl, {
-                    method: 'GET',
-                    headers: headers
-                });
 
-                if (summaryResponse.ok) {
-                    resultData.summary = await summaryResponse.json();
-                }
-            } catch (error) {
-                // Silent fail - summary will be null
-            }
 
-            // Get execution logs
-            try {
-                const logsUrl = `${baseURL}/test/rest/projects/${args.projectId}/results/${args.resultId}/logs`;
-                const logsResponse = await fetch(logsUrl, {
-                    method: 'GET',
-                    headers: headers
-                });
+    // Artifacts section
+    if (resultData.artifacts && resultData.artifacts.length > 0) {
+        reportText += `## Artifacts\n`;
+        resultData.artifacts.forEach(artifact => {
+            reportText += `- ${artifact.name || artifact.type || 'Unnamed artifact'}\n`;
+        });
+        reportText += `\n`;
+    }
 
-                if (logsResponse.ok) {
-                    resultData.logs = await logsResponse.json();
-                }
-            } catch (error) {
-                // Silent fail - logs will be null
-            }
-
-            // Parse detailed step information from logs
-            const parseStepDetails = (logs) => {
-                const steps = [];
-                if (!logs || !Array.isArray(logs)) return steps;
-
-                const findStepsRecursively = (logItem, parentPath = '', level = 0) => {
-                    // Add this item as a step if it has meaningful properties
-                    if (logItem.properties && (logItem.properties.name || logItem.type)) {
-                        const stepInfo = {
-                            id: logItem.id,
-                            path: parentPath ? `${parentPath}.${logItem.id}` : logItem.id,
-                            name: logItem.properties.name || logItem.type || 'Unnamed step',
-                            type: logItem.type,
-                            startTime: logItem.time,
-                            endTime: logItem.end ? logItem.end.time : null,
-                            duration: logItem.end ? logItem.end.duration : null,
-                            verdict: logItem.end ? logItem.end.properties?.verdict : 'UNKNOWN',
-                            properties: logItem.properties,
-                            events: logItem.events || [],
-                            verdicts: logItem.end ? logItem.end.verdicts : null,
-                            level: level
-                        };
-                        
-                        steps.push(stepInfo);
-                    }
+    // Screenshots section
+    if (resultData.screenshots && resultData.screenshots.length > 0) {
+        reportText += `## Screenshots\n`;
+        reportText += `Found ${resultData.screenshots.length} screenshot(s)\n\n`;
+    }
 
-                    // Process events as potential steps
-                    if (logItem.events && Array.isArray(logItem.events)) {
-                        for (const event of logItem.events) {
-                            if (event.type && (event.type.includes('step') || event.type.includes('config') || event.type.includes('device'))) {
-                                const eventStep = {
-                                    id: event.id,
-                                    path: `${parentPath}.${event.id}`,
-                                    name: event.properties?.name || event.type,
-                                    type: event.type,
-                                    startTime: event.time,
-                                    endTime: null,
-                                    duration: null,
-                                    verdict: 'INFO',
-                                    properties: event.properties,
-                                    isEvent: true,
-                                    level: level + 1
-                                };
-                                steps.push(eventStep);
-                            }
-                        }
-                    }
-                };
+    // Performance section
+    if (resultData.performance) {
+        reportText += `## Performance Data\n`;
+        reportText += `Performance metrics available. Use analyze_performance for response-time percentiles, throughput, error rates and SLA checks.\n\n`;
+    }
 
-                // Process each top-level log item
-                for (const logItem of logs) {
-                    findStepsRecursively(logItem);
-                }
+    reportText += `## Raw Data (All Endpoints)\n`;
+    reportText += `\`\`\`json\n${JSON.stringify(resultData, null, 2)}\`\`\``;
+
+    const summary = resultData.summary || {};
+    const startDate = summary.startDate || summary.creationDate;
+    const structured = {
+        projectId: args.projectId,
+        resultId: args.resultId,
+        ...(args.executionId ? { executionId: args.executionId } : {}),
+        reportURL: client.getReportURL(args.projectId, args.resultId),
+        name: summary.name ?? null,
+        status: summary.status ?? null,
+        verdict: summary.verdict ?? null,
+        branch: summary.branch ?? null,
+        startTime: startDate ? new Date(startDate).toISOString() : null,
+        durationSeconds: summary.duration ? summary.duration / 1000 : null,
+        steps: parsedSteps.map(toStepOutput),
+        failures: failures.map(toFailureOutput),
+        timing: testLog.timing,
+        artifactCount: Array.isArray(resultData.artifacts) ? resultData.artifacts.length : 0,
+        screenshotCount: Array.isArray(resultData.screenshots) ? resultData.screenshots.length : 0,
+        hasPerformanceData: !!resultData.performance
+    };
 
-                return steps;
-            };
+    return { reportText, summary: resultData.summary, structured };
+}
 
-            const parsedSteps = parseStepDetails(resultData.logs);
+// Output schemas: every tool returns structuredContent matching one of these next to its markdown text
+const idValue = z.union([z.string(), z.number()]);
+const timeValue = z.union([z.string(), z.number()]).nullable();
+
+const stepOutputSchema = z.object({
+    id: idValue.nullable(),
+    name: z.string(),
+    type: z.string().nullable(),
+    verdict: z.string().nullable(),
+    level: z.number(),
+    startTime: timeValue,
+    endTime: timeValue,
+    duration: z.number().nullable()
+});
 
-            // Get optional additional data
-            try {
-                const artifactsUrl = `${baseURL}/test/rest/projects/${args.projectId}/results/${args.resultId}/artifacts`;
-                const artifactsResponse = await fetch(artifactsUrl, {
-                    method: 'GET',
-                    headers: headers
-                });
+const failureOutputSchema = z.object({
+    stepId: idValue.nullable(),
+    name: z.string(),
+    type: z.string().nullable(),
+    time: timeValue,
+    reason: z.string().nullable(),
+    message: z.string().nullable(),
+    stacktrace: z.string().nullable(),
+    screenshot: z.string().nullable()
+});
 
-                if (artifactsResponse.ok) {
-                    resultData.artifacts = await artifactsResponse.json();
-                }
-            } catch (error) {
-                // Silent fail
-            }
+const timedStepOutputSchema = z.object({
+    id: idValue.nullable(),
+    name: z.string(),
+    level: z.number(),
+    duration: z.number().nullable(),
+    selfTime: z.number().nullable().describe("Milliseconds not spent in child steps")
+});
 
-            try {
-                const screenshotsUrl = `${baseURL}/test/rest/projects/${args.projectId}/results/${args.resultId}/screenshots`;
-                const screenshotsResponse = await fetch(screenshotsUrl, {
-                    method: 'GET',
-                    headers: headers
-                });
+const timingOutputSchema = z.object({
+    totalDuration: z.number().nullable(),
+    slowestSteps: z.array(timedStepOutputSchema).describe("Steps that spent the most time themselves, slowest first"),
+    waits: z.array(timedStepOutputSchema).describe("Wait and synchronization steps"),
+    waitTime: z.number().describe("Milliseconds spent in wait and synchronization steps"),
+    idleTime: z.number().describe("Milliseconds between consecutive steps"),
+    criticalPath: z.array(timedStepOutputSchema).describe("From the top, the step that took longest at each level")
+});
 
-                if (screenshotsResponse.ok) {
-                    resultData.screenshots = await screenshotsResponse.json();
-                }
-            } catch (error) {
-                // Silent fail
-            }
+const testResultsOutputShape = {
+    projectId: z.string(),
+    resultId: z.string(),
+    executionId: z.string().optional(),
+    reportURL: z.string(),
+    name: z.string().nullable(),
+    status: z.string().nullable(),
+    verdict: z.string().nullable(),
+    branch: z.string().nullable(),
+    startTime: z.string().nullable().describe("ISO 8601 start time"),
+    durationSeconds: z.number().nullable(),
+    steps: z.array(stepOutputSchema),
+    failures: z.array(failureOutputSchema),
+    timing: timingOutputSchema,
+    artifactCount: z.number(),
+    screenshotCount: z.number(),
+    hasPerformanceData: z.boolean()
+};
+
+const waitOutputShape = {
+    completed: z.boolean().describe("False when the timeout elapsed before the test finished"),
+    resultId: z.string(),
+    elapsedSeconds: z.number(),
+    checks: z.number().describe("Number of status checks made"),
+    result: z.object(testResultsOutputShape)
+};
+
+const projectsOutputSchema = {
+    projects: z.array(z.object({
+        id: z.string(),
+        name: z.string(),
+        archived: z.boolean()
+    }))
+};
+
+const testsOutputSchema = {
+    projectId: z.string(),
+    branch: z.string(),
+    page: z.number().describe("One-based page number, 1 when all tests were returned"),
+    pageSize: z.number(),
+    totalPages: z.number(),
+    totalTests: z.number().describe("Number of matching tests on all pages"),
+    tests: z.array(z.object({
+        id: z.string(),
+        name: z.string(),
+        type: z.string().nullable(),
+        path: z.string().nullable().optional(),
+        lastModified: timeValue.optional(),
+        owner: z.string().nullable().optional()
+    }))
+};
+
+// Optional test fields list_tests can include, and where they are read from on an asset
+const OPTIONAL_TEST_FIELDS = {
+    path: asset => asset.path ?? null,
+    lastModified: asset => asset.last_modified ?? asset.lastModified ?? null,
+    owner: asset => asset.owner ?? null
+};
+
+// Structured form of a test asset with the requested optional fields
+function toTestOutput(asset, fields = []) {
+    const test = {
+        id: String(asset.id),
+        name: asset.name,
+        type: asset.external_type || null
+    };
+    for (const field of fields) {
+        test[field] = OPTIONAL_TEST_FIELDS[field](asset);
+    }
+    return test;
+}
 
-            try {
-                const performanceUrl = `${baseURL}/test/rest/projects/${args.projectId}/results/${args.resultId}/performance`;
-                const performanceResponse = await fetch(performanceUrl, {
-                    method: 'GET',
-                    headers: headers
-                });
+const configurationValue = z.union([z.string(), z.number(), z.boolean()]);
 
-                if (performanceResponse.ok) {
-                    resultData.performance = await performanceResponse.json();
-                }
-            } catch (error) {
-                // Silent fail
-            }
+const datasetOverrideSchema = z.object({
+    source: z.string().min(1).describe("Dataset used by the test"),
+    replacement: z.string().min(1).describe("Dataset to use in its place for this run")
+});
 
-            // Create comprehensive report
-            let reportText = `# Test Execution Results Report\n\n`;
-            reportText += `**Project ID**: ${args.projectId}\n`;
-            reportText += `**Result ID**: ${args.resultId}\n`;
-            if (args.executionId) {
-                reportText += `**Execution ID**: ${args.executionId}\n`;
-            }
-            reportText += `**Report URL**: ${baseURL}/test/funrep.html#/projects/${args.projectId}/results/${args.resultId}\n\n`;
+const executionSettingsOutputSchema = z.object({
+    revision: z.string(),
+    requestedVersion: z.string().nullable(),
+    configuration: z.record(z.string(), configurationValue),
+    variables: z.record(z.string(), z.string()),
+    datasets: z.array(datasetOverrideSchema),
+    remoteLocations: z.array(z.string()),
+    environmentTags: z.array(z.string())
+});
 
+// Advanced execution settings accepted by the tools that start executions
+const executionSettingsInputShape = {
+    requestedVersion: z.string().min(1).optional().describe("Specific version of the test asset to run (default: latest)"),
+    configuration: z.record(z.string().min(1), configurationValue).optional().describe("Advanced configuration key/values, e.g. {\"browser.headless\": true}; a browser.name here overrides browserName"),
+    variables: z.record(z.string().min(1), z.string()).optional().describe("Run-time variable overrides as name/value pairs"),
+    datasets: z.array(datasetOverrideSchema).optional().describe("Dataset overrides: replace the source dataset with the replacement dataset for this run"),
+    remoteLocations: z.array(z.string().min(1)).optional().describe("Remote agents/locations to run on (default: the server's default location)"),
+    environmentTags: z.array(z.string().min(1)).optional().describe("Environment tags selecting the test environment")
+};
+
+const executionOutputSchema = {
+    projectId: z.string(),
+    testName: z.string(),
+    assetId: z.string(),
+    executionId: z.string().nullable(),
+    resultId: z.string().nullable(),
+    status: z.string().nullable(),
+    browserName: z.string(),
+    revision: z.string(),
+    settings: executionSettingsOutputSchema.describe("The settings the execution was started with, to reproduce the run"),
+    completion: z.object(waitOutputShape).optional().describe("Present when waitForCompletion was set")
+};
+
+// Render the advanced settings of an execution as detail lines
+function formatExecutionSettings(settings) {
+    const entries = (record) => Object.entries(record).map(([key, value]) => `${key}=${value}`).join(', ');
+    const lines = [`- Requested Version: ${settings.requestedVersion || 'latest'}`];
+    lines.push(`- Configuration: ${entries(settings.configuration)}`);
+    if (Object.keys(settings.variables).length > 0) lines.push(`- Variables: ${entries(settings.variables)}`);
+    if (settings.datasets.length > 0) lines.push(`- Datasets: ${settings.datasets.map(d => `${d.source} → ${d.replacement}`).join(', ')}`);
+    lines.push(`- Remote Locations: ${settings.remoteLocations.length > 0 ? settings.remoteLocations.join(', ') : 'default'}`);
+    if (settings.environmentTags.length > 0) lines.push(`- Environment Tags: ${settings.environmentTags.join(', ')}`);
+    return lines.join('\n');
+}
 
+const downloadOutputSchema = {
+    projectId: z.string(),
+    resultId: z.string(),
+    downloadId: z.string(),
+    location: z.string()
+};
+
+const parsedTestLogOutputSchema = {
+    projectId: z.string(),
+    downloadId: z.string(),
+    archiveSize: z.number(),
+    summary: z.object({
+        id: idValue.nullable(),
+        initiatedByUser: z.string().nullable(),
+        startTime: timeValue,
+        endTime: timeValue,
+        duration: z.number().nullable(),
+        status: z.string().nullable()
+    }),
+    verdict: z.string().nullable(),
+    steps: z.array(stepOutputSchema),
+    failures: z.array(failureOutputSchema),
+    timing: timingOutputSchema
+};
+
+const testLogOutputSchema = {
+    ...parsedTestLogOutputSchema,
+    junit: z.object({
+        tests: z.number(),
+        failures: z.number(),
+        errors: z.number(),
+        suites: z.number(),
+        outputPath: z.string().nullable()
+    }).optional()
+};
+
+// Structured form of a parsed testlog, as returned by get_test_log_results
+function toTestLogOutput(projectId, downloadId, archiveSize, results) {
+    return {
+        projectId,
+        downloadId,
+        archiveSize,
+        summary: {
+            id: results.summary.id ?? null,
+            initiatedByUser: results.summary.initiatedByUser ?? null,
+            startTime: results.summary.startTime ?? null,
+            endTime: results.summary.endTime ?? null,
+            duration: results.summary.duration ?? null,
+            status: results.summary.status ?? null
+        },
+        verdict: results.summary.verdict ?? null,
+        steps: results.steps.map(toStepOutput),
+        failures: results.failures.map(toFailureOutput),
+        timing: results.timing
+    };
+}
 
-            // Summary section
-            if (resultData.summary) {
-                reportText += `## Test Summary\n`;
-                reportText += `- **Status**: ${resultData.summary.status || 'Unknown'}\n`;
-                reportText += `- **Verdict**: ${resultData.summary.verdict || 'Unknown'}\n`;
-                reportText += `- **Start Time**: ${new Date(resultData.summary.startDate || resultData.summary.creationDate).toISOString()}\n`;
-                reportText += `- **Duration**: ${resultData.summary.duration ? (resultData.summary.duration / 1000) + ' seconds' : 'N/A'}\n`;
-                reportText += `- **Test Name**: ${resultData.summary.name || 'N/A'}\n`;
-                reportText += `- **Branch**: ${resultData.summary.branch || 'N/A'}\n\n`;
-            }
+// Render the summary and failures of a parsed testlog as markdown
+function formatTestLogAnalysis(results) {
+    let reportText = `## ✅ testlog.json extracted and parsed successfully\n`;
+    reportText += `- 📝 Test Summary ID: ${results.summary.id}\n`;
+    reportText += `- 👤 Initiated By: ${results.summary.initiatedByUser || 'Unknown'}\n`;
+    reportText += `- 🧪 Total Steps: ${results.steps.length}\n`;
+    reportText += `- ❌ Failures: ${results.failures.length}\n\n`;
 
+    if (results.failures.length > 0) {
+        reportText += `### ❌ Failure Details\n`;
+        results.failures.forEach((fail, i) => {
+            reportText += `- ${i + 1}. **${fail.name}** (Reason: ${fail.reason || 'N/A'})\n`;
+            if (fail.message) reportText += `   ↳ Message: ${fail.message}\n`;
+            if (fail.stacktrace) reportText += `   ↳ Stacktrace: Present\n`;
+            if (fail.screenshot) reportText += `   ↳ Screenshot: Captured\n`;
+            reportText += `\n`;
+        });
+    }
+    if (results.steps.length > 0) {
+        reportText += formatTimingAnalysis(results.timing);
+    }
+    return reportText;
+}
 
+// Render the timing analysis of a parsed testlog as markdown
+function formatTimingAnalysis(timing) {
+    const seconds = (ms) => (ms === null ? 'N/A' : `${(ms / 1000).toFixed(1)}s`);
+    const share = (ms) => (ms !== null && timing.totalDuration ? ` (${Math.round(ms / timing.totalDuration * 100)}%)` : '');
+
+    let reportText = `## ⏱️ Timing Analysis\n`;
+    reportText += `- Total Duration: ${seconds(timing.totalDuration)}\n`;
+    reportText += `- Waiting: ${seconds(timing.waitTime)}${share(timing.waitTime)} in ${timing.waits.length} wait/synchronization step(s)\n`;
+    reportText += `- Idle Between Steps: ${seconds(timing.idleTime)}${share(timing.idleTime)}\n\n`;
+
+    if (timing.slowestSteps.length > 0) {
+        reportText += `### Slowest Steps\n`;
+        reportText += `| # | Step | Own Time | Duration |\n|---|------|----------|----------|\n`;
+        timing.slowestSteps.forEach((step, i) => {
+            reportText += `| ${i + 1} | ${step.name} | ${seconds(step.selfTime)}${share(step.selfTime)} | ${seconds(step.duration)} |\n`;
+        });
+        reportText += `\n`;
+    }
 
-            // Available Reports
-            if (resultData.summary && resultData.summary.reports) {
-                reportText += `## 📊 Available Reports Analysis\n`;
-                reportText += `The test summary shows ${resultData.summary.reports.length} available reports:\n\n`;
-                resultData.summary.reports.forEach((report, index) => {
-                    reportText += `### Report ${index + 1}: ${report.name}\n`;
-                    reportText += `- **ID**: ${report.id}\n`;
-                    reportText += `- **Content Type**: ${report['content-type']}\n`;
-                    reportText += `- **Exportable**: ${report.exportable}\n`;
-                    reportText += `- **URL**: ${report.href}\n`;
-                    reportText += `- **Last Updated**: ${report.lastUpdated}\n\n`;
-                });
-            }
+    if (timing.criticalPath.length > 0) {
+        reportText += `### Critical Path\n`;
+        reportText += `${timing.criticalPath.map(step => `${step.name} (${seconds(step.duration)})`).join(' → ')}\n\n`;
+    }
+    return reportText;
+}
 
-            // Step Analysis
-            if (parsedSteps.length > 0) {
-                reportText += `## Step-by-Step Analysis (Hierarchical)\n`;
-                reportText += `Found ${parsedSteps.length} steps/events:\n\n`;
-                
-                parsedSteps.forEach((step, index) => {
-                    const status = step.verdict === 'FAIL' ? '❌ FAILED' : 
-                                 step.verdict === 'PASS' ? '✅ PASSED' : 
-                                 step.verdict === 'INFO' ? 'ℹ️ INFO' :
-                                 '⚪ UNKNOWN';
-                    
-                    // Create indentation based on hierarchy level
-                    const indent = '  '.repeat(step.level || 0);
-                    const stepNumber = step.level === 0 ? `${index + 1}` : `${index + 1}`;
-                    
-                    reportText += `${indent}### Step ${stepNumber}: ${step.name}\n`;
-                    reportText += `${indent}- **ID**: ${step.id}\n`;
-                    reportText += `${indent}- **Status**: ${status}\n`;
-                    reportText += `${indent}- **Type**: ${step.type}\n`;
-                    reportText += `${indent}- **Start Time**: ${step.startTime}\n`;
-                    if (step.endTime) reportText += `${indent}- **End Time**: ${step.endTime}\n`;
-                    if (step.duration) reportText += `${indent}- **Duration**: ${step.duration}\n`;
-                    if (step.level > 0) reportText += `${indent}- **Level**: ${step.level} (substep)\n`;
-                    
-                    if (step.verdict === 'FAIL') {
-                        reportText += `${indent}- **🚨 FAILURE DETECTED IN THIS STEP**\n`;
-                        
-                        // Add detailed failure information
-                        if (step.properties) {
-                            reportText += `${indent}- **Failure Context**:\n`;
-                            if (step.properties.fragment) reportText += `${indent}  - Fragment: ${step.properties.fragment}\n`;
-                            if (step.properties.object) reportText += `${indent}  - Object: ${step.properties.object}\n`;
-                            if (step.properties.value) reportText += `${indent}  - Value: ${step.properties.value}\n`;
-                            if (step.properties.key) reportText += `${indent}  - Key: ${step.properties.key}\n`;
-                            if (step.properties.parent) reportText += `${indent}  - Parent: ${step.properties.parent}\n`;
-                        }
-                    }
-                    
-                    // Show step-specific properties
-                    if (step.type && step.type.includes('click') && step.properties) {
-                        reportText += `${indent}- **Action**: Click on ${step.properties.object || 'element'}\n`;
-                    } else if (step.type && step.type.includes('type') && step.properties) {
-                        reportText += `${indent}- **Action**: Type "${step.properties.value || 'text'}" into ${step.properties.object || 'element'}\n`;
-                    } else if (step.type && step.type.includes('press') && step.properties) {
-                        reportText += `${indent}- **Action**: Press key "${step.properties.key || 'unknown'}"\n`;
-                    } else if (step.type && step.type.includes('config') && step.properties) {
-                        reportText += `${indent}- **Configuration**: ${JSON.stringify(step.properties, null, 2)}\n`;
-                    } else if (step.type && step.type.includes('device') && step.properties) {
-                        reportText += `${indent}- **Device Info**: ${JSON.stringify(step.properties, null, 2)}\n`;
-                    }
-                    
-                    if (step.verdicts && Object.keys(step.verdicts).length > 0) {
-                        reportText += `${indent}- **Verdict Summary**: ${JSON.stringify(step.verdicts, null, 2)}\n`;
-                    }
-                    
-                    reportText += `\n`;
-                });
-            }
+// Structured form of a parsed step
+function toStepOutput(step) {
+    return {
+        id: step.id ?? null,
+        name: String(step.name),
+        type: step.type ?? null,
+        verdict: step.verdict ?? null,
+        level: step.level || 0,
+        startTime: step.startTime ?? null,
+        endTime: step.endTime ?? null,
+        duration: typeof step.duration === 'number' ? step.duration : null
+    };
+}
 
-            // Failure Analysis
-            const failedSteps = parsedSteps.filter(step => step.verdict === 'FAIL');
-            if (failedSteps.length > 0) {
-                reportText += `## 🚨 Failure Analysis\n`;
-                reportText += `Found ${failedSteps.length} failed step(s):\n\n`;
-                
-                failedSteps.forEach((failedStep, index) => {
-                    reportText += `### Failed Step ${index + 1}: ${failedStep.name}\n`;
-                    reportText += `- **Step ID**: ${failedStep.id}\n`;
-                    reportText += `- **Step Type**: ${failedStep.type}\n`;
-                    reportText += `- **Failure Time**: ${failedStep.endTime || failedStep.startTime}\n`;
-                    
-                    if (failedStep.properties) {
-                        reportText += `- **Step Details**: \`\`\`json\n${JSON.stringify(failedStep.properties, null, 2)}\n\`\`\`\n`;
-                    }
-                    
-                    reportText += `\n`;
-                });
-            }
+// Structured form of a failure
+function toFailureOutput(failure) {
+    return {
+        stepId: failure.stepId ?? null,
+        name: String(failure.name),
+        type: failure.type ?? null,
+        time: failure.time ?? null,
+        reason: failure.reason ?? null,
+        message: failure.message ?? null,
+        stacktrace: failure.stacktrace ?? null,
+        screenshot: failure.screenshot ?? null
+    };
+}
 
+// Progressive back-off between result status checks, in seconds (the last interval repeats)
+const POLL_BACKOFF_SECONDS = [30, 45, 60, 90];
 
+// Result statuses that mean the test has not finished yet
+const ACTIVE_RESULT_STATUSES = ['QUEUED', 'PENDING', 'STARTING', 'STARTED', 'INITIALIZING', 'LAUNCHING', 'RUNNING', 'IN_PROGRESS', 'STOPPING'];
 
-            // Artifacts section
-            if (resultData.artifacts && resultData.artifacts.length > 0) {
-                reportText += `## Artifacts\n`;
-                resultData.artifacts.forEach(artifact => {
-                    reportText += `- ${artifact.name || artifact.type || 'Unnamed artifact'}\n`;
-                });
-                reportText += `\n`;
-            }
+// Check whether a result summary describes a finished test
+function isResultComplete(summary) {
+    if (!summary || !summary.status) return false;
+    return !ACTIVE_RESULT_STATUSES.includes(String(summary.status).toUpperCase());
+}
 
-            // Screenshots section
-            if (resultData.screenshots && resultData.screenshots.length > 0) {
-                reportText += `## Screenshots\n`;
-                reportText += `Found ${resultData.screenshots.length} screenshot(s)\n\n`;
-            }
+// Sleep that wakes up early (with an error) when the request is cancelled
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new Error('Request cancelled'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new Error('Request cancelled'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
 
-            // Performance section
-            if (resultData.performance) {
-                reportText += `## Performance Data\n`;
-                reportText += `Performance metrics available\n\n`;
+// Poll a test result until it finishes or the timeout elapses, sending MCP progress notifications while it runs
+async function waitForTestCompletion(client, args, extra = {}) {
+    const timeoutMs = (args.timeoutSeconds ?? 900) * 1000;
+    const startedAt = Date.now();
+    const progressToken = extra._meta?.progressToken;
+
+    const sendProgress = async (message) => {
+        if (progressToken === undefined || !extra.sendNotification) return;
+        await extra.sendNotification({
+            method: 'notifications/progress',
+            params: {
+                progressToken,
+                progress: Math.round((Date.now() - startedAt) / 1000),
+                total: Math.round(timeoutMs / 1000),
+                message
             }
+        });
+    };
 
-            reportText += `## Raw Data (All Endpoints)\n`;
-            reportText += `\`\`\`json\n${JSON.stringify(resultData, null, 2)}\`\`\``;
+    const resultId = args.resultId || await client.resolveResultId(args.projectId, args.executionId);
 
-            return {
-                content: [{ 
-                    type: 'text', 
-                    text: reportText
-                }]
-            };
-            
-        } catch (e) {
-            return {
-                content: [{ type: 'text', text: `Error retrieving test results: ${e.message}` }]
-            };
-        }
+    if (args.initialDelaySeconds) {
+        await sendProgress(`Waiting ${args.initialDelaySeconds}s before the first status check of result ${resultId}`);
+        await sleep(args.initialDelaySeconds * 1000, extra.signal);
     }
-);
 
-// Tool to prepare download and get download ID from location header
-server.tool(
-  "prepare_test_download",
-  "Prepare test result download and extract download ID from location header",
-  {
-    projectId: z.string().describe("The ID of the project containing the test"),
-    resultId: z.string().describe("The result ID from the test execution")
-  },
-  async (args) => {
-    try {
-      if (!simpleAuth) {
-        const authSuccess = await setupAuthentication();
-        if (!authSuccess) {
-          throw new Error("Authentication failed");
+    // Only the result summary is polled; the full report is built once, when waiting ends
+    let checks = 0;
+    let completed = false;
+    while (true) {
+        checks++;
+        // A server that is briefly unreachable or overloaded is polled again; any other error ends the wait
+        let summary = null;
+        let checkError = null;
+        try {
+            summary = await client.getResult(args.projectId, resultId);
+        } catch (error) {
+            if (!isTransientError(error)) throw error;
+            checkError = error;
+            log.warning(`Checking result ${resultId} failed (${error.message}); checking again`);
+        }
+        if (isResultComplete(summary)) {
+            await sendProgress(`Result ${resultId} finished with status ${summary.status}, verdict ${summary.verdict || 'Unknown'}`);
+            completed = true;
+            break;
         }
-      }
 
-      const cleanServerURL = serverURL.replace('/#', '');
-      const url = new URL(cleanServerURL);
-      const baseURL = `${url.protocol}//${url.host}`;
-      const headers = await getDefaultHeaders();
+        // The last check happens at the deadline, so a test finishing just before it is not reported as timed out
+        const remainingMs = timeoutMs - (Date.now() - startedAt);
+        if (remainingMs <= 0) break;
+        const delayMs = Math.min(POLL_BACKOFF_SECONDS[Math.min(checks - 1, POLL_BACKOFF_SECONDS.length - 1)] * 1000, remainingMs);
 
-      const prepareUrl = `${baseURL}/test/rest/projects/${args.projectId}/results/${args.resultId}/reports/testlog/download`;
-      console.log(`Preparing download from: ${prepareUrl}`);
+        const state = checkError ? `could not be checked (${checkError.message})` : `is ${summary?.status || 'not available yet'}`;
+        await sendProgress(`Result ${resultId} ${state}; checking again in ${Math.round(delayMs / 1000)}s`);
+        await sleep(delayMs, extra.signal);
+    }
 
-      const prepareResponse = await fetch(prepareUrl, {
-        method: 'POST',
-        headers: headers
-      });
+    const { reportText, summary, structured } = await buildTestResultsReport(client, { ...args, resultId });
+    const elapsedSeconds = Math.round((Date.now() - startedAt) / 1000);
+    return { completed, resultId, summary, reportText, structured, elapsedSeconds, checks };
+}
 
-      if (!prepareResponse.ok) {
-        throw new Error(`Failed to prepare download: ${prepareResponse.status} ${prepareResponse.statusText}`);
-      }
+// Structured form of the outcome of waitForTestCompletion
+function toWaitOutput(outcome) {
+    return {
+        completed: outcome.completed,
+        resultId: outcome.resultId,
+        elapsedSeconds: outcome.elapsedSeconds,
+        checks: outcome.checks,
+        result: outcome.structured
+    };
+}
 
-      // Extract download ID from location header
-      const locationHeader = prepareResponse.headers.get('location');
-      if (!locationHeader) {
-        throw new Error('No location header found in response');
-      }
+// Render the outcome of waitForTestCompletion as report text
+function formatWaitOutcome(outcome) {
+    let text = outcome.completed
+        ? `## ⏱️ Test completed after ${outcome.elapsedSeconds} seconds (${outcome.checks} status check(s))\n\n`
+        : `## ⏱️ Timed out after ${outcome.elapsedSeconds} seconds (${outcome.checks} status check(s)); last status: ${outcome.summary?.status || 'Unknown'}\n` +
+          `Use get_test_results or wait_for_test_completion with result ID "${outcome.resultId}" to keep monitoring.\n\n`;
+    return text + outcome.reportText;
+}
 
-      // Extract download ID from location path (e.g., /test/rest/projects/1150/downloads/1556 -> 1556)
-      const downloadIdMatch = locationHeader.match(/\/downloads\/(\d+)$/);
-      if (!downloadIdMatch) {
-        throw new Error(`Could not extract download ID from location header: ${locationHeader}`);
-      }
+const executionSummaryOutputSchema = z.object({
+    executionId: z.string(),
+    testName: z.string().nullable(),
+    assetId: z.string().nullable(),
+    initiator: z.string().nullable(),
+    startTime: z.string().nullable().describe("ISO 8601 start time"),
+    status: z.string().nullable(),
+    resultId: z.string().nullable()
+});
 
-      const downloadId = downloadIdMatch[1];
+const executionsOutputSchema = {
+    projectId: z.string(),
+    executions: z.array(executionSummaryOutputSchema)
+};
+
+const cancelOutputSchema = {
+    projectId: z.string(),
+    executionId: z.string(),
+    cancelRequested: z.boolean().describe("False when the execution had already finished"),
+    confirmed: z.boolean().describe("True when the execution reached a final state"),
+    finalStatus: z.string().nullable(),
+    execution: executionSummaryOutputSchema
+};
+
+const resultsOutputSchema = {
+    projectId: z.string(),
+    page: z.number(),
+    pageSize: z.number(),
+    hasMore: z.boolean().describe("More matching results follow on the next page"),
+    truncated: z.boolean().describe("The search stopped after reading the most recent results, so older matching results may exist"),
+    results: z.array(z.object({
+        resultId: z.string(),
+        testName: z.string().nullable(),
+        assetId: z.string().nullable(),
+        verdict: z.string().nullable(),
+        status: z.string().nullable(),
+        branch: z.string().nullable(),
+        initiator: z.string().nullable(),
+        startTime: z.string().nullable().describe("ISO 8601 start time"),
+        durationSeconds: z.number().nullable()
+    }))
+};
+
+// Summary of a result as shown by list_results
+function toResultSummary(result) {
+    const startDate = result.startDate || result.creationDate;
+    const assetId = result.assetId ?? result.testAsset?.assetId;
+    return {
+        resultId: String(result.id),
+        testName: result.name || null,
+        assetId: assetId ? String(assetId) : null,
+        verdict: result.verdict || null,
+        status: result.status || null,
+        branch: result.branch || null,
+        initiator: result.initiator || null,
+        startTime: startDate ? new Date(startDate).toISOString() : null,
+        durationSeconds: result.duration ? result.duration / 1000 : null
+    };
+}
 
-      return {
-        content: [{ 
-          type: 'text', 
-          text: `Download preparation successful!\n\n**Project ID**: ${args.projectId}\n**Result ID**: ${args.resultId}\n**Download ID**: ${downloadId}\n**Location Header**: ${locationHeader}\n**Prepare URL**: ${prepareUrl}\n\nUse the download ID "${downloadId}" with the get_test_log_results tool to download and analyze the test logs.` 
-        }]
-      };
-
-    } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error preparing test download: ${error.message}` }]
-      };
-    }
-  }
-);
-
-// Tool to get test log results by downloading the zip archive
-server.tool(
-  "get_test_log_results",
-  "Download and analyze test log results from the zip archive",
-  {
-    projectId: z.string().describe("The ID of the project containing the test"),
-    downloadId: z.string().describe("The download ID for the result archive (e.g., from result execution)")
-  },
-  async (args) => {
-    try {
-      if (!simpleAuth) {
-        const authSuccess = await setupAuthentication();
-        if (!authSuccess) {
-          throw new Error("Authentication failed");
+// Testlogs downloaded by one flakiness analysis: default and upper bound of maxLogDownloads
+const DEFAULT_FLAKINESS_LOG_DOWNLOADS = 30;
+const MAX_FLAKINESS_LOG_DOWNLOADS = 200;
+
+// Time one flakiness analysis may spend downloading testlogs: default and upper bound of stepTimeoutSeconds
+const DEFAULT_FLAKINESS_STEP_TIMEOUT_SECONDS = 300;
+const MAX_FLAKINESS_STEP_TIMEOUT_SECONDS = 1800;
+
+const flakinessOutputSchema = {
+    projectId: z.string(),
+    runsAnalyzed: z.number(),
+    logsAnalyzed: z.number().describe("Runs whose testlog was downloaded for step analysis"),
+    logsSkipped: z.number().describe("Runs whose testlog was not downloaded because maxLogDownloads or stepTimeoutSeconds was reached"),
+    stepTimeoutReached: z.boolean().describe("Whether step analysis stopped because stepTimeoutSeconds elapsed"),
+    tests: z.array(z.object({
+        testName: z.string(),
+        runs: z.number(),
+        passed: z.number(),
+        failed: z.number(),
+        flipRate: z.number().describe("Share of consecutive runs whose outcome differs (0-1)"),
+        failRate: z.number(),
+        score: z.number().describe("Ranking score; higher is flakier"),
+        classification: z.enum(['flaky', 'failing', 'stable']),
+        inconsistentFailures: z.boolean().describe("Failed at different steps on the same revision"),
+        verdicts: z.array(z.string()).describe("Verdicts oldest first"),
+        evidence: z.array(z.object({
+            resultId: z.string(),
+            verdict: z.string().nullable(),
+            revision: z.string().nullable(),
+            startTime: z.string().nullable(),
+            failingSteps: z.array(z.string()).nullable()
+        })),
+        steps: z.array(z.object({
+            name: z.string(),
+            runs: z.number(),
+            failed: z.number(),
+            flipRate: z.number()
+        }))
+    }))
+};
+
+// Collect the last finished runs of the requested tests (or of the most recently run tests)
+async function collectFlakinessHistory(client, args) {
+    const finished = (result) => result.verdict && isResultComplete(result);
+
+    const runsByTest = new Map();
+    if (args.testNames?.length) {
+        for (const testName of args.testNames) {
+            // The name filter matches substrings, so fetch extra and keep exact matches only
+            const { results } = await client.findResults(args.projectId, {
+                testName, branch: args.branch, since: args.since, limit: args.lastRuns * 4
+            });
+            runsByTest.set(testName, results.filter(r => r.name === testName && finished(r)).slice(0, args.lastRuns));
         }
-      }
-
-      const cleanServerURL = serverURL.replace('/#', '');
-      const url = new URL(cleanServerURL);
-      const baseURL = `${url.protocol}//${url.host}`;
-      const headers = await getDefaultHeaders();
-
-      const downloadUrl = `${baseURL}/test/rest/projects/${args.projectId}/downloads/${args.downloadId}`;
-      console.log(`Downloading test results from: ${downloadUrl}`);
-
-      const downloadResponse = await fetch(downloadUrl, {
-        method: 'GET',
-        headers: headers
-      });
-
-      if (!downloadResponse.ok) {
-        throw new Error(`Failed to download results: ${downloadResponse.status} ${downloadResponse.statusText}`);
-      }
-
-      // Wait 2 seconds before processing the zip
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-        const zipChunks = [];
-        for await (const chunk of downloadResponse.body) {
-            zipChunks.push(chunk);
+    } else {
+        const { results } = await client.findResults(args.projectId, { branch: args.branch, since: args.since, limit: 500 });
+        for (const result of results.filter(finished)) {
+            if (!runsByTest.has(result.name)) {
+                if (runsByTest.size >= args.maxTests) continue;
+                runsByTest.set(result.name, []);
+            }
+            const runs = runsByTest.get(result.name);
+            if (runs.length < args.lastRuns) runs.push(result);
         }
-        const zipData = Buffer.concat(zipChunks);
-      
+    }
+    return [...runsByTest.values()].flat();
+}
 
-      // Extract testlog.json from the zip
-      const directory = await unzipper.Open.buffer(zipData);
-      const testLogFile = directory.files.find(f => f.path.endsWith('testlog.json') && f.type === 'File');
+// Download and parse the testlog of a result for its steps and failures (null when unavailable),
+// waiting at most timeoutSeconds for the archive
+async function fetchRunSteps(client, projectId, resultId, cache, extra, timeoutSeconds) {
+    try {
+        const { testLog } = await fetchResultTestLog(client, projectId, { resultId }, cache, { signal: extra.signal }, timeoutSeconds);
+        return {
+            steps: testLog.steps.map(step => ({ name: String(step.name), verdict: step.verdict })),
+            failingSteps: testLog.failures.map(failure => String(failure.name))
+        };
+    } catch (e) {
+        log.warning(`Testlog of result ${resultId} unavailable for flakiness analysis: ${e.message}`);
+        return null;
+    }
+}
 
-      if (!testLogFile) {
-        throw new Error(`testlog.json not found in archive`);
-      }
+// Analyze the flakiness of tests from their recent history, with step details from the testlogs.
+// At most maxLogDownloads testlogs are downloaded, all within stepTimeoutSeconds; the analysis
+// stops as soon as the request is cancelled
+async function analyzeProjectFlakiness(client, args, extra = {}, cache = null) {
+    const history = await collectFlakinessHistory(client, args);
+    const progressToken = extra._meta?.progressToken;
+    const downloads = args.includeSteps ? Math.min(history.length, args.maxLogDownloads ?? DEFAULT_FLAKINESS_LOG_DOWNLOADS) : 0;
+    const deadline = Date.now() + (args.stepTimeoutSeconds ?? DEFAULT_FLAKINESS_STEP_TIMEOUT_SECONDS) * 1000;
+
+    let logsAnalyzed = 0;
+    let logsSkipped = args.includeSteps ? history.length - downloads : 0;
+    let stepTimeoutReached = false;
+    const runs = [];
+    for (const [index, result] of history.entries()) {
+        extra.signal?.throwIfAborted();
+
+        let stepData = null;
+        if (index < downloads) {
+            const remainingSeconds = Math.ceil((deadline - Date.now()) / 1000);
+            if (remainingSeconds > 0) {
+                stepData = await fetchRunSteps(client, args.projectId, result.id, cache, extra, Math.min(remainingSeconds, ARCHIVE_READY_TIMEOUT_SECONDS));
+            } else {
+                stepTimeoutReached = true;
+                logsSkipped++;
+            }
+        }
+        if (stepData) logsAnalyzed++;
+        if (index < downloads && progressToken !== undefined && extra.sendNotification) {
+            const message = stepTimeoutReached ? `Skipped testlog of result ${result.id} (time limit reached)` : `Analyzed testlog of result ${result.id}`;
+            await extra.sendNotification({
+                method: 'notifications/progress',
+                params: { progressToken, progress: index + 1, total: downloads, message }
+            });
+        }
+
+        const summary = toResultSummary(result);
+        runs.push({
+            resultId: summary.resultId,
+            testName: summary.testName || 'Unknown test',
+            verdict: summary.verdict,
+            revision: result.revision || summary.branch,
+            startTime: summary.startTime,
+            steps: stepData?.steps || null,
+            failingSteps: stepData?.failingSteps || null
+        });
+    }
 
-      const testLogContent = await testLogFile.buffer();
-      const testLogJSON = JSON.parse(testLogContent.toString('utf-8'));
+    return {
+        projectId: args.projectId,
+        runsAnalyzed: runs.length,
+        logsAnalyzed,
+        logsSkipped,
+        stepTimeoutReached,
+        tests: analyzeFlakiness(runs)
+    };
+}
 
-      // Parse the log as before
-      const results = parseTestLog(testLogJSON);
+// Render a flakiness analysis as a ranking with evidence for every test that is not stable
+function formatFlakinessReport(analysis) {
+    const verdictIcon = (verdict) => verdict === 'PASS' ? '✅' : '❌';
+    const percent = (value) => `${Math.round(value * 100)}%`;
+
+    let reportText = `# 🔍 Flakiness Analysis\n\n`;
+    reportText += `**Project ID**: ${analysis.projectId}\n`;
+    reportText += `**Runs Analyzed**: ${analysis.runsAnalyzed} (${analysis.logsAnalyzed} with step details)\n\n`;
+    if (analysis.logsSkipped > 0) {
+        const reason = analysis.stepTimeoutReached ? 'the time limit was reached; raise stepTimeoutSeconds' : 'the download limit was reached; raise maxLogDownloads';
+        reportText += `> ⚠️ The testlogs of ${analysis.logsSkipped} run(s) were not downloaded because ${reason} for step details on every run\n\n`;
+    }
 
-      let reportText = `# Test Log Results Analysis (Zip Extraction)\n\n`;
-      reportText += `**Project ID**: ${args.projectId}\n`;
-      reportText += `**Download ID**: ${args.downloadId}\n`;
-      reportText += `**Download URL**: ${downloadUrl}\n`;
-      reportText += `**Archive Size**: ${zipData.length} bytes\n\n`;
+    if (analysis.tests.length === 0) {
+        return reportText + `No finished runs match the filters.\n`;
+    }
+
+    reportText += `## 📊 Ranking (flakiest first)\n\n`;
+    reportText += `| # | Test | Runs | Fail Rate | Flip Rate | Classification | History (oldest first) |\n`;
+    reportText += `|---|------|------|-----------|-----------|----------------|------------------------|\n`;
+    analysis.tests.forEach((test, index) => {
+        reportText += `| ${index + 1} | ${test.testName} | ${test.runs} | ${percent(test.failRate)} | ${percent(test.flipRate)} | ${test.classification} | ${test.verdicts.map(verdictIcon).join('')} |\n`;
+    });
+
+    const unstable = analysis.tests.filter(test => test.classification !== 'stable');
+    for (const test of unstable) {
+        reportText += `\n### ${test.classification === 'flaky' ? '🎲' : '🚨'} ${test.testName} (${test.classification})\n`;
+        if (test.inconsistentFailures) {
+            reportText += `- ⚠️ Fails at different steps on the same revision\n`;
+        }
+        reportText += `- Failed runs:\n`;
+        test.evidence.forEach(run => {
+            const steps = run.failingSteps ? (run.failingSteps.join(', ') || 'no failed step recorded') : 'testlog unavailable';
+            reportText += `  - Result ${run.resultId} (${run.verdict || 'Unknown'}, revision ${run.revision || 'unknown'}, ${run.startTime || 'N/A'}): ${steps}\n`;
+        });
+        if (test.steps.length > 0) {
+            reportText += `- Steps with changing verdicts: ${test.steps.slice(0, 5).map(step => `${step.name} (${percent(step.flipRate)} flips, failed ${step.failed}/${step.runs})`).join('; ')}\n`;
+        }
+    }
+    return reportText;
+}
 
-      reportText += `## ✅ testlog.json extracted and parsed successfully\n`;
-      reportText += `- 📝 Test Summary ID: ${results.summary.id}\n`;
-      reportText += `- 👤 Initiated By: ${results.summary.initiatedByUser || 'Unknown'}\n`;
-      reportText += `- 🧪 Total Steps: ${results.steps.length}\n`;
-      reportText += `- ❌ Failures: ${results.failures.length}\n\n`;
+const comparisonSideOutputSchema = z.object({
+    resultId: z.string().nullable(),
+    downloadId: z.string().nullable(),
+    testName: z.string().nullable(),
+    verdict: z.string().nullable(),
+    stepCount: z.number()
+});
 
-      if (results.failures.length > 0) {
-        reportText += `### ❌ Failure Details\n`;
-        results.failures.forEach((fail, i) => {
-          reportText += `- ${i + 1}. **${fail.name}** (Reason: ${fail.reason || 'N/A'})\n`;
-          if (fail.message) reportText += `   ↳ Message: ${fail.message}\n`;
-          if (fail.stacktrace) reportText += `   ↳ Stacktrace: Present\n`;
-          if (fail.screenshot) reportText += `   ↳ Screenshot: Captured\n`;
-          reportText += `\n`;
+const alignedStepOutputSchema = z.object({
+    key: z.string().describe("Position of the step in the tree, e.g. \"Login › Submit form\""),
+    name: z.string(),
+    level: z.number(),
+    verdict: z.string().nullable(),
+    duration: z.number().nullable()
+});
+
+const comparisonOutputSchema = {
+    projectId: z.string(),
+    base: comparisonSideOutputSchema,
+    target: comparisonSideOutputSchema,
+    verdictChanged: z.boolean().describe("The overall verdict differs"),
+    verdictChanges: z.array(z.object({
+        key: z.string(),
+        name: z.string(),
+        level: z.number(),
+        baseVerdict: z.string().nullable(),
+        targetVerdict: z.string().nullable()
+    })),
+    added: z.array(alignedStepOutputSchema).describe("Steps only in the target result"),
+    removed: z.array(alignedStepOutputSchema).describe("Steps only in the base result"),
+    durationChanges: z.array(z.object({
+        key: z.string(),
+        name: z.string(),
+        level: z.number(),
+        baseDuration: z.number(),
+        targetDuration: z.number(),
+        changeMs: z.number(),
+        changePercent: z.number().nullable()
+    })),
+    unchanged: z.number()
+};
+
+// Load the steps of one side of a comparison, from a testlog archive or the execution logs of a result
+async function loadComparisonSide(client, projectId, side, source, cache, extra) {
+    if (side.downloadId) {
+        const { testLog } = await fetchResultTestLog(client, projectId, side, cache, extra);
+        return {
+            resultId: null,
+            downloadId: side.downloadId,
+            testName: null,
+            verdict: testLog.summary.verdict ?? null,
+            steps: testLog.steps
+        };
+    }
+
+    const summary = await client.getResult(projectId, side.resultId).catch(() => null);
+    let steps;
+    let verdict = summary?.verdict ?? null;
+    if (source === 'logs') {
+        const logs = await client.getResultLogs(projectId, side.resultId);
+        steps = parseTestLog(Array.isArray(logs) ? logs : []).steps;
+    } else {
+        const { testLog } = await fetchResultTestLog(client, projectId, side, cache, extra);
+        steps = testLog.steps;
+        verdict = verdict ?? testLog.summary.verdict ?? null;
+    }
+    return {
+        resultId: side.resultId,
+        downloadId: null,
+        testName: summary?.name ?? null,
+        verdict,
+        steps
+    };
+}
+
+// Render a result comparison as a markdown report with a diff of the changed steps
+function formatComparisonReport(comparison) {
+    const describeSide = (side) => {
+        const label = side.resultId ? `Result ${side.resultId}` : `Download ${side.downloadId}`;
+        return `${label} (${side.testName ? `${side.testName}, ` : ''}${side.verdict || 'Unknown'}, ${side.stepCount} steps)`;
+    };
+    const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+    let reportText = `# 🔀 Result Comparison\n\n`;
+    reportText += `**Project ID**: ${comparison.projectId}\n`;
+    reportText += `**Base**: ${describeSide(comparison.base)}\n`;
+    reportText += `**Target**: ${describeSide(comparison.target)}\n\n`;
+
+    reportText += `## 📊 Summary\n`;
+    reportText += `- Overall verdict: ${comparison.base.verdict || 'Unknown'} → ${comparison.target.verdict || 'Unknown'}${comparison.verdictChanged ? ' (changed)' : ''}\n`;
+    reportText += `- 🔄 Verdict changes: ${comparison.verdictChanges.length}\n`;
+    reportText += `- ➕ Added steps: ${comparison.added.length}\n`;
+    reportText += `- ➖ Removed steps: ${comparison.removed.length}\n`;
+    reportText += `- ⏱️ Duration changes: ${comparison.durationChanges.length}\n`;
+    reportText += `- Unchanged steps: ${comparison.unchanged}\n\n`;
+
+    if (comparison.verdictChanges.length > 0) {
+        reportText += `## 🔄 Verdict Changes\n\n| Step | Base | Target |\n|------|------|--------|\n`;
+        comparison.verdictChanges.forEach(change => {
+            reportText += `| ${change.key} | ${change.baseVerdict || 'N/A'} | ${change.targetVerdict || 'N/A'} |\n`;
+        });
+        reportText += `\n`;
+    }
+
+    if (comparison.durationChanges.length > 0) {
+        reportText += `## ⏱️ Duration Changes\n\n| Step | Base | Target | Change |\n|------|------|--------|--------|\n`;
+        comparison.durationChanges.forEach(change => {
+            const percent = change.changePercent === null ? '' : ` (${change.changePercent > 0 ? '+' : ''}${change.changePercent}%)`;
+            reportText += `| ${change.key} | ${seconds(change.baseDuration)} | ${seconds(change.targetDuration)} | ${change.changeMs > 0 ? '+' : ''}${seconds(change.changeMs)}${percent} |\n`;
+        });
+        reportText += `\n`;
+    }
+
+    const diffLines = [
+        ...comparison.removed.map(step => `- ${step.key} (${step.verdict || 'N/A'})`),
+        ...comparison.added.map(step => `+ ${step.key} (${step.verdict || 'N/A'})`),
+        ...comparison.verdictChanges.flatMap(change => [
+            `- ${change.key} (${change.baseVerdict || 'N/A'})`,
+            `+ ${change.key} (${change.targetVerdict || 'N/A'})`
+        ])
+    ];
+    if (diffLines.length > 0) {
+        reportText += `## Diff\n\n\`\`\`diff\n${diffLines.join('\n')}\n\`\`\`\n`;
+    } else if (comparison.durationChanges.length === 0) {
+        reportText += `No differences between the step trees.\n`;
+    }
+    return reportText;
+}
+
+const responseTimeStatsShape = {
+    count: z.number(),
+    errors: z.number(),
+    errorRate: z.number().nullable().describe("Share of failed requests (0-1)"),
+    throughput: z.number().nullable().describe("Requests per second"),
+    average: z.number().nullable(),
+    max: z.number().nullable(),
+    p50: z.number().nullable(),
+    p90: z.number().nullable(),
+    p95: z.number().nullable(),
+    p99: z.number().nullable()
+};
+
+const performanceOutputSchema = {
+    projectId: z.string(),
+    resultId: z.string(),
+    testName: z.string().nullable(),
+    durationSeconds: z.number().nullable(),
+    overall: z.object(responseTimeStatsShape).describe("Response times in milliseconds over all requests"),
+    transactions: z.array(z.object({ name: z.string(), ...responseTimeStatsShape })).describe("Per transaction or page, slowest (p95) first"),
+    totalTransactions: z.number(),
+    users: z.object({
+        peakUsers: z.number().nullable(),
+        rampUpSeconds: z.number().nullable().describe("Seconds until the peak number of virtual users was reached"),
+        points: z.array(z.object({ seconds: z.number(), users: z.number() }))
+    }),
+    slas: z.array(z.object({
+        metric: z.string(),
+        transaction: z.string().nullable(),
+        operator: z.string(),
+        threshold: z.number(),
+        actual: z.number().nullable(),
+        passed: z.boolean()
+    })),
+    slasPassed: z.boolean().nullable().describe("Whether every SLA passed; null when no SLA was given")
+};
+
+// Render a performance analysis as a markdown report
+function formatPerformanceReport(analysis) {
+    const ms = (value) => (value === null ? 'N/A' : `${value} ms`);
+    const percent = (value) => (value === null ? 'N/A' : `${Math.round(value * 1000) / 10}%`);
+    const rate = (value) => (value === null ? 'N/A' : `${value}/s`);
+
+    let reportText = `# Performance Analysis\n\n`;
+    reportText += `**Project ID**: ${analysis.projectId}\n`;
+    reportText += `**Result ID**: ${analysis.resultId}\n`;
+    if (analysis.testName) reportText += `**Test Name**: ${analysis.testName}\n`;
+    reportText += `**Duration**: ${analysis.durationSeconds === null ? 'N/A' : `${analysis.durationSeconds} seconds`}\n\n`;
+
+    if (analysis.slas.length > 0) {
+        reportText += `## ${analysis.slasPassed ? '✅ All SLAs passed' : '❌ SLAs failed'}\n\n| SLA | Target | Actual | Result |\n|-----|--------|--------|--------|\n`;
+        analysis.slas.forEach(sla => {
+            const format = sla.metric === 'errorRate' ? percent : sla.metric === 'throughput' ? rate : ms;
+            reportText += `| ${sla.metric} of ${sla.transaction ?? 'all requests'} | ${sla.operator} ${format(sla.threshold)} | ${format(sla.actual)} | ${sla.passed ? '✅ PASS' : '❌ FAIL'} |\n`;
+        });
+        reportText += `\n`;
+    }
+
+    const { overall } = analysis;
+    reportText += `## 📈 Overall\n`;
+    reportText += `- Requests: ${overall.count} (${overall.errors} failed, error rate ${percent(overall.errorRate)})\n`;
+    reportText += `- Throughput: ${rate(overall.throughput)}\n`;
+    reportText += `- Response Time: p50 ${ms(overall.p50)}, p90 ${ms(overall.p90)}, p95 ${ms(overall.p95)}, p99 ${ms(overall.p99)}, average ${ms(overall.average)}, max ${ms(overall.max)}\n\n`;
+
+    if (analysis.transactions.length > 0) {
+        reportText += `## Transactions\n\n| Transaction | Requests | Error Rate | Throughput | p50 | p90 | p95 | p99 |\n|-------------|----------|------------|------------|-----|-----|-----|-----|\n`;
+        analysis.transactions.forEach(t => {
+            reportText += `| ${t.name} | ${t.count} | ${percent(t.errorRate)} | ${rate(t.throughput)} | ${ms(t.p50)} | ${ms(t.p90)} | ${ms(t.p95)} | ${ms(t.p99)} |\n`;
+        });
+        if (analysis.totalTransactions > analysis.transactions.length) {
+            reportText += `\nShowing the ${analysis.transactions.length} slowest of ${analysis.totalTransactions} transactions.\n`;
+        }
+        reportText += `\n`;
+    }
+
+    if (analysis.users.points.length > 0) {
+        reportText += `## 👥 Virtual Users\n`;
+        reportText += `- Peak: ${analysis.users.peakUsers} users, reached after ${analysis.users.rampUpSeconds} seconds\n`;
+        reportText += `- Ramp: ${analysis.users.points.map(point => `${point.seconds}s: ${point.users}`).join(' → ')}\n`;
+    }
+    return reportText;
+}
+
+// Progressive back-off between checks whether a prepared archive is ready, in seconds (the last interval repeats)
+const DOWNLOAD_POLL_BACKOFF_SECONDS = [1, 2, 4, 8, 15];
+
+const downloadTestLogOutputSchema = {
+    ...parsedTestLogOutputSchema,
+    resultId: z.string(),
+    downloadId: z.string().nullable().describe("Null when the archive came from the cache"),
+    fromCache: z.boolean(),
+    cachePath: z.string().nullable().describe("Where the archive is cached, if it is"),
+    checks: z.number().describe("Number of download attempts until the archive was ready"),
+    elapsedSeconds: z.number()
+};
+
+// Prepare the testlog archive of a result and download it into dir once the server has it ready.
+// With a cache, a cached archive is used instead, and the archives of finished results are stored.
+// The archive is returned as the path of the archive file.
+async function fetchResultArchive(client, args, cache, dir, extra = {}) {
+    const key = { serverURL: client.serverURL, projectId: args.projectId, resultId: args.resultId };
+    if (cache) {
+        const cached = await cache.find(key);
+        if (cached) {
+            const { size } = await stat(cached);
+            return { archive: cached, size, downloadId: null, fromCache: true, cachePath: cached, checks: 0, elapsedSeconds: 0 };
+        }
+    }
+
+    const { downloadId } = await client.prepareDownload(args.projectId, args.resultId);
+    const ready = await waitForArchive(client, args.projectId, downloadId, dir, args.timeoutSeconds, `result ${args.resultId} (download ${downloadId})`, extra);
+
+    // A running result's archive is incomplete, so it is not worth keeping
+    let cachePath = null;
+    if (cache && isResultComplete(await client.getResult(args.projectId, args.resultId).catch(() => null))) {
+        cachePath = await cache.set(key, ready.archive);
+    }
+    return { ...ready, downloadId, fromCache: false, cachePath };
+}
+
+// Download a prepared archive into dir, checking with back-off until the server has it ready.
+// label names the archive in the timeout error.
+async function waitForArchive(client, projectId, downloadId, dir, timeoutSeconds, label, extra = {}) {
+    const timeoutMs = timeoutSeconds * 1000;
+    const startedAt = Date.now();
+    const progressToken = extra._meta?.progressToken;
+    const sendProgress = async (message) => {
+        if (progressToken === undefined || !extra.sendNotification) return;
+        await extra.sendNotification({
+            method: 'notifications/progress',
+            params: {
+                progressToken,
+                progress: Math.round((Date.now() - startedAt) / 1000),
+                total: timeoutSeconds,
+                message
+            }
+        });
+    };
+
+    let checks = 0;
+    while (true) {
+        checks++;
+        const attempt = await client.tryDownloadArchive(projectId, downloadId, { filePath: path.join(dir, 'archive.zip') });
+        const elapsedSeconds = Math.round((Date.now() - startedAt) / 1000);
+
+        if (attempt.ready) {
+            return { archive: attempt.archive, size: attempt.size, checks, elapsedSeconds };
+        }
+
+        const delayMs = DOWNLOAD_POLL_BACKOFF_SECONDS[Math.min(checks - 1, DOWNLOAD_POLL_BACKOFF_SECONDS.length - 1)] * 1000;
+        if (Date.now() + delayMs - startedAt > timeoutMs) {
+            throw new Error(`The archive of ${label} was not ready after ${elapsedSeconds}s and ${checks} check(s); try again later or raise timeoutSeconds`);
+        }
+
+        await sendProgress(`Download ${downloadId} is still being prepared (HTTP ${attempt.status}); checking again in ${delayMs / 1000}s`);
+        await sleep(delayMs, extra.signal);
+    }
+}
+
+// Time to wait for a result archive to be ready, in seconds, unless the tool lets the caller choose
+const ARCHIVE_READY_TIMEOUT_SECONDS = 120;
+
+// Download a result archive given as a result ID (prepared first) or as a download ID into dir,
+// once the server has it ready. A cache is only used for result IDs. The archive is returned as
+// the path of the archive file.
+async function openResultArchive(client, projectId, source, dir, extra, cache = null, timeoutSeconds = ARCHIVE_READY_TIMEOUT_SECONDS) {
+    if (source.downloadId) {
+        const { archive, size } = await waitForArchive(client, projectId, source.downloadId, dir, timeoutSeconds, `download ${source.downloadId}`, extra);
+        return { archive, size, downloadId: source.downloadId };
+    }
+    const { archive, size, downloadId } = await fetchResultArchive(client, {
+        projectId,
+        resultId: source.resultId,
+        timeoutSeconds
+    }, cache, dir, extra);
+    return { archive, size, downloadId };
+}
+
+// Parse the testlog of a result archive given as a result ID or a download ID (see openResultArchive)
+async function fetchResultTestLog(client, projectId, source, cache = null, extra = {}, timeoutSeconds = ARCHIVE_READY_TIMEOUT_SECONDS) {
+    return await withTemporaryDirectory(async (dir) => {
+        const { archive, downloadId } = await openResultArchive(client, projectId, source, dir, extra, cache, timeoutSeconds);
+        return { testLog: await client.readParsedTestLog(archive), downloadId };
+    });
+}
+
+// Upper limits for the contents returned by read_archive_entry
+const DEFAULT_MAX_ENTRY_CHARS = 50000;
+const MAX_ENTRY_CHARS = 500000;
+const MAX_ENTRY_BLOB_BYTES = 10 * 1024 * 1024;
+
+const archiveEntriesOutputSchema = {
+    projectId: z.string(),
+    resultId: z.string().nullable(),
+    downloadId: z.string(),
+    archiveSize: z.number(),
+    totalEntries: z.number().describe("Files in the archive, before filtering"),
+    entries: z.array(z.object({
+        path: z.string(),
+        size: z.number().describe("Uncompressed size in bytes"),
+        compressedSize: z.number(),
+        lastModified: z.string().nullable(),
+        mimeType: z.string(),
+        kind: z.enum(['text', 'image', 'binary'])
+    }))
+};
+
+const archiveEntryOutputSchema = {
+    projectId: z.string(),
+    resultId: z.string().nullable(),
+    downloadId: z.string(),
+    entryPath: z.string(),
+    size: z.number(),
+    mimeType: z.string(),
+    returnedAs: z.enum(['text', 'blob']),
+    encoding: z.string().nullable().describe("Detected text encoding"),
+    truncated: z.boolean(),
+    totalChars: z.number().nullable().describe("Length of the whole text in characters")
+};
+
+// Render the entries of a result archive as a markdown table
+function formatArchiveEntries(source, entries, totalEntries) {
+    let text = `# 🗂️ Result Archive Contents\n\n**Source**: ${source}\n`;
+    text += entries.length === totalEntries
+        ? `**Files**: ${totalEntries}\n\n`
+        : `**Files**: ${entries.length} of ${totalEntries} match the filter\n\n`;
+    if (entries.length === 0) return text;
+
+    text += `| Path | Size | Type |\n|------|------|------|\n`;
+    entries.forEach(entry => {
+        text += `| ${entry.path} | ${entry.size} bytes | ${entry.mimeType} |\n`;
+    });
+    return text + `\nUse read_archive_entry with a path to read a file.\n`;
+}
+
+// Default and upper limits for the screenshots returned by get_test_screenshots
+const DEFAULT_MAX_SCREENSHOTS = 5;
+const MAX_SCREENSHOTS = 20;
+const DEFAULT_MAX_SCREENSHOT_BYTES = 5 * 1024 * 1024;
+
+// Image types MCP clients can display
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const screenshotsOutputSchema = {
+    projectId: z.string(),
+    resultId: z.string().nullable(),
+    downloadId: z.string(),
+    screenshots: z.array(z.object({
+        stepId: idValue.nullable(),
+        stepName: z.string(),
+        verdict: z.string().nullable(),
+        path: z.string().nullable().describe("Screenshot path as referenced in the testlog"),
+        mimeType: z.string().nullable(),
+        size: z.number().nullable().describe("Size of the image file in bytes"),
+        included: z.boolean().describe("The image is part of the response"),
+        skipped: z.string().nullable().describe("Why the image was left out")
+    }))
+};
+
+// Pick the steps to show screenshots of: the failed steps, or the steps named or identified in stepFilter
+function selectScreenshotSteps(testLog, stepFilter) {
+    if (!stepFilter || stepFilter.length === 0) {
+        return testLog.failures.filter(failure => failure.screenshot).map(failure => ({
+            stepId: failure.stepId ?? null,
+            stepName: failure.name,
+            verdict: 'FAIL',
+            reason: failure.reason,
+            path: failure.screenshot
+        }));
+    }
+
+    const wanted = stepFilter.map(value => String(value).toLowerCase());
+    return testLog.steps
+        .filter(step => wanted.includes(String(step.id).toLowerCase()) || wanted.includes(String(step.name).toLowerCase()))
+        .map(step => ({
+            stepId: step.id ?? null,
+            stepName: step.name,
+            verdict: step.verdict ?? null,
+            reason: testLog.failures.find(failure => failure.stepId === step.id)?.reason ?? null,
+            path: step.screenshot
+        }));
+}
+
+// Read the screenshots of the selected steps from the archive, within the count and size limits.
+// Returns the structured entries and the MCP content items (a caption followed by the image).
+async function collectScreenshots(client, archive, steps, { maxImages, maxTotalBytes }) {
+    const files = await client.findArchiveFiles(archive, steps.filter(step => step.path).map(step => step.path));
+    const screenshots = [];
+    const content = [];
+    let imageCount = 0;
+    let totalBytes = 0;
+
+    for (const step of steps) {
+        const file = step.path ? files.get(step.path) : null;
+        const mimeType = step.path && IMAGE_MIME_TYPES.includes(mimeTypeOf(step.path)) ? mimeTypeOf(step.path) : null;
+        const entry = {
+            stepId: step.stepId,
+            stepName: step.stepName,
+            verdict: step.verdict,
+            path: step.path || null,
+            mimeType,
+            size: file ? file.size : null,
+            included: false,
+            skipped: null
+        };
+        screenshots.push(entry);
+
+        if (!step.path) {
+            entry.skipped = 'No screenshot recorded for this step';
+        } else if (!file) {
+            entry.skipped = 'Not found in the result archive';
+        } else if (!mimeType) {
+            entry.skipped = 'Not a supported image type';
+        } else if (imageCount >= maxImages) {
+            entry.skipped = `Over the limit of ${maxImages} image(s)`;
+        } else if (totalBytes + file.size > maxTotalBytes) {
+            entry.skipped = `Over the size limit of ${maxTotalBytes} bytes`;
+        } else {
+            const data = await file.buffer();
+            imageCount++;
+            totalBytes += data.length;
+            entry.included = true;
+            const caption = `${step.stepName} (${step.verdict || 'Unknown'}${step.reason ? `: ${step.reason}` : ''}) - ${step.path}`;
+            content.push({ type: 'text', text: caption });
+            content.push({ type: 'image', data: data.toString('base64'), mimeType });
+        }
+    }
+    return { screenshots, content };
+}
+
+// Summarize which screenshots were returned and why the others were left out
+function formatScreenshotSummary(projectId, source, screenshots) {
+    const included = screenshots.filter(entry => entry.included);
+    let text = `# 📸 Test Screenshots\n\n`;
+    text += `**Project ID**: ${projectId}\n`;
+    text += `**Source**: ${source}\n\n`;
+    if (screenshots.length === 0) {
+        return text + `No screenshots found for the selected steps.\n`;
+    }
+    text += `Showing ${included.length} of ${screenshots.length} screenshot(s).\n`;
+    const skipped = screenshots.filter(entry => !entry.included);
+    if (skipped.length > 0) {
+        text += `\n## ⏭️ Skipped\n`;
+        skipped.forEach(entry => {
+            text += `- **${entry.stepName}**${entry.path ? ` (${entry.path})` : ''}: ${entry.skipped}\n`;
+        });
+    }
+    return text;
+}
+
+// Interval between status checks while waiting for a cancelled execution to stop
+const CANCEL_POLL_SECONDS = 2;
+
+// Summary of an execution as shown by list_executions and cancel_execution
+function toExecutionSummary(client, execution) {
+    const startDate = execution.startDate || execution.creationDate || execution.startTime;
+    return {
+        executionId: String(execution.id),
+        testName: execution.testAsset?.name || execution.assetName || null,
+        assetId: execution.testAsset?.assetId ? String(execution.testAsset.assetId) : null,
+        initiator: execution.initiator || execution.initiatedBy || null,
+        startTime: startDate ? new Date(startDate).toISOString() : null,
+        status: execution.status || null,
+        resultId: client.getResultIdFromExecution(execution)
+    };
+}
+
+// Render an execution summary as a list item
+function formatExecutionSummary(summary) {
+    return `- **${summary.testName || 'Unknown test'}** (Execution ID: ${summary.executionId}, Status: ${summary.status || 'Unknown'}, ` +
+        `Started: ${summary.startTime || 'N/A'} by ${summary.initiator || 'Unknown'}, Result ID: ${summary.resultId || 'N/A'})`;
+}
+
+// Cancel an execution and wait briefly for the server to confirm it stopped
+async function cancelExecution(client, args, extra = {}) {
+    const before = await client.getExecution(args.projectId, args.executionId);
+    if (!ACTIVE_RESULT_STATUSES.includes(String(before.status).toUpperCase())) {
+        return { cancelRequested: false, confirmed: true, execution: before };
+    }
+
+    await client.cancelExecution(args.projectId, args.executionId);
+    log.info(`Cancellation of execution ${args.executionId} requested`, { projectId: args.projectId });
+
+    const deadline = Date.now() + args.waitSeconds * 1000;
+    let execution = await client.getExecution(args.projectId, args.executionId);
+    while (ACTIVE_RESULT_STATUSES.includes(String(execution.status).toUpperCase()) && Date.now() + CANCEL_POLL_SECONDS * 1000 <= deadline) {
+        await sleep(CANCEL_POLL_SECONDS * 1000, extra.signal);
+        execution = await client.getExecution(args.projectId, args.executionId);
+    }
+    return {
+        cancelRequested: true,
+        confirmed: !ACTIVE_RESULT_STATUSES.includes(String(execution.status).toUpperCase()),
+        execution
+    };
+}
+
+// Upper bound on the executions a single matrix run may start
+const MAX_MATRIX_CELLS = 100;
+
+const matrixCellOutputSchema = z.object({
+    testName: z.string(),
+    assetId: z.string(),
+    column: z.string().describe("Browser and configuration of the cell"),
+    browserName: z.string(),
+    configurationName: z.string().nullable(),
+    executionId: z.string().nullable(),
+    resultId: z.string().nullable(),
+    status: z.string().nullable(),
+    verdict: z.string().nullable(),
+    completed: z.boolean(),
+    error: z.string().nullable()
+});
+
+const matrixOutputSchema = {
+    projectId: z.string(),
+    revision: z.string(),
+    tests: z.array(z.string()),
+    columns: z.array(z.string()),
+    cells: z.array(matrixCellOutputSchema),
+    totals: z.object({
+        cells: z.number(),
+        passed: z.number(),
+        failed: z.number().describe("Finished with a verdict other than PASS"),
+        incomplete: z.number().describe("Still running when the timeout elapsed"),
+        errors: z.number().describe("Could not be started or tracked")
+    }),
+    elapsedSeconds: z.number()
+};
+
+// Resolve the tests of a matrix run from explicit names or a type/name filter
+async function resolveMatrixTests(client, args) {
+    if (args.testNames?.length) {
+        const assets = await client.listAssets(args.projectId, { branch: args.revision, executableOnly: true });
+        const missing = args.testNames.filter(name => !assets.some(asset => asset.name === name));
+        if (missing.length > 0) {
+            throw new Error(`Tests not found: ${missing.join(', ')}`);
+        }
+        return args.testNames.map(name => assets.find(asset => asset.name === name));
+    }
+    if (!args.testType && !args.nameFilter) {
+        throw new Error("Either testNames, testType or nameFilter is required");
+    }
+    const assets = await client.listAssets(args.projectId, {
+        branch: args.revision,
+        executableOnly: true,
+        testTypes: args.testType ? [args.testType] : undefined,
+        nameFilter: args.nameFilter
+    });
+    if (assets.length === 0) {
+        throw new Error(`No executable tests match type "${args.testType || 'any'}" and name filter "${args.nameFilter || '*'}"`);
+    }
+    return assets;
+}
+
+// Run every test × browser × configuration combination with a concurrency limit and wait for all of them
+async function runTestMatrix(client, args, extra = {}) {
+    const startedAt = Date.now();
+    const timeoutMs = args.timeoutSeconds * 1000;
+    const progressToken = extra._meta?.progressToken;
+
+    const tests = await resolveMatrixTests(client, args);
+    const configurations = args.configurations?.length ? args.configurations : [null];
+    const variants = args.browsers.flatMap(browserName => configurations.map((variant, index) => ({
+        browserName,
+        configurationName: variant ? (variant.name || `config ${index + 1}`) : null,
+        configuration: variant?.configuration || {}
+    })));
+    for (const variant of variants) {
+        variant.column = variant.configurationName ? `${variant.browserName} / ${variant.configurationName}` : variant.browserName;
+    }
+    const columns = [...new Set(variants.map(v => v.column))];
+    if (columns.length !== variants.length) {
+        throw new Error("Browsers and configuration names must be unique");
+    }
+
+    const cells = tests.flatMap(test => variants.map(variant => ({
+        testName: test.name,
+        assetId: String(test.id),
+        column: variant.column,
+        browserName: variant.browserName,
+        configurationName: variant.configurationName,
+        configuration: variant.configuration,
+        executionId: null,
+        resultId: null,
+        status: null,
+        verdict: null,
+        completed: false,
+        error: null
+    })));
+    if (cells.length > MAX_MATRIX_CELLS) {
+        throw new Error(`The matrix has ${cells.length} combinations; at most ${MAX_MATRIX_CELLS} can be run at once`);
+    }
+
+    // Validate the settings of every cell before starting any execution
+    const cellOptions = cells.map(cell => {
+        const options = {
+            ...args,
+            browserName: cell.browserName,
+            configuration: { ...args.configuration, ...cell.configuration, "browser.name": cell.browserName }
+        };
+        client.getExecutionSettings(options);
+        return options;
+    });
+
+    let finished = 0;
+    const runCell = async (cell, options) => {
+        try {
+            const remainingSeconds = Math.floor((timeoutMs - (Date.now() - startedAt)) / 1000);
+            if (remainingSeconds <= 0) {
+                throw new Error('Not started: the matrix timeout elapsed first');
+            }
+            const data = await client.startExecution(args.projectId, { ...options, assetId: cell.assetId });
+            cell.executionId = data.id ? String(data.id) : null;
+            cell.resultId = await client.resolveResultId(args.projectId, data.id, data);
+            log.info(`Matrix cell ${cell.testName} [${cell.column}] started`, { executionId: cell.executionId, resultId: cell.resultId });
+
+            // Progress is reported per cell below, so the wait itself only gets the cancellation signal
+            const outcome = await waitForTestCompletion(client, {
+                projectId: args.projectId,
+                resultId: cell.resultId,
+                timeoutSeconds: remainingSeconds
+            }, { signal: extra.signal });
+            cell.completed = outcome.completed;
+            cell.status = outcome.summary?.status || null;
+            cell.verdict = outcome.completed ? (outcome.summary?.verdict || null) : null;
+        } catch (e) {
+            if (extra.signal?.aborted) throw e;
+            cell.error = e.message;
+        }
+
+        finished++;
+        if (progressToken !== undefined && extra.sendNotification) {
+            await extra.sendNotification({
+                method: 'notifications/progress',
+                params: {
+                    progressToken,
+                    progress: finished,
+                    total: cells.length,
+                    message: `${cell.testName} [${cell.column}]: ${cell.error ? 'error' : cell.verdict || cell.status || 'unknown'}`
+                }
+            });
+        }
+    };
+
+    // Worker pool: each worker takes the next cell until none are left
+    let next = 0;
+    const worker = async () => {
+        while (next < cells.length) {
+            const index = next++;
+            await runCell(cells[index], cellOptions[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(args.concurrency, cells.length) }, worker));
+
+    return {
+        projectId: args.projectId,
+        revision: args.revision,
+        tests: tests.map(test => test.name),
+        columns,
+        cells: cells.map(({ configuration, ...cell }) => cell),
+        totals: {
+            cells: cells.length,
+            passed: cells.filter(c => c.completed && c.verdict === 'PASS').length,
+            failed: cells.filter(c => c.completed && c.verdict !== 'PASS').length,
+            incomplete: cells.filter(c => !c.completed && !c.error).length,
+            errors: cells.filter(c => c.error).length
+        },
+        elapsedSeconds: Math.round((Date.now() - startedAt) / 1000)
+    };
+}
+
+// Render a matrix run as a pass/fail table with one row per test and one column per browser/configuration
+function formatMatrixReport(matrix) {
+    const cellText = (cell) => {
+        if (cell.error) return '⚠️ ERROR';
+        if (!cell.completed) return `⏳ ${cell.status || 'UNKNOWN'} (${cell.resultId})`;
+        const icon = cell.verdict === 'PASS' ? '✅' : '❌';
+        return `${icon} ${cell.verdict || 'UNKNOWN'} (${cell.resultId})`;
+    };
+
+    let reportText = `# Test Matrix Results\n\n`;
+    reportText += `**Project ID**: ${matrix.projectId}\n`;
+    reportText += `**Revision**: ${matrix.revision}\n`;
+    reportText += `**Elapsed**: ${matrix.elapsedSeconds} seconds\n\n`;
+
+    reportText += `## 📊 Summary\n`;
+    reportText += `- Combinations: ${matrix.totals.cells}\n`;
+    reportText += `- ✅ Passed: ${matrix.totals.passed}\n`;
+    reportText += `- ❌ Failed: ${matrix.totals.failed}\n`;
+    reportText += `- ⏳ Incomplete: ${matrix.totals.incomplete}\n`;
+    reportText += `- ⚠️ Errors: ${matrix.totals.errors}\n\n`;
+
+    reportText += `## Results (result ID in parentheses)\n\n`;
+    reportText += `| Test | ${matrix.columns.join(' | ')} |\n`;
+    reportText += `|------|${matrix.columns.map(() => '------').join('|')}|\n`;
+    for (const testName of matrix.tests) {
+        const row = matrix.columns.map(column => cellText(matrix.cells.find(c => c.testName === testName && c.column === column)));
+        reportText += `| ${testName} | ${row.join(' | ')} |\n`;
+    }
+
+    const errors = matrix.cells.filter(c => c.error);
+    if (errors.length > 0) {
+        reportText += `\n## ⚠️ Errors\n`;
+        errors.forEach(cell => {
+            reportText += `- ${cell.testName} [${cell.column}]: ${cell.error}\n`;
         });
+    }
+    if (matrix.totals.incomplete > 0) {
+        reportText += `\nUse wait_for_test_completion or get_test_results with the result IDs of incomplete cells to keep monitoring.\n`;
+    }
+    return reportText;
+}
+
+// URI template whose {?query} parameters are all optional - the SDK's matcher requires every one of them
+class OptionalQueryUriTemplate extends UriTemplate {
+    constructor(template) {
+        super(template);
+        const query = template.match(/\{\?([^}]+)\}$/);
+        this.queryNames = query ? query[1].split(',') : [];
+        this.pathTemplate = new UriTemplate(template.replace(/\{\?[^}]+\}$/, ''));
+    }
+
+    match(uri) {
+        const [path, query] = uri.split('?');
+        const variables = this.pathTemplate.match(path);
+        if (!variables) return null;
+        for (const [name, value] of new URLSearchParams(query || '')) {
+            if (this.queryNames.includes(name)) variables[name] = value;
+        }
+        return variables;
+    }
+}
+
+// Build resource contents holding JSON data
+function jsonResource(uri, data) {
+    return {
+        contents: [{
+            uri: uri.href,
+            mimeType: 'application/json',
+            text: JSON.stringify(data, null, 2)
+        }]
+    };
+}
+
+// Complete a value from a list of candidates by prefix
+function completeFrom(candidates, value) {
+    const prefix = (value || '').toLowerCase();
+    return candidates.filter(candidate => candidate.toLowerCase().startsWith(prefix));
+}
+
+const listProfilesOutputSchema = {
+    profilesFile: z.string().nullable().describe("Profiles file the profiles were read from"),
+    defaultProfile: z.string(),
+    profiles: z.array(z.object({
+        name: z.string(),
+        serverURL: z.string(),
+        teamspaceId: z.string().nullable(),
+        isDefault: z.boolean(),
+        tokenSource: z.string().nullable().describe("Where the personal access token comes from; null if none is set")
+    }))
+};
+
+// Create an MCP server with all DevOps Test tools and resources, backed by the given client.
+// With options.profiles (a ConnectionProfiles), tools take a profile argument choosing the
+// connection; client is the client of the default profile. Without it (as in HTTP mode)
+// tools have no profile argument and always use client.
+// Set options.allowFileOutput to false to stop tools writing files on the server host,
+// including the archive cache in options.cacheDir (default: defaultCacheDir()).
+export function createServer(client, options = {}) {
+    const { allowFileOutput = true, profiles = null } = options;
+    const archiveCache = new ArchiveCache(options.cacheDir);
+    const server = new McpServer({
+        name: "MCP DevOps Test",
+        version: "1.0.0"
+    });
+
+    // Forward log messages to the MCP client once it sets a log level
+    attachMcpServer(server);
+
+    // Register a tool that takes the optional profile argument when profiles are configured;
+    // the handler receives the client of that profile
+    const registerTool = (name, config, handler) => server.registerTool(
+        name,
+        profiles ? {
+            ...config,
+            inputSchema: {
+                ...config.inputSchema,
+                profile: z.string().optional().describe("Connection profile to use (default: the default profile). See list_profiles")
+            }
+        } : config,
+        async (args, extra) => {
+            if (!profiles) return handler(args, extra, client);
+            let profileClient;
+            try {
+                profileClient = args.profile === undefined ? client : profiles.clientFor(args.profile);
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error selecting profile: ${e.message}` }],
+                    isError: true
+                };
+            }
+            return handler(args, extra, profileClient);
+        }
+    );
+
+    // Tool to list the connection profiles, without their tokens; only offered when profiles are configured
+    if (profiles) {
+        server.registerTool(
+            "list_profiles",
+            {
+                description: "List the configured connection profiles (DevOps Test servers and teamspaces) that the profile argument of the other tools can choose. Tokens are never shown, only where they come from.",
+                inputSchema: {},
+                outputSchema: listProfilesOutputSchema
+            },
+            async () => {
+                const list = profiles.list();
+
+                let text = `# Connection Profiles\n\n`;
+                if (profiles.path) text += `Profiles file: ${profiles.path}\n\n`;
+                text += `| Profile | Server URL | Teamspace | Token |\n|---------|------------|-----------|-------|\n`;
+                list.forEach(profile => {
+                    text += `| ${profile.name}${profile.isDefault ? ' (default)' : ''} | ${profile.serverURL} | ${profile.teamspaceId ?? 'N/A'} | ${profile.tokenSource ?? 'not set'} |\n`;
+                });
+
+                return {
+                    content: [{ type: 'text', text }],
+                    structuredContent: {
+                        profilesFile: profiles.path,
+                        defaultProfile: profiles.defaultProfile,
+                        profiles: list
+                    }
+                };
+            }
+        );
+    }
+
+    //Tool to retrieve all projects from Test system (Reference tool)
+    registerTool(
+        "get_projects",
+        {
+            description: "Retrieves all projects from the Test system",
+            inputSchema: {},
+            outputSchema: projectsOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                const projects = await client.listProjects();
+                const projectList = projects.map(project => {
+                    return `- ${project.name} (ID: ${project.id})${project.archived ? ' [ARCHIVED]' : ''}`;
+                }).join('\n');
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: `Retrieved ${projects.length} projects from Test system:\n\n${projectList}` 
+                    }],
+                    structuredContent: {
+                        projects: projects.map(project => ({
+                            id: String(project.id),
+                            name: project.name,
+                            archived: !!project.archived
+                        }))
+                    }
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving projects: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to list tests from a specific project
+    registerTool(
+        "list_tests",
+        {
+            description: "Retrieves tests from a specific project with optional test type and name filtering. Results are paginated: use page and pageSize to browse, or all to return every test.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project to retrieve tests from"),
+                testType: z.string().optional().describe("Optional test type filter (e.g., EXT_TEST_SUITE, EXT_TEST_SCPT, EXT_TEST_LOADP, EXT_TEST_STUB, etc.)"),
+                branch: z.string().optional().default("main").describe("Branch to use for retrieving tests (default: main)"),
+                nameFilter: z.string().optional().describe("Only return tests whose name contains this text, or matches it as a glob when it contains * or ? (case-insensitive)"),
+                page: z.number().int().positive().optional().default(1).describe("Page to return, starting at 1 (default: 1)"),
+                pageSize: z.number().int().positive().max(500).optional().default(50).describe("Tests per page (default: 50, max: 500)"),
+                all: z.boolean().optional().default(false).describe("Return every matching test instead of one page (default: false)"),
+                fields: z.array(z.enum(Object.keys(OPTIONAL_TEST_FIELDS))).optional().default([]).describe("Optional fields to include for each test: path, lastModified, owner")
+            },
+            outputSchema: testsOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                const options = {
+                    branch: args.branch,
+                    testTypes: args.testType ? [args.testType] : undefined
+                };
+
+                // A name filter is applied to the full enumeration so pages count matching tests only
+                let tests, page, pageSize, totalTests, totalPages;
+                if (args.all || args.nameFilter) {
+                    const matching = await client.listAssets(args.projectId, { ...options, nameFilter: args.nameFilter });
+                    totalTests = matching.length;
+                    pageSize = args.all ? Math.max(totalTests, 1) : args.pageSize;
+                    page = args.all ? 1 : args.page;
+                    totalPages = Math.ceil(totalTests / pageSize);
+                    tests = matching.slice((page - 1) * pageSize, page * pageSize);
+                } else {
+                    const result = await client.listAssetsPage(args.projectId, { ...options, page: args.page - 1, pageSize: args.pageSize });
+                    tests = result.assets;
+                    page = args.page;
+                    pageSize = args.pageSize;
+                    totalTests = result.totalElements;
+                    totalPages = result.totalPages;
+                }
+
+                const testList = tests.map(test => {
+                    const fieldText = args.fields.map(field => `, ${field}: ${OPTIONAL_TEST_FIELDS[field](test) ?? 'N/A'}`).join('');
+                    return `- ${test.name} (ID: ${test.id}, Type: ${test.external_type || 'Unknown'}${fieldText})`;
+                }).join('\n');
+
+                let pageText = args.all ? `all ${totalTests} tests` : `page ${page} of ${Math.max(totalPages, 1)}, ${totalTests} tests in total`;
+                if (args.nameFilter) pageText += ` matching "${args.nameFilter}"`;
+                if (!args.all && page < totalPages) pageText += `; use page ${page + 1} for more`;
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: `Retrieved ${tests.length} tests from project ${args.projectId} (${pageText}):\n\n${testList}` 
+                    }],
+                    structuredContent: {
+                        projectId: args.projectId,
+                        branch: args.branch,
+                        page,
+                        pageSize,
+                        totalPages,
+                        totalTests,
+                        tests: tests.map(test => toTestOutput(test, args.fields))
+                    }
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving tests: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to execute a test
+    registerTool(
+        "execute_test",
+        {
+            description: "Execute a test in a specific project by test name. TIMING: Tests typically take 60-180 seconds to complete. AGENT BEHAVIOR: After execution, inform user 'Test started, will complete in ~2 minutes', then wait at least 60 seconds before first status check. Use progressive back-off for subsequent checks: 30s → 45s → 60s → 90s intervals until completion, or call wait_for_test_completion. Set waitForCompletion to have the server wait and return the results report.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project containing the test"),
+                testName: z.string().describe("The name of the test to execute"),
+                browserName: z.string().optional().default("edge").describe("Browser to use for execution (default: edge)"),
+                revision: z.string().optional().default("main").describe("Revision to use (default: main)"),
+                waitForCompletion: z.boolean().optional().default(false).describe("Wait for the test to finish and return the results report (default: false)"),
+                timeoutSeconds: z.number().int().positive().optional().default(900).describe("Maximum time to wait for completion in seconds when waitForCompletion is set (default: 900)"),
+                ...executionSettingsInputShape
+            },
+            outputSchema: executionOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                // Validate the settings before looking anything up, so bad input fails fast
+                const settings = client.getExecutionSettings(args);
+
+                // Find the asset ID for the given test name, then start the execution
+                const test = await client.findAsset(args.projectId, args.testName, { branch: args.revision });
+                const assetId = test.id;
+
+                const data = await client.startExecution(args.projectId, { ...args, assetId: assetId });
+
+                const execution = {
+                    projectId: args.projectId,
+                    testName: args.testName,
+                    assetId: String(assetId),
+                    executionId: data.id ? String(data.id) : null,
+                    resultId: client.getResultIdFromExecution(data),
+                    status: data.status || null,
+                    browserName: String(settings.configuration['browser.name']),
+                    revision: settings.revision,
+                    settings
+                };
+
+                let waitText = '';
+                if (args.waitForCompletion) {
+                    const resultId = await client.resolveResultId(args.projectId, data.id, data);
+                    const outcome = await waitForTestCompletion(client, {
+                        projectId: args.projectId,
+                        resultId: resultId,
+                        executionId: execution.executionId || undefined,
+                        timeoutSeconds: args.timeoutSeconds
+                    }, extra);
+                    waitText = `\n\n${formatWaitOutcome(outcome)}`;
+                    execution.resultId = resultId;
+                    execution.completion = toWaitOutput(outcome);
+                }
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: `Test execution started successfully!\n\nExecution Details:\n- Test Name: ${args.testName}\n- Execution ID: ${data.id || 'N/A'}\n- Status: ${data.status || 'N/A'}\n- Project ID: ${args.projectId}\n- Asset ID: ${assetId}\n- Browser: ${execution.browserName}\n- Revision: ${args.revision}\n${formatExecutionSettings(settings)}\n\nResponse: ${JSON.stringify(data, null, 2)}${waitText}` 
+                    }],
+                    structuredContent: execution
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error executing test: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to run several tests across browsers/configurations and aggregate the verdicts
+    registerTool(
+        "execute_test_matrix",
+        {
+            description: "Run a batch of tests across several browsers and/or configurations. Every combination is started as its own execution, at most `concurrency` at a time, and tracked until it finishes or the timeout elapses. Returns a pass/fail table with the result ID of every cell. Select the tests with testNames, or with testType and/or nameFilter.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project containing the tests"),
+                testNames: z.array(z.string().min(1)).optional().describe("Names of the tests to run"),
+                testType: z.string().optional().describe("Run every executable test of this type instead of naming them (e.g., UI)"),
+                nameFilter: z.string().optional().describe("Run every executable test whose name matches (substring, or glob with * and ?) instead of naming them"),
+                browsers: z.array(z.string().min(1)).min(1).optional().default(["edge"]).describe("Browsers to run every test in (default: [\"edge\"])"),
+                configurations: z.array(z.object({
+                    name: z.string().min(1).optional().describe("Column label for this configuration"),
+                    configuration: z.record(z.string().min(1), configurationValue).describe("Configuration key/values of this variant")
+                })).optional().describe("Configuration variants; every test runs in every browser with every variant"),
+                revision: z.string().optional().default("main").describe("Revision to use (default: main)"),
+                concurrency: z.number().int().positive().max(10).optional().default(2).describe("Maximum number of executions running at the same time (default: 2, max: 10)"),
+                timeoutSeconds: z.number().int().positive().optional().default(3600).describe("Maximum time for the whole matrix in seconds (default: 3600)"),
+                ...executionSettingsInputShape
+            },
+            outputSchema: matrixOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                const matrix = await runTestMatrix(client, args, extra);
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: formatMatrixReport(matrix)
+                    }],
+                    structuredContent: matrix
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error running test matrix: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to get test execution results/report
+    registerTool(
+        "get_test_results",
+        {
+            description: "Get comprehensive test execution results and report data. PROGRESSIVE POLLING: If status is RUNNING, wait using progressive back-off: 30s → 45s → 60s → 90s between checks. Tests typically complete in 60-180 seconds.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project containing the test"),
+                resultId: z.string().describe("The result ID from the test execution"),
+                executionId: z.string().optional().describe("Optional execution ID for additional context")
+            },
+            outputSchema: testResultsOutputShape
+        },
+        async (args, extra, client) => {
+            try {
+                const { reportText, structured } = await buildTestResultsReport(client, args);
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: reportText
+                    }],
+                    structuredContent: structured
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error retrieving test results: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to wait for a test execution to finish
+    registerTool(
+        "wait_for_test_completion",
+        {
+            description: "Wait for a test execution to finish by polling its result on the server with progressive back-off (30s → 45s → 60s → 90s) up to a timeout. Sends progress notifications while the test runs and returns the final results report. Use this instead of polling get_test_results manually.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project containing the test"),
+                resultId: z.string().optional().describe("The result ID from the test execution"),
+                executionId: z.string().optional().describe("The execution ID, used to look up the result ID when resultId is not given"),
+                timeoutSeconds: z.number().int().positive().optional().default(900).describe("Maximum time to wait for completion in seconds (default: 900)"),
+                initialDelaySeconds: z.number().int().min(0).optional().default(0).describe("Time to wait before the first status check in seconds (default: 0)")
+            },
+            outputSchema: waitOutputShape
+        },
+        async (args, extra, client) => {
+            try {
+                if (!args.resultId && !args.executionId) {
+                    throw new Error("Either resultId or executionId is required");
+                }
+
+                const outcome = await waitForTestCompletion(client, args, extra);
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: formatWaitOutcome(outcome)
+                    }],
+                    structuredContent: toWaitOutput(outcome)
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error waiting for test completion: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to browse the result history of a project
+    registerTool(
+        "list_results",
+        {
+            description: "Browse the result history of a project, newest first, including runs started from CI, the web UI or schedules. Filter by test name or asset ID, verdict, branch, initiator and date range. The result IDs can be passed to get_test_results and prepare_test_download.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project"),
+                testName: z.string().optional().describe("Only results of tests whose name contains this text, or matches it as a glob when it contains * or ?"),
+                assetId: z.string().optional().describe("Only results of the test asset with this ID"),
+                verdict: z.string().optional().describe("Only results with this verdict (e.g., PASS, FAIL, ERROR, INCONCLUSIVE)"),
+                branch: z.string().optional().describe("Only results from this branch"),
+                initiator: z.string().optional().describe("Only results started by this user"),
+                since: z.string().optional().describe("Only results started at or after this date (ISO 8601, e.g. 2025-01-31)"),
+                until: z.string().optional().describe("Only results started before this date (ISO 8601)"),
+                page: z.number().int().positive().optional().default(1).describe("Page to return, starting at 1 (default: 1)"),
+                pageSize: z.number().int().positive().max(100).optional().default(20).describe("Results per page (default: 20, max: 100)")
+            },
+            outputSchema: resultsOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                const { results, hasMore, truncated, scanned } = await client.findResults(args.projectId, {
+                    ...args,
+                    offset: (args.page - 1) * args.pageSize,
+                    limit: args.pageSize
+                });
+                const summaries = results.map(toResultSummary);
+
+                const resultList = summaries.map(result => {
+                    return `- **${result.testName || 'Unknown test'}** (Result ID: ${result.resultId}, Verdict: ${result.verdict || 'N/A'}, Status: ${result.status || 'N/A'}, ` +
+                        `Branch: ${result.branch || 'N/A'}, Started: ${result.startTime || 'N/A'} by ${result.initiator || 'Unknown'})`;
+                }).join('\n');
+
+                let text = summaries.length > 0
+                    ? `Found ${summaries.length} results in project ${args.projectId} (page ${args.page}):\n\n${resultList}\n\nUse a result ID with get_test_results or prepare_test_download.`
+                    : `No results in project ${args.projectId} match the filters (page ${args.page}).`;
+                if (hasMore) text += ` More results match; use page ${args.page + 1} to see them.`;
+                if (truncated) text += `\n\nOnly the ${scanned} most recent results were searched, so older matching results may exist.`;
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text
+                    }],
+                    structuredContent: {
+                        projectId: args.projectId,
+                        page: args.page,
+                        pageSize: args.pageSize,
+                        hasMore,
+                        truncated,
+                        results: summaries
+                    }
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error listing results: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to rank tests by flakiness over their recent history
+    registerTool(
+        "analyze_flakiness",
+        {
+            description: "Tell flaky tests apart from real regressions. Looks at the last N finished runs of each test and computes pass/fail flip rates per test and per step, flags tests that fail at different steps on the same revision, and ranks the flakiest tests with evidence (result IDs and failing step names). Step analysis downloads the testlog of each run, up to maxLogDownloads testlogs within stepTimeoutSeconds.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project"),
+                testNames: z.array(z.string().min(1)).optional().describe("Tests to analyze (default: the most recently run tests of the project)"),
+                lastRuns: z.number().int().min(2).max(50).optional().default(10).describe("Number of most recent finished runs to analyze per test (default: 10)"),
+                branch: z.string().optional().describe("Only analyze runs from this branch"),
+                since: z.string().optional().describe("Only analyze runs started at or after this date (ISO 8601)"),
+                maxTests: z.number().int().positive().max(50).optional().default(20).describe("Maximum number of tests to analyze when testNames is not given (default: 20)"),
+                includeSteps: z.boolean().optional().default(true).describe("Download the testlogs for per-step analysis (default: true)"),
+                maxLogDownloads: z.number().int().min(0).max(MAX_FLAKINESS_LOG_DOWNLOADS).optional().default(DEFAULT_FLAKINESS_LOG_DOWNLOADS).describe(`Maximum number of testlogs to download for step analysis (default: ${DEFAULT_FLAKINESS_LOG_DOWNLOADS})`),
+                stepTimeoutSeconds: z.number().int().min(1).max(MAX_FLAKINESS_STEP_TIMEOUT_SECONDS).optional().default(DEFAULT_FLAKINESS_STEP_TIMEOUT_SECONDS).describe(`Time to spend downloading testlogs in total; later runs get no step details once it elapses (default: ${DEFAULT_FLAKINESS_STEP_TIMEOUT_SECONDS})`),
+                useCache: z.boolean().optional().default(false).describe("Use and fill the local archive cache for the testlogs (default: false)")
+            },
+            outputSchema: flakinessOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                const analysis = await analyzeProjectFlakiness(client, args, extra, args.useCache && allowFileOutput ? archiveCache : null);
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: formatFlakinessReport(analysis)
+                    }],
+                    structuredContent: analysis
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error analyzing flakiness: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to compare the step trees of two results
+    registerTool(
+        "compare_results",
+        {
+            description: "Compare two test results step by step, e.g. the same test on two browsers or before and after a change. Aligns the step trees of both results and reports steps whose verdict changed, steps that appeared or disappeared, and steps whose duration changed significantly. Give each side as a result ID or as a download ID of a testlog archive.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project containing the results"),
+                baseResultId: z.string().optional().describe("Result ID of the base (earlier or reference) result"),
+                baseDownloadId: z.string().optional().describe("Download ID of the base testlog archive, instead of baseResultId"),
+                targetResultId: z.string().optional().describe("Result ID of the result to compare with the base"),
+                targetDownloadId: z.string().optional().describe("Download ID of the target testlog archive, instead of targetResultId"),
+                source: z.enum(['testlog', 'logs']).optional().default('testlog').describe("Where the steps of a result ID come from: its testlog archive (default) or its execution logs"),
+                minDurationChangeMs: z.number().min(0).optional().default(DEFAULT_DURATION_THRESHOLDS.minChangeMs).describe("Smallest duration change to report in milliseconds (default: 1000)"),
+                minDurationChangePercent: z.number().min(0).optional().default(DEFAULT_DURATION_THRESHOLDS.minChangePercent).describe("Smallest relative duration change to report in percent (default: 50)"),
+                useCache: z.boolean().optional().default(false).describe("Use and fill the local archive cache for result IDs (default: false)")
+            },
+            outputSchema: comparisonOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                for (const side of ['base', 'target']) {
+                    if (!args[`${side}ResultId`] === !args[`${side}DownloadId`]) {
+                        throw new Error(`Give exactly one of ${side}ResultId and ${side}DownloadId`);
+                    }
+                }
+
+                const cache = args.useCache && allowFileOutput ? archiveCache : null;
+                const base = await loadComparisonSide(client, args.projectId, { resultId: args.baseResultId, downloadId: args.baseDownloadId }, args.source, cache, extra);
+                const target = await loadComparisonSide(client, args.projectId, { resultId: args.targetResultId, downloadId: args.targetDownloadId }, args.source, cache, extra);
+                const diff = compareSteps(base.steps, target.steps, {
+                    minChangeMs: args.minDurationChangeMs,
+                    minChangePercent: args.minDurationChangePercent
+                });
+
+                const describe = ({ steps, ...side }) => ({ ...side, stepCount: steps.length });
+                const comparison = {
+                    projectId: args.projectId,
+                    base: describe(base),
+                    target: describe(target),
+                    verdictChanged: (base.verdict || null) !== (target.verdict || null),
+                    ...diff
+                };
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: formatComparisonReport(comparison)
+                    }],
+                    structuredContent: comparison
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error comparing results: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to interpret the performance data of a schedule or performance test result
+    registerTool(
+        "analyze_performance",
+        {
+            description: "Analyze the results of a performance test (VUSCHEDULE, RATESCHEDULE or PERF asset): response-time percentiles (p50/p90/p95/p99), throughput and error rate overall and per transaction or page, and the virtual-user ramp. Give SLAs to get pass/fail per SLA, e.g. to gate a release on a load test.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project containing the result"),
+                resultId: z.string().describe("The result ID of the performance test run"),
+                slas: z.array(z.object({
+                    metric: z.enum(SLA_METRICS).describe("Response-time percentile, average or max (milliseconds), errorRate (0-1) or throughput (requests per second)"),
+                    threshold: z.number().describe("Limit the metric is compared with"),
+                    transaction: z.string().optional().describe("Transaction or page the SLA applies to (default: all requests)"),
+                    operator: z.enum(['<', '<=', '>', '>=']).optional().describe("Comparison (default: >= for throughput, <= otherwise)")
+                })).optional().default([]).describe("Service level agreements to evaluate"),
+                maxTransactions: z.number().int().positive().max(200).optional().default(25).describe("Maximum number of transactions to list, slowest first (default: 25)")
+            },
+            outputSchema: performanceOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                const data = await client.getResultPerformance(args.projectId, args.resultId).catch((e) => {
+                    if (e.status === 404) {
+                        throw new Error(`Result ${args.resultId} has no performance data; only schedule and performance test results have it`);
+                    }
+                    throw e;
+                });
+                const summary = await client.getResult(args.projectId, args.resultId).catch(() => null);
+                const analysis = analyzePerformance(data, { slas: args.slas });
+
+                const structured = {
+                    projectId: args.projectId,
+                    resultId: args.resultId,
+                    testName: summary?.name ?? null,
+                    ...analysis,
+                    transactions: analysis.transactions.slice(0, args.maxTransactions),
+                    totalTransactions: analysis.transactions.length
+                };
+                return {
+                    content: [{
+                        type: 'text',
+                        text: formatPerformanceReport(structured)
+                    }],
+                    structuredContent: structured
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error analyzing performance: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to return the screenshots of failed or chosen steps as images
+    registerTool(
+        "get_test_screenshots",
+        {
+            description: "Show the screenshots captured during a test run, to see the page at a failure. Opens the result archive, finds the screenshots of the failed steps (or of the steps given in `steps`) and returns them as images captioned with the step name. The number and total size of the images are capped to keep the response manageable.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project containing the result"),
+                resultId: z.string().optional().describe("The ID of the test result"),
+                downloadId: z.string().optional().describe("Download ID of the result archive, instead of resultId (e.g. from prepare_test_download)"),
+                steps: z.array(z.string()).optional().describe("Names or IDs of the steps to show (default: every failed step with a screenshot)"),
+                maxImages: z.number().int().min(1).max(MAX_SCREENSHOTS).optional().default(DEFAULT_MAX_SCREENSHOTS).describe(`Maximum number of images to return (default: ${DEFAULT_MAX_SCREENSHOTS}, max: ${MAX_SCREENSHOTS})`),
+                maxTotalBytes: z.number().int().min(1).max(4 * DEFAULT_MAX_SCREENSHOT_BYTES).optional().default(DEFAULT_MAX_SCREENSHOT_BYTES).describe("Maximum combined size of the returned image files in bytes (default: 5 MB)")
+            },
+            outputSchema: screenshotsOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                if (!args.resultId === !args.downloadId) {
+                    throw new Error('Give exactly one of resultId and downloadId');
+                }
+
+                const { downloadId, screenshots, content } = await withTemporaryDirectory(async (dir) => {
+                    const { archive, downloadId } = await openResultArchive(client, args.projectId, args, dir, extra);
+                    const testLog = await client.readParsedTestLog(archive);
+                    const steps = selectScreenshotSteps(testLog, args.steps);
+                    return { downloadId, ...await collectScreenshots(client, archive, steps, args) };
+                });
+
+                const source = args.resultId ? `Result ${args.resultId}` : `Download ${downloadId}`;
+                return {
+                    content: [{ type: 'text', text: formatScreenshotSummary(args.projectId, source, screenshots) }, ...content],
+                    structuredContent: {
+                        projectId: args.projectId,
+                        resultId: args.resultId ?? null,
+                        downloadId,
+                        screenshots
+                    }
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error getting test screenshots: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to list the running and queued executions of a project
+    registerTool(
+        "list_executions",
+        {
+            description: "List the executions of a project that are running or queued, with test name, initiator, start time and status. Use cancel_execution to stop one.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project"),
+                includeFinished: z.boolean().optional().default(false).describe("Also list executions that have finished (default: false)")
+            },
+            outputSchema: executionsOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                const executions = (await client.listExecutions(args.projectId))
+                    .filter(e => args.includeFinished || ACTIVE_RESULT_STATUSES.includes(String(e.status).toUpperCase()))
+                    .map(e => toExecutionSummary(client, e));
+
+                const label = args.includeFinished ? 'executions' : 'running or queued executions';
+                const executionList = executions.map(formatExecutionSummary).join('\n');
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: executions.length > 0
+                            ? `Found ${executions.length} ${label} in project ${args.projectId}:\n\n${executionList}`
+                            : `No ${label} in project ${args.projectId}.`
+                    }],
+                    structuredContent: {
+                        projectId: args.projectId,
+                        executions
+                    }
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error listing executions: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to stop a running or queued execution
+    registerTool(
+        "cancel_execution",
+        {
+            description: "Stop a running or queued execution by execution ID and confirm its final state. Waits up to waitSeconds for the server to report that the execution stopped.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project containing the execution"),
+                executionId: z.string().describe("The ID of the execution to stop"),
+                waitSeconds: z.number().int().min(0).max(300).optional().default(30).describe("Maximum time to wait for the execution to stop in seconds (default: 30)")
+            },
+            outputSchema: cancelOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                const outcome = await cancelExecution(client, args, extra);
+                const execution = toExecutionSummary(client, outcome.execution);
+
+                let text;
+                if (!outcome.cancelRequested) {
+                    text = `Execution ${args.executionId} has already finished with status ${execution.status || 'Unknown'}; nothing to cancel.`;
+                } else if (outcome.confirmed) {
+                    text = `Execution ${args.executionId} was cancelled. Final status: ${execution.status || 'Unknown'}`;
+                } else {
+                    text = `Cancellation of execution ${args.executionId} was requested, but it is still ${execution.status || 'Unknown'} after ${args.waitSeconds} seconds. Check again with list_executions.`;
+                }
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: `${text}\n\n${formatExecutionSummary(execution)}`
+                    }],
+                    structuredContent: {
+                        projectId: args.projectId,
+                        executionId: args.executionId,
+                        cancelRequested: outcome.cancelRequested,
+                        confirmed: outcome.confirmed,
+                        finalStatus: outcome.confirmed ? execution.status : null,
+                        execution
+                    }
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error cancelling execution: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to list the files in a result archive
+    registerTool(
+        "list_archive_entries",
+        {
+            description: "List the files in the archive of a test result: testlog, other logs, attachments, HTTP traces and reports, with their sizes and content types. Read a file with read_archive_entry.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project containing the result"),
+                resultId: z.string().optional().describe("The ID of the test result"),
+                downloadId: z.string().optional().describe("Download ID of the result archive, instead of resultId (e.g. from prepare_test_download)"),
+                filter: z.string().optional().describe("Only files whose path contains this text, or matches it as a glob when it contains * or ?")
+            },
+            outputSchema: archiveEntriesOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                if (!args.resultId === !args.downloadId) {
+                    throw new Error('Give exactly one of resultId and downloadId');
+                }
+
+                const { size, downloadId, allEntries } = await withTemporaryDirectory(async (dir) => {
+                    const { archive, size, downloadId } = await openResultArchive(client, args.projectId, args, dir, extra);
+                    return { size, downloadId, allEntries: await client.listArchiveEntries(archive) };
+                });
+                const matches = createNameMatcher(args.filter);
+                const entries = allEntries
+                    .filter(entry => matches(entry.path))
+                    .map(entry => ({ ...entry, mimeType: mimeTypeOf(entry.path), kind: entryKind(mimeTypeOf(entry.path)) }));
+
+                const source = args.resultId ? `Result ${args.resultId}` : `Download ${downloadId}`;
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: formatArchiveEntries(source, entries, allEntries.length)
+                    }],
+                    structuredContent: {
+                        projectId: args.projectId,
+                        resultId: args.resultId ?? null,
+                        downloadId,
+                        archiveSize: size,
+                        totalEntries: allEntries.length,
+                        entries
+                    }
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error listing archive entries: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to read one file from a result archive as text or as a blob
+    registerTool(
+        "read_archive_entry",
+        {
+            description: "Read one file from the archive of a test result, e.g. a log, an HTTP trace or a report listed by list_archive_entries. Text files are decoded (UTF-8, UTF-16 or ISO-8859-1) and truncated to maxChars; other files are returned as an embedded resource with base64 content.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project containing the result"),
+                resultId: z.string().optional().describe("The ID of the test result"),
+                downloadId: z.string().optional().describe("Download ID of the result archive, instead of resultId"),
+                entryPath: z.string().describe("Path of the file inside the archive, as listed by list_archive_entries"),
+                as: z.enum(['auto', 'text', 'blob']).optional().default('auto').describe("Return the file as text, as a blob, or decide from its content (default: auto)"),
+                maxChars: z.number().int().min(1).max(MAX_ENTRY_CHARS).optional().default(DEFAULT_MAX_ENTRY_CHARS).describe(`Maximum characters of text to return (default: ${DEFAULT_MAX_ENTRY_CHARS})`)
+            },
+            outputSchema: archiveEntryOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                if (!args.resultId === !args.downloadId) {
+                    throw new Error('Give exactly one of resultId and downloadId');
+                }
+
+                const mimeType = mimeTypeOf(args.entryPath);
+                const asBlob = args.as === 'blob' || (args.as === 'auto' && entryKind(mimeType) === 'image');
+
+                // Only as much of the file is extracted as can be returned: a character takes at most 4 bytes
+                const { downloadId, size, data } = await withTemporaryDirectory(async (dir) => {
+                    const { archive, downloadId } = await openResultArchive(client, args.projectId, args, dir, extra);
+                    const entry = (await client.listArchiveEntries(archive)).find(e => e.path === args.entryPath);
+                    if (!entry) {
+                        throw new Error(`${args.entryPath} not found in archive`);
+                    }
+                    if (asBlob && entry.size > MAX_ENTRY_BLOB_BYTES) {
+                        throw new Error(`${args.entryPath} is ${entry.size} bytes, over the limit of ${MAX_ENTRY_BLOB_BYTES} bytes for blobs`);
+                    }
+                    const maxBytes = asBlob ? undefined : args.maxChars * 4 + 4;
+                    return { downloadId, size: entry.size, data: await client.readArchiveEntry(archive, args.entryPath, { maxBytes }) };
+                });
+                const complete = data.length === size;
+                const decoded = asBlob ? null : decodeText(data, { partial: !complete });
+                if (args.as === 'text' && !decoded) {
+                    throw new Error(`${args.entryPath} is not a text file; read it with as "blob"`);
+                }
+                if (!decoded && !complete) {
+                    throw new Error(`${args.entryPath} is ${size} bytes, over the limit of ${MAX_ENTRY_BLOB_BYTES} bytes for blobs`);
+                }
+
+                const structured = {
+                    projectId: args.projectId,
+                    resultId: args.resultId ?? null,
+                    downloadId,
+                    entryPath: args.entryPath,
+                    size,
+                    mimeType,
+                    returnedAs: decoded ? 'text' : 'blob',
+                    encoding: decoded?.encoding ?? null,
+                    truncated: false,
+                    totalChars: decoded && complete ? decoded.text.length : null
+                };
+
+                if (decoded) {
+                    structured.truncated = !complete || decoded.text.length > args.maxChars;
+                    const header = `**${args.entryPath}** (${size} bytes, ${mimeType}, ${decoded.encoding})` +
+                        (structured.truncated ? ` - showing the first ${args.maxChars} ${complete ? `of ${decoded.text.length} ` : ''}characters` : '');
+                    return {
+                        content: [
+                            { type: 'text', text: header },
+                            { type: 'text', text: decoded.text.slice(0, args.maxChars) }
+                        ],
+                        structuredContent: structured
+                    };
+                }
+
+                const archiveURI = args.resultId
+                    ? `devops-test://projects/${args.projectId}/results/${args.resultId}/archive/`
+                    : `devops-test://projects/${args.projectId}/downloads/${downloadId}/archive/`;
+                return {
+                    content: [
+                        { type: 'text', text: `**${args.entryPath}** (${data.length} bytes, ${mimeType}) returned as an embedded resource` },
+                        { type: 'resource', resource: { uri: archiveURI + encodeURI(args.entryPath), mimeType, blob: data.toString('base64') } }
+                    ],
+                    structuredContent: structured
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error reading archive entry: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to download and parse the testlog of a result in one step
+    registerTool(
+        "download_test_log",
+        {
+            description: "Download and analyze the testlog of a test result in one step: prepares the result archive, waits until the server has it ready (checking with back-off up to timeoutSeconds), then parses testlog.json into steps and failures. Set useCache to keep the archives of finished results locally, so analyzing them again does not download them again.",
+            inputSchema: {
+                projectId: z.string().describe("The ID of the project containing the result"),
+                resultId: z.string().describe("The ID of the test result"),
+                timeoutSeconds: z.number().int().min(1).max(900).optional().default(ARCHIVE_READY_TIMEOUT_SECONDS).describe(`How long to wait for the archive to be ready (default: ${ARCHIVE_READY_TIMEOUT_SECONDS})`),
+                useCache: z.boolean().optional().default(false).describe("Use and fill the local archive cache (default: false)")
+            },
+            outputSchema: downloadTestLogOutputSchema
+        },
+        async (args, extra, client) => {
+            try {
+                const useCache = args.useCache && allowFileOutput;
+                const { download, results } = await withTemporaryDirectory(async (dir) => {
+                    const download = await fetchResultArchive(client, args, useCache ? archiveCache : null, dir, extra);
+                    return { download, results: await client.readParsedTestLog(download.archive) };
+                });
+
+                let reportText = `# 📦 Test Log of Result ${args.resultId}\n\n`;
+                reportText += `**Project ID**: ${args.projectId}\n`;
+                reportText += download.fromCache
+                    ? `**Source**: Local cache (${download.cachePath})\n`
+                    : `**Download ID**: ${download.downloadId} (ready after ${download.checks} check(s), ${download.elapsedSeconds}s)\n`;
+                reportText += `**Archive Size**: ${download.size} bytes\n`;
+                if (args.useCache && !allowFileOutput) {
+                    reportText += `**Cache**: Disabled on this server\n`;
+                } else if (download.cachePath && !download.fromCache) {
+                    reportText += `**Cached At**: ${download.cachePath}\n`;
+                }
+                reportText += `\n${formatTestLogAnalysis(results)}`;
+
+                return {
+                    content: [{ 
+                        type: 'text', 
+                        text: reportText
+                    }],
+                    structuredContent: {
+                        ...toTestLogOutput(args.projectId, download.downloadId, download.size, results),
+                        resultId: args.resultId,
+                        fromCache: download.fromCache,
+                        cachePath: download.cachePath,
+                        checks: download.checks,
+                        elapsedSeconds: download.elapsedSeconds
+                    }
+                };
+
+            } catch (e) {
+                return {
+                    content: [{ type: 'text', text: `Error downloading test log: ${e.message}` }],
+                    isError: true
+                };
+            }
+        }
+    );
+
+    // Tool to prepare download and get download ID from location header
+    registerTool(
+      "prepare_test_download",
+      {
+        description: "Prepare test result download and extract download ID from location header",
+        inputSchema: {
+          projectId: z.string().describe("The ID of the project containing the test"),
+          resultId: z.string().describe("The result ID from the test execution")
+        },
+        outputSchema: downloadOutputSchema
+      },
+      async (args, extra, client) => {
+        try {
+          const { downloadId, location: locationHeader, prepareUrl } = await client.prepareDownload(args.projectId, args.resultId);
+          log.debug(`Prepared download from: ${prepareUrl}`);
+
+          return {
+            content: [{ 
+              type: 'text', 
+              text: `Download preparation successful!\n\n**Project ID**: ${args.projectId}\n**Result ID**: ${args.resultId}\n**Download ID**: ${downloadId}\n**Location Header**: ${locationHeader}\n**Prepare URL**: ${prepareUrl}\n\nUse the download ID "${downloadId}" with the get_test_log_results tool to download and analyze the test logs.` 
+            }],
+            structuredContent: {
+              projectId: args.projectId,
+              resultId: args.resultId,
+              downloadId: downloadId,
+              location: locationHeader
+            }
+          };
+
+        } catch (error) {
+          return {
+            content: [{ type: 'text', text: `Error preparing test download: ${error.message}` }],
+            isError: true
+          };
+        }
+      }
+    );
+
+    // Tool to get test log results by downloading the zip archive
+    registerTool(
+      "get_test_log_results",
+      {
+        description: "Download and analyze test log results from the zip archive",
+        inputSchema: {
+          projectId: z.string().describe("The ID of the project containing the test"),
+          downloadId: z.string().describe("The download ID for the result archive (e.g., from result execution)"),
+          format: z.enum(['markdown', 'junit']).optional().default('markdown').describe("Report format: a markdown analysis, or JUnit XML for CI dashboards"),
+          outputPath: z.string().optional().describe("With format junit, write the XML to this file instead of returning it")
+        },
+        outputSchema: testLogOutputSchema
+      },
+      async (args, extra, client) => {
+        try {
+          if (args.outputPath && args.format !== 'junit') {
+            throw new Error('outputPath is only supported with format "junit"');
+          }
+          if (args.outputPath && !allowFileOutput) {
+            throw new Error('Writing files is disabled on this server; omit outputPath to return the XML');
+          }
+
+          const downloadUrl = client.getDownloadURL(args.projectId, args.downloadId);
+          log.debug(`Downloading test results from: ${downloadUrl}`);
+
+          // Stream the archive to a temporary file once the server has it ready, and parse testlog.json from it
+          const { testLog: results, archiveSize } = await withTemporaryDirectory(async (dir) => {
+            const { archive, size } = await openResultArchive(client, args.projectId, { downloadId: args.downloadId }, dir, extra);
+            return { testLog: await client.readParsedTestLog(archive), archiveSize: size };
+          });
+
+          const structured = toTestLogOutput(args.projectId, args.downloadId, archiveSize, results);
+
+          if (args.format === 'junit') {
+            const report = toJUnitXML(results);
+            let text = report.xml;
+            let outputPath = null;
+            if (args.outputPath) {
+              outputPath = path.resolve(args.outputPath);
+              mkdirSync(path.dirname(outputPath), { recursive: true });
+              writeFileSync(outputPath, report.xml, 'utf-8');
+              text = `JUnit XML written to ${outputPath} (${report.tests} test cases, ${report.failures} failures, ${report.errors} errors)`;
+            }
+            return {
+              content: [{ type: 'text', text }],
+              structuredContent: {
+                ...structured,
+                junit: { tests: report.tests, failures: report.failures, errors: report.errors, suites: report.suites, outputPath }
+              }
+            };
+          }
+
+          let reportText = `# Test Log Results Analysis (Zip Extraction)\n\n`;
+          reportText += `**Project ID**: ${args.projectId}\n`;
+          reportText += `**Download ID**: ${args.downloadId}\n`;
+          reportText += `**Download URL**: ${downloadUrl}\n`;
+          reportText += `**Archive Size**: ${archiveSize} bytes\n\n`;
+          reportText += formatTestLogAnalysis(results);
+
+          return {
+            content: [{ type: 'text', text: reportText }],
+            structuredContent: structured
+          };
+
+        } catch (error) {
+          return {
+            content: [{ type: 'text', text: `Error getting test log results: ${error.message}` }],
+            isError: true
+          };
+        }
       }
+    );
 
-      return {
-        content: [{ type: 'text', text: reportText }]
-      };
+    // Project IDs for completing {projectId} in resource templates
+    const completeProjectId = async (value) => {
+        const projects = await client.listProjects().catch(() => []);
+        return completeFrom(projects.map(project => String(project.id)), value);
+    };
+
+    // Complete result IDs from the latest results of the project already given in the URI
+    const completeResultId = async (value, context) => {
+        const projectId = context?.arguments?.projectId;
+        if (!projectId) return [];
+        const { results } = await client.listResultsPage(projectId, { pageSize: 50 }).catch(() => ({ results: [] }));
+        return completeFrom(results.map(result => String(result.id)), value);
+    };
 
-    } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error getting test log results: ${error.message}` }]
-      };
+    // Resource listing all projects
+    server.registerResource(
+        "projects",
+        "devops-test://projects",
+        {
+            title: "DevOps Test projects",
+            description: "All projects the user is a member of",
+            mimeType: "application/json"
+        },
+        async (uri) => jsonResource(uri, await client.listProjects())
+    );
+
+    // Resource listing the tests of a project, optionally filtered by branch and test type
+    server.registerResource(
+        "project-tests",
+        new ResourceTemplate(new OptionalQueryUriTemplate("devops-test://projects/{projectId}/tests{?branch,type}"), {
+            list: async () => {
+                const projects = await client.listProjects();
+                return {
+                    resources: projects.map(project => ({
+                        uri: `devops-test://projects/${project.id}/tests`,
+                        name: `Tests in ${project.name}`,
+                        mimeType: 'application/json'
+                    }))
+                };
+            },
+            complete: {
+                projectId: completeProjectId,
+                type: (value) => completeFrom(DEFAULT_TEST_TYPES, value),
+                branch: (value) => completeFrom(['main'], value)
+            }
+        }),
+        {
+            title: "Project tests",
+            description: "Tests in a project; filter with ?branch= (default: main) and ?type= (e.g. UI, EXT_TEST_SUITE)",
+            mimeType: "application/json"
+        },
+        async (uri, variables) => {
+            const tests = await client.listAssets(variables.projectId, {
+                branch: variables.branch || 'main',
+                testTypes: variables.type ? [variables.type] : undefined
+            });
+            return jsonResource(uri, tests);
+        }
+    );
+
+    // Resource holding the summary and execution logs of a test result
+    server.registerResource(
+        "test-result",
+        new ResourceTemplate("devops-test://projects/{projectId}/results/{resultId}", {
+            list: undefined,
+            complete: {
+                projectId: completeProjectId,
+                resultId: completeResultId
+            }
+        }),
+        {
+            title: "Test result",
+            description: "Summary and execution logs of a test result",
+            mimeType: "application/json"
+        },
+        async (uri, variables) => {
+            const summary = await client.getResult(variables.projectId, variables.resultId);
+            const logs = await client.getResultLogs(variables.projectId, variables.resultId).catch(() => null);
+            return jsonResource(uri, {
+                projectId: variables.projectId,
+                resultId: variables.resultId,
+                reportURL: client.getReportURL(variables.projectId, variables.resultId),
+                summary,
+                logs
+            });
+        }
+    );
+
+    // Resource holding the parsed testlog.json (steps and failures) from a result archive
+    server.registerResource(
+        "test-result-testlog",
+        new ResourceTemplate("devops-test://projects/{projectId}/results/{resultId}/testlog", {
+            list: undefined,
+            complete: {
+                projectId: completeProjectId,
+                resultId: completeResultId
+            }
+        }),
+        {
+            title: "Test result log",
+            description: "Steps, failures and summary parsed from the testlog.json of a result archive",
+            mimeType: "application/json"
+        },
+        async (uri, variables) => {
+            const { testLog } = await fetchResultTestLog(client, variables.projectId, { resultId: variables.resultId });
+            return jsonResource(uri, {
+                projectId: variables.projectId,
+                resultId: variables.resultId,
+                ...testLog
+            });
+        }
+    );
+
+    return server;
+}
+
+// Create the MCP server of one HTTP session from getConfig(), authenticating with the
+// session's token. Sessions are remote clients, so tools must not write files on this host.
+// The client's authentication is released when the session closes, so its tokens stop being
+// renewed and are no longer redacted from the logs of later sessions
+export function createHttpSessionServer(config, token) {
+    const client = new DevOpsTestClient({
+        serverURL: config.serverURL,
+        personalAccessToken: token,
+        maxTestLogBytes: config.maxTestLogBytes,
+        requestTimeoutMs: config.requestTimeoutMs,
+        maxRetries: config.maxRetries
+    });
+    const server = createServer(client, { allowFileOutput: false });
+    server.server.onclose = () => client.close();
+    return server;
+}
+
+// Create the MCP server of the stdio transport from getConfig(): one client, with its own
+// authentication and access token, per connection profile when a profiles file is used,
+// otherwise a single client and no profile argument
+export function createStdioServer(config) {
+    const clientOptions = {
+        maxTestLogBytes: config.maxTestLogBytes,
+        requestTimeoutMs: config.requestTimeoutMs,
+        maxRetries: config.maxRetries
+    };
+    if (!config.profiles) {
+        return createServer(new DevOpsTestClient({ serverURL: config.serverURL, credentials: config.credentials, ...clientOptions }));
     }
-  }
-);
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
+    const profiles = new ConnectionProfiles({
+        profiles: config.profiles,
+        defaultProfile: config.profileName,
+        path: config.profilesPath,
+        createClient: (profile) => new DevOpsTestClient({ serverURL: profile.serverURL, credentials: profile.credentials, ...clientOptions })
+    });
+    return createServer(profiles.clientFor(), { profiles });
+}
+
+// Only start a transport when run directly (e.g. via npx or node), not when imported
+const isMainModule = process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isMainModule) {
+    // Get configuration at startup
+    const config = getConfig();
+
+    // Log to stderr or a log file - stdout is the JSON-RPC channel under the stdio transport
+    configureLogger({ level: config.logLevel, format: config.logFormat, file: config.logFile });
+    if (config.ignoredSettings.length > 0) {
+        log.warning(`Ignoring ${config.ignoredSettings.join(', ')}: the connections are defined by the profiles file ${config.profilesPath}`);
+    }
+
+    process.on('SIGTERM', cleanup);
+    process.on('SIGINT', cleanup);
+
+    if (config.transport === 'http') {
+        // One MCP server and DevOps Test client per session, using the session's own token
+        await startHttpServer({
+            port: config.port,
+            host: config.host,
+            createSessionServer: (token) => createHttpSessionServer(config, token)
+        });
+    } else {
+        const server = createStdioServer(config);
+        const transport = new StdioServerTransport();
+        await server.connect(transport);
+    }
+}
@@ -5,12 +5,60 @@
  * 
  * This module handles authentication using the /rest/tokens endpoint instead of Keycloak.
  * It's a simplified approach that uses personal access tokens directly.
+ * The personal access token is given directly or read on first use from a
+ * credential chain (see credentials.js).
+ *
+ * Concurrent callers share one token request, and a token that is in use is renewed
+ * shortly before it expires so requests do not wait for a new one.
  */
 
+import { createLogger, registerSecret, unregisterSecret } from './logger.js';
+import { CredentialChain, credentialSources, readCredentialArguments } from './credentials.js';
+import { fetchWithRetry } from './http.js';
+
+const log = createLogger('auth');
+
+// Access tokens are not used in the last minute before they expire
+const EXPIRY_BUFFER_MS = 60 * 1000;
+
+// Renew an access token this long before it stops being used, or halfway through that time if that is later
+const RENEWAL_MARGIN_MS = 2 * 60 * 1000;
+
+// Shortest wait before a renewal, so short-lived tokens are not renewed in a tight loop
+const MIN_RENEWAL_DELAY_MS = 1000;
+
+// Longest delay setTimeout supports
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Expiry time of an access token from the exp claim of a JWT
+ * @param {string} token
+ * @returns {number|null} Milliseconds since the epoch, null when the token is not a JWT or has no exp claim
+ */
+export function jwtExpiry(token) {
+    const payload = typeof token === 'string' ? token.split('.')[1] : null;
+    if (!payload) return null;
+    try {
+        const { exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+        return Number.isFinite(exp) ? exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
+
 export class SimpleAuth {
+    /**
+     * @param {Object} config
+     * @param {string} config.serverURL
+     * @param {string} [config.personalAccessToken] - Personal access token (refresh token)
+     * @param {CredentialChain} [config.credentials] - Where to read the personal access token from when it is not given
+     * @param {import('./http.js').RetryPolicy} [config.retryPolicy] - Timeout and retries of token requests
+     */
     constructor(config) {
         this.serverURL = config.serverURL;
         this.personalAccessToken = config.personalAccessToken;
+        this.credentials = config.credentials || null;
+        this.retryPolicy = config.retryPolicy || {};
         
         // Derive base URL from server URL
         this.baseURL = this.extractBaseURL(this.serverURL);
@@ -20,10 +68,33 @@ export class SimpleAuth {
         this.accessToken = null;
         this.tokenExpiry = null;
         
-        console.log(`Simple Auth initialized:`);
-        console.log(`  Base URL: ${this.baseURL}`);
-        console.log(`  Token Endpoint: ${this.tokenEndpoint}`);
-        console.log(`  Has Personal Access Token: ${!!this.personalAccessToken}`);
+        // Token request shared by concurrent callers, and the timer renewing the token before it expires
+        this.pendingToken = null;
+        this.renewalTimer = null;
+        this.tokenUsed = false;
+        
+        // Keep the personal access token out of any log output
+        registerSecret(this.personalAccessToken);
+        
+        log.debug('Simple Auth initialized', {
+            baseURL: this.baseURL,
+            tokenEndpoint: this.tokenEndpoint,
+            hasPersonalAccessToken: !!this.personalAccessToken,
+            credentialSource: this.credentials?.source
+        });
+    }
+    
+    /**
+     * Get the personal access token, reading it from the credential chain on first use
+     */
+    async getPersonalAccessToken() {
+        if (!this.personalAccessToken && this.credentials) {
+            const { token, source } = await this.credentials.resolve();
+            registerSecret(token);
+            this.personalAccessToken = token;
+            log.debug(`Personal access token read from ${source}`);
+        }
+        return this.personalAccessToken;
     }
     
     /**
@@ -48,9 +119,7 @@ export class SimpleAuth {
         if (!this.tokenExpiry) return true; // No expiry info, assume valid
         
         // Check if token expires in the next 60 seconds
-        const now = Date.now();
-        const expiryBuffer = 60 * 1000; // 60 seconds
-        return this.tokenExpiry > (now + expiryBuffer);
+        return this.tokenExpiry > (Date.now() + EXPIRY_BUFFER_MS);
     }
     
     /**
@@ -58,20 +127,32 @@ export class SimpleAuth {
      * Based on working TokenUtil.groovy implementation
      */
     async authenticateWithPersonalToken() {
-        console.log('🔐 Starting authentication with refresh token...');
+        log.debug('Starting authentication with refresh token');
         
-        if (!this.personalAccessToken) {
+        let personalAccessToken;
+        try {
+            personalAccessToken = await this.getPersonalAccessToken();
+        } catch (error) {
+            log.error(error.message);
+            return {
+                success: false,
+                error: 'credential_error',
+                errorDescription: error.message
+            };
+        }
+        if (!personalAccessToken) {
             throw new Error('Personal access token is required for authentication');
         }
         
-        console.log(`📡 Making token request to: ${this.tokenEndpoint}`);
+        log.debug(`Making token request to: ${this.tokenEndpoint}`);
         
         try {
             // Use the exact same approach as the working Groovy implementation
             const formData = new URLSearchParams();
-            formData.append('refresh_token', this.personalAccessToken);
+            formData.append('refresh_token', personalAccessToken);
             
-            const response = await fetch(this.tokenEndpoint, {
+            // Exchanging the personal access token again is harmless, so the POST may be retried
+            const response = await fetchWithRetry(this.tokenEndpoint, {
                 method: 'POST',
                 headers: {
                     'Accept': 'application/json',
@@ -80,45 +161,48 @@ export class SimpleAuth {
                     // Note: No Authorization header needed - just send refresh_token in form data
                 },
                 body: formData
-            });
+            }, { ...this.retryPolicy, idempotent: true });
             
-            console.log(`📊 Response: ${response.status} ${response.statusText}`);
+            log.debug(`Token response: ${response.status} ${response.statusText}`);
             
             if (response.ok) {
                 const data = await response.json();
                 
                 // Extract access token from response
                 if (data.access_token || data.token) {
+                    // The replaced token is no longer used, so the logger can stop looking for it
+                    unregisterSecret(this.accessToken);
                     this.accessToken = data.access_token || data.token;
+                    registerSecret(this.accessToken);
                 } else {
                     throw new Error('No access token in response');
                 }
                 
-                // Calculate token expiry if provided
-                if (data.expires_in) {
-                    this.tokenExpiry = Date.now() + (data.expires_in * 1000);
-                } else {
-                    // Default to 1 hour expiry if not specified
-                    this.tokenExpiry = Date.now() + (3600 * 1000);
-                }
+                // Calculate token expiry from expires_in, else from the exp claim of a JWT;
+                // without either the token is used until the server rejects it with 401
+                this.tokenExpiry = data.expires_in ? Date.now() + (data.expires_in * 1000) : jwtExpiry(this.accessToken);
+                const expiresIn = this.tokenExpiry ? Math.round((this.tokenExpiry - Date.now()) / 1000) : null;
+                this.scheduleRenewal();
                 
-                console.log('✅ Authentication successful!');
-                console.log(`   Access token length: ${this.accessToken.length}`);
-                console.log(`   Token type: ${data.token_type || 'Bearer'}`);
-                console.log(`   Expires in: ${data.expires_in || 3600} seconds`);
+                log.info('Authentication successful', {
+                    accessTokenLength: this.accessToken.length,
+                    type: data.token_type || 'Bearer',
+                    expiresIn
+                });
                 
                 return {
                     success: true,
                     accessToken: this.accessToken,
-                    expiresIn: data.expires_in || 3600,
+                    expiresIn,
                     tokenType: data.token_type || 'Bearer'
                 };
                 
             } else {
                 const errorText = await response.text();
-                console.error('❌ Token request failed:');
-                console.error(`   Status: ${response.status} ${response.statusText}`);
-                console.error(`   Error: ${errorText}`);
+                log.error('Token request failed', {
+                    status: `${response.status} ${response.statusText}`,
+                    error: errorText
+                });
                 
                 // Handle specific error cases
                 if (response.status === 403) {
@@ -141,7 +225,7 @@ export class SimpleAuth {
             }
             
         } catch (error) {
-            console.error('❌ Network error during authentication:', error.message);
+            log.error(`Network error during authentication: ${error.message}`);
             
             return {
                 success: false,
@@ -156,12 +240,60 @@ export class SimpleAuth {
      */
     async getAccessToken() {
         if (this.hasValidToken()) {
-            console.log('✅ Using existing valid access token');
+            log.debug('Using existing valid access token');
+            this.tokenUsed = true;
             return { success: true, accessToken: this.accessToken };
         }
         
-        console.log('🔄 Access token expired or missing, obtaining new token...');
-        return await this.authenticateWithPersonalToken();
+        log.info('Access token expired or missing, obtaining new token');
+        const result = await this.refresh();
+        if (result.success) this.tokenUsed = true;
+        return result;
+    }
+    
+    /**
+     * Request a new access token, sharing the request with callers that arrive while it is in flight
+     */
+    refresh() {
+        if (!this.pendingToken) {
+            this.pendingToken = this.authenticateWithPersonalToken().finally(() => {
+                this.pendingToken = null;
+            });
+        }
+        return this.pendingToken;
+    }
+    
+    /**
+     * Renew the access token shortly before it expires. Only tokens that getAccessToken()
+     * handed out since they were issued are renewed, so an idle client stops requesting tokens.
+     */
+    scheduleRenewal() {
+        clearTimeout(this.renewalTimer);
+        this.renewalTimer = null;
+        this.tokenUsed = false;
+        
+        const usable = this.tokenExpiry ? this.tokenExpiry - EXPIRY_BUFFER_MS - Date.now() : 0;
+        if (usable <= 0) return;
+        
+        const delay = Math.min(MAX_TIMER_DELAY_MS, Math.max(MIN_RENEWAL_DELAY_MS, usable / 2, usable - RENEWAL_MARGIN_MS));
+        this.renewalTimer = setTimeout(async () => {
+            this.renewalTimer = null;
+            if (!this.tokenUsed) {
+                log.debug('Access token unused since it was issued; not renewing it');
+                return;
+            }
+            log.debug('Renewing access token before it expires');
+            try {
+                const result = await this.refresh();
+                if (!result.success) {
+                    log.warning(`Access token renewal failed: ${result.errorDescription || result.error}`);
+                }
+            } catch (error) {
+                log.warning(`Access token renewal failed: ${error.message}`);
+            }
+        }, delay);
+        // The timer alone must not keep the process running
+        this.renewalTimer.unref?.();
     }
     
     /**
@@ -178,32 +310,55 @@ export class SimpleAuth {
     
     /**
      * Clear stored tokens
+     * @param {string} [rejectedToken] - Only clear if this is still the current access token, so a
+     *   late 401 for an older token does not throw away one that was just renewed
      */
-    clearTokens() {
+    clearTokens(rejectedToken) {
+        if (rejectedToken !== undefined && rejectedToken !== this.accessToken) {
+            log.debug('Rejected access token was already replaced');
+            return;
+        }
+        clearTimeout(this.renewalTimer);
+        this.renewalTimer = null;
+        unregisterSecret(this.accessToken);
         this.accessToken = null;
         this.tokenExpiry = null;
-        console.log('🗑️  Tokens cleared');
+        log.debug('Tokens cleared');
+    }
+
+    /**
+     * Release the authentication once it is no longer used, e.g. when an HTTP session ends:
+     * stops the renewal and lets the logger forget the access and personal access tokens
+     */
+    dispose() {
+        this.clearTokens();
+        unregisterSecret(this.personalAccessToken);
+        this.personalAccessToken = null;
     }
 }
 
 /**
- * Create SimpleAuth instance from environment variables
+ * Create SimpleAuth instance from command line arguments and environment variables
+ *
+ * Reads --server-url, --token, --token-file and --credential-helper, falling back to
+ * TEST_SERVER_URL and the token environment variables, the same way the server does.
+ * @param {string[]} [argv] - Command line arguments (default: those of this process)
+ * @param {Object} [env] - Environment variables (default: those of this process)
  */
-export function createSimpleAuthFromEnv() {
-    const config = {
-        serverURL: process.env.TEST_SERVER_URL,
-        personalAccessToken: process.env.TEST_ACCESS_TOKEN
-    };
+export function createSimpleAuthFromEnv(argv = process.argv.slice(2), env = process.env) {
+    const args = readCredentialArguments(argv);
+    const serverURL = args.serverUrl || env.TEST_SERVER_URL;
+    const credentials = new CredentialChain(credentialSources({ args, env }));
     
     // Validate required config
-    if (!config.serverURL) {
-        throw new Error('TEST_SERVER_URL environment variable is required');
+    if (!serverURL) {
+        throw new Error('Server URL is required. Set TEST_SERVER_URL environment variable or use --server-url argument.');
     }
-    if (!config.personalAccessToken) {
-        throw new Error('TEST_ACCESS_TOKEN environment variable is required');
+    if (!credentials.configured) {
+        throw new Error('Personal access token is required. Use --token, --token-file or --credential-helper, or set TEST_ACCESS_TOKEN, TEST_ACCESS_TOKEN_FILE or TEST_CREDENTIAL_HELPER.');
     }
     
-    return new SimpleAuth(config);
+    return new SimpleAuth({ serverURL, credentials });
 }
 
 export default SimpleAuth;
@@ -0,0 +1,420 @@
+/**
+ * Test Log Module
+ *
+ * The test log model shared by every tool that reads steps: parses the testlog.json of a
+ * result archive, or the execution logs of a result, into a summary, a flat depth-first
+ * list of steps with rolled-up verdicts, the failures and a timing analysis (slowest
+ * steps, time spent waiting, critical path). parseTestLog() works on the parsed JSON.
+ * parseTestLogStream() reads testlog.json as a stream of JSON tokens and keeps only the
+ * fields the model is built from, so the testlogs of long performance and UI runs, which
+ * can be hundreds of megabytes, are analyzed within a fixed memory ceiling. Both return
+ * the same result.
+ */
+
+import { parser } from 'stream-json';
+
+/**
+ * @typedef {Object} ParsedTestLog
+ * @property {Object} summary - id, initiatedByUser, startTime, endTime, duration, verdict and status of the run
+ * @property {Object[]} steps - Steps in depth-first order, each with its nesting level
+ * @property {Object[]} failures - Failed steps with reason, message, stacktrace and screenshot
+ * @property {TimingAnalysis} timing - Slowest steps, waits and critical path
+ * @property {Array} screenshots
+ * @property {Array} artifacts
+ */
+
+/**
+ * Default ceiling for the testlog data kept in memory by parseTestLogStream(), in bytes
+ */
+export const DEFAULT_MAX_TESTLOG_BYTES = 64 * 1024 * 1024;
+
+// Fields of the testlog root used for the summary
+const SUMMARY_FIELDS = ['id', 'initiatedByUser', 'startTime', 'endTime', 'duration', 'verdict', 'status'];
+
+// Fields of a log item used for its step and failure
+const ITEM_FIELDS = ['id', 'type', 'time', 'properties', 'end'];
+
+// Arrays holding the child items of a log item
+const CHILD_FIELDS = ['events', 'items'];
+
+// Rough memory cost of a kept value on top of the characters of its strings
+const VALUE_OVERHEAD_BYTES = 32;
+
+/**
+ * Parse a testlog into its summary, a flat depth-first list of steps, the failures and a timing analysis.
+ * Every log item with a name or type is a step, whether it is listed under "items" or "events" of its
+ * parent. A step that reports no verdict takes the rolled-up verdict of its child steps; an event
+ * without an end (device or configuration info) is INFO.
+ * @param {Object|Object[]} testLogJSON - Contents of testlog.json, or the execution logs of a result
+ * @returns {ParsedTestLog}
+ */
+export function parseTestLog(testLogJSON) {
+    const results = {
+        summary: {},
+        steps: [],
+        failures: [],
+        screenshots: [],
+        artifacts: []
+    };
+
+    // Extract basic summary information
+    if (testLogJSON.id) results.summary.id = testLogJSON.id;
+    if (testLogJSON.initiatedByUser) results.summary.initiatedByUser = testLogJSON.initiatedByUser;
+    if (testLogJSON.startTime) results.summary.startTime = testLogJSON.startTime;
+    if (testLogJSON.endTime) results.summary.endTime = testLogJSON.endTime;
+    if (testLogJSON.duration) results.summary.duration = testLogJSON.duration;
+    if (testLogJSON.verdict) results.summary.verdict = testLogJSON.verdict;
+    if (testLogJSON.status) results.summary.status = testLogJSON.status;
+
+    // Recursive function to extract steps and failures. Returns the rolled-up verdict of the item and its children.
+    const extractStepsAndFailures = (logItem, parentPath = '', level = 0) => {
+        if (!logItem) return null;
+
+        let step = null;
+        const ownVerdict = logItem.end?.properties?.verdict || null;
+
+        // Process the current item
+        if (logItem.properties && (logItem.properties.name || logItem.type)) {
+            const startTime = logItem.time;
+            const endTime = logItem.end ? logItem.end.time : null;
+            step = {
+                id: logItem.id,
+                path: parentPath ? `${parentPath}.${logItem.id}` : logItem.id,
+                name: logItem.properties.name || logItem.type || 'Unnamed step',
+                type: logItem.type,
+                startTime,
+                endTime,
+                duration: logItem.end ? logItem.end.duration ?? elapsed(startTime, endTime) : null,
+                verdict: ownVerdict,
+                properties: logItem.properties,
+                screenshot: logItem.end?.properties?.screenshot || logItem.properties.screenshot || null,
+                verdicts: logItem.end?.verdicts || null,
+                level: level
+            };
+
+            results.steps.push(step);
+
+            // Check for failures
+            if (isFailing(ownVerdict)) {
+                const failure = {
+                    stepId: step.id,
+                    name: step.name,
+                    type: step.type,
+                    time: step.endTime || step.startTime,
+                    reason: logItem.end?.properties?.reason || 'Unknown failure',
+                    message: logItem.end?.properties?.message || null,
+                    stacktrace: logItem.end?.properties?.stacktrace || null,
+                    screenshot: logItem.end?.properties?.screenshot || null,
+                    properties: step.properties
+                };
+                results.failures.push(failure);
+            }
+        }
+
+        // Process events, then nested items
+        const childPath = parentPath ? `${parentPath}.${logItem.id}` : logItem.id;
+        const childVerdicts = [];
+        for (const field of ['events', 'items']) {
+            if (Array.isArray(logItem[field])) {
+                for (const child of logItem[field]) {
+                    childVerdicts.push(extractStepsAndFailures(child, childPath, level + 1));
+                }
+            }
+        }
+
+        const rolledUp = worstVerdict(childVerdicts);
+        if (step && !step.verdict) {
+            step.verdict = rolledUp || (logItem.end ? 'UNKNOWN' : 'INFO');
+        }
+        return worstVerdict([ownVerdict, rolledUp]);
+    };
+
+    // Start extraction from the root
+    let verdict;
+    if (Array.isArray(testLogJSON)) {
+        verdict = worstVerdict(testLogJSON.map(item => extractStepsAndFailures(item)));
+    } else {
+        verdict = extractStepsAndFailures(testLogJSON);
+    }
+    if (!results.summary.verdict && verdict) results.summary.verdict = verdict;
+
+    results.timing = analyzeTiming(results);
+    return results;
+}
+
+// Verdicts from least to most severe. A parent rolls up to the most severe verdict of its children.
+const VERDICT_SEVERITY = ['UNKNOWN', 'INFO', 'PASS', 'INCONCLUSIVE', 'FAIL', 'ERROR'];
+
+const severity = (verdict) => VERDICT_SEVERITY.indexOf(String(verdict).toUpperCase());
+
+const isFailing = (verdict) => severity(verdict) >= severity('FAIL');
+
+/**
+ * Most severe of a list of verdicts (ERROR, FAIL, INCONCLUSIVE, PASS, INFO, UNKNOWN)
+ * @param {Array<string|null|undefined>} verdicts
+ * @returns {string|null} null if the list holds no verdict
+ */
+export function worstVerdict(verdicts) {
+    let worst = null;
+    for (const verdict of verdicts) {
+        if (!verdict) continue;
+        if (worst === null || severity(verdict) > severity(worst)) worst = verdict;
+    }
+    return worst;
+}
+
+// Time as milliseconds since the epoch, from a number or a date string (null if neither)
+const toMillis = (time) => {
+    if (typeof time === 'number') return time;
+    if (typeof time === 'string') {
+        const ms = Date.parse(time);
+        return Number.isNaN(ms) ? null : ms;
+    }
+    return null;
+};
+
+// Milliseconds between two times, null unless both are known
+const elapsed = (start, end) => {
+    const from = toMillis(start);
+    const to = toMillis(end);
+    return from !== null && to !== null && to >= from ? to - from : null;
+};
+
+/**
+ * @typedef {Object} StepNode
+ * @property {Object} step - The step, as listed in ParsedTestLog.steps
+ * @property {StepNode[]} children
+ * @property {string} verdict - Most severe verdict of the step and all steps below it
+ */
+
+/**
+ * Rebuild the step tree from the depth-first step list of a parsed testlog, using each step's level
+ * @param {Object[]} steps - ParsedTestLog.steps
+ * @returns {StepNode[]} The top-level steps
+ */
+export function buildStepTree(steps) {
+    const roots = [];
+    const stack = [];
+    for (const step of steps) {
+        const node = { step, children: [], verdict: step.verdict };
+        const level = step.level || 0;
+        stack.length = level;
+        const parent = stack[level - 1];
+        (parent ? parent.children : roots).push(node);
+        stack[level] = node;
+    }
+
+    const rollUp = (node) => {
+        node.verdict = worstVerdict([node.step.verdict, ...node.children.map(rollUp)]) || 'UNKNOWN';
+        return node.verdict;
+    };
+    roots.forEach(rollUp);
+    return roots;
+}
+
+// Step types and names of steps that wait or synchronize rather than act
+const WAIT_PATTERN = /\b(wait|sync|delay|sleep|think|pause)/i;
+
+/**
+ * @typedef {Object} TimedStep
+ * @property {string|number|null} id
+ * @property {string} name
+ * @property {number} level
+ * @property {number|null} duration - Milliseconds from start to end of the step
+ * @property {number|null} selfTime - Milliseconds not spent in child steps
+ */
+
+/**
+ * @typedef {Object} TimingAnalysis
+ * @property {number|null} totalDuration - Milliseconds the run took
+ * @property {TimedStep[]} slowestSteps - Steps that spent the most time themselves, rather than in their child steps
+ * @property {TimedStep[]} waits - Wait and synchronization steps, outermost only
+ * @property {number} waitTime - Milliseconds spent in the wait steps
+ * @property {number} idleTime - Milliseconds between the end of a step and the start of the next one at the same level
+ * @property {TimedStep[]} criticalPath - From the top, the step that took longest at each level
+ */
+
+/**
+ * Analyze where the time of a run went: the slowest steps, the time spent waiting and the critical path
+ * @param {{ summary: Object, steps: Object[] }} testLog - Output of parseTestLog()
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Number of slowest steps
+ * @returns {TimingAnalysis}
+ */
+export function analyzeTiming(testLog, options = {}) {
+    const limit = options.limit ?? 5;
+    const roots = buildStepTree(testLog.steps);
+    const durationOf = (node) => (typeof node.step.duration === 'number' ? node.step.duration : null);
+
+    const timed = [];
+    const waits = [];
+    let idleTime = 0;
+    const toTimedStep = (node) => ({
+        id: node.step.id ?? null,
+        name: String(node.step.name),
+        level: node.step.level || 0,
+        duration: durationOf(node),
+        selfTime: node.selfTime
+    });
+
+    const visit = (nodes, insideWait) => {
+        let previousEnd = null;
+        for (const node of nodes) {
+            const duration = durationOf(node);
+            node.selfTime = null;
+            if (duration !== null) {
+                const inChildren = node.children.reduce((sum, child) => sum + (durationOf(child) || 0), 0);
+                node.selfTime = Math.max(0, duration - inChildren);
+            }
+            timed.push(toTimedStep(node));
+
+            const isWait = WAIT_PATTERN.test(String(node.step.type || '').split('.').pop()) || WAIT_PATTERN.test(String(node.step.name));
+            if (isWait && !insideWait) waits.push(toTimedStep(node));
+
+            const gap = elapsed(previousEnd, node.step.startTime);
+            if (gap) idleTime += gap;
+            previousEnd = node.step.endTime ?? null;
+
+            visit(node.children, insideWait || isWait);
+        }
+    };
+    visit(roots, false);
+
+    const criticalPath = [];
+    let level = roots;
+    while (level.length > 0) {
+        const longest = level.reduce((best, node) => ((durationOf(node) ?? -1) > (durationOf(best) ?? -1) ? node : best));
+        if (durationOf(longest) === null) break;
+        criticalPath.push(toTimedStep(longest));
+        level = longest.children;
+    }
+
+    const summaryDuration = typeof testLog.summary?.duration === 'number' ? testLog.summary.duration : null;
+    const rootDurations = roots.map(durationOf).filter(duration => duration !== null);
+
+    return {
+        totalDuration: summaryDuration ?? (rootDurations.length > 0 ? rootDurations.reduce((a, b) => a + b, 0) : null),
+        slowestSteps: timed.filter(step => step.selfTime > 0).sort((a, b) => b.selfTime - a.selfTime).slice(0, limit),
+        waits,
+        waitTime: waits.reduce((sum, step) => sum + (step.duration || 0), 0),
+        idleTime,
+        criticalPath
+    };
+}
+
+/**
+ * Parse a testlog from a stream of testlog.json, keeping only the fields parseTestLog() uses.
+ * Other fields (attachments, recorded data, ...) are skipped as they stream past.
+ * @param {import('stream').Readable} source - Stream of testlog.json, e.g. an archive entry
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Ceiling for the data kept in memory (default: DEFAULT_MAX_TESTLOG_BYTES)
+ * @returns {Promise<ParsedTestLog>}
+ */
+export async function parseTestLogStream(source, options = {}) {
+    const maxBytes = options.maxBytes ?? DEFAULT_MAX_TESTLOG_BYTES;
+    let keptBytes = 0;
+    const keep = (bytes) => {
+        keptBytes += bytes;
+        if (keptBytes > maxBytes) {
+            const limit = maxBytes >= 1024 * 1024 ? `${Math.round(maxBytes / (1024 * 1024))} MB` : `${maxBytes} bytes`;
+            throw new Error(`testlog.json has more step data than the memory limit of ${limit}`);
+        }
+    };
+
+    const tokens = parser.asStream({ packKeys: true, packNumbers: true, packStrings: false, streamKeys: false, streamNumbers: false });
+    source.on('error', error => tokens.destroy(error));
+    source.pipe(tokens);
+
+    // Each open object or array is a frame. Its role says what its contents are:
+    // "item" (a log item), "items" (an array of log items), "value" (a kept value) or "skip".
+    let root;
+    const stack = [];
+    let string = null; // Chunks of the string being read, null when it is skipped
+
+    // Store a finished value in the innermost frame
+    const store = (value) => {
+        const frame = stack[stack.length - 1];
+        if (!frame) {
+            root = value;
+        } else if (frame.role === 'value') {
+            if (Array.isArray(frame.container)) frame.container.push(value);
+            else frame.container[frame.key] = value;
+        } else if (frame.role === 'item') {
+            frame.container[frame.key] = value;
+        }
+    };
+
+    // Role of a value at the current position, given whether it is an object or an array
+    const roleOfValue = (isObject) => {
+        const frame = stack[stack.length - 1];
+        if (!frame) return isObject ? 'item' : 'items';
+        if (frame.role === 'items') return isObject ? 'item' : 'skip';
+        if (frame.role === 'value') return 'value';
+        if (frame.role === 'item') {
+            if (CHILD_FIELDS.includes(frame.key)) return isObject ? 'skip' : 'items';
+            const fields = frame.isRoot ? [...ITEM_FIELDS, ...SUMMARY_FIELDS] : ITEM_FIELDS;
+            return fields.includes(frame.key) ? 'value' : 'skip';
+        }
+        return 'skip';
+    };
+
+    const open = (isObject) => {
+        const role = roleOfValue(isObject);
+        const container = role === 'skip' ? null : (isObject ? {} : []);
+        if (container) {
+            keep(VALUE_OVERHEAD_BYTES);
+            const parent = stack[stack.length - 1];
+            if (parent?.role === 'items') parent.container.push(container);
+            else store(container);
+        }
+        stack.push({ role, container, key: null, isRoot: stack.length === 0 });
+    };
+
+    for await (const token of tokens) {
+        switch (token.name) {
+            case 'startObject':
+                open(true);
+                break;
+            case 'startArray':
+                open(false);
+                break;
+            case 'endObject':
+            case 'endArray':
+                stack.pop();
+                break;
+            case 'keyValue': {
+                const frame = stack[stack.length - 1];
+                frame.key = token.value;
+                if (frame.role === 'value') keep(VALUE_OVERHEAD_BYTES + token.value.length);
+                break;
+            }
+            case 'startString':
+                string = roleOfValue(false) === 'value' ? [] : null;
+                break;
+            case 'stringChunk':
+                if (string) {
+                    keep(token.value.length);
+                    string.push(token.value);
+                }
+                break;
+            case 'endString':
+                if (string) {
+                    keep(VALUE_OVERHEAD_BYTES);
+                    store(string.join(''));
+                }
+                string = null;
+                break;
+            case 'numberValue':
+            case 'trueValue':
+            case 'falseValue':
+            case 'nullValue':
+                if (roleOfValue(false) === 'value') {
+                    keep(VALUE_OVERHEAD_BYTES);
+                    store(token.name === 'numberValue' ? Number(token.value) : token.value);
+                }
+                break;
+        }
+    }
+
+    return parseTestLog(root ?? {});
+}
@@ -2,10 +2,12 @@
 
 // Basic smoke test to ensure the package can be imported and initialized
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { DevOpsTestClient } from "./src/lib/index.js";
 
 try {
   console.log("✅ Package can be imported successfully");
   console.log("✅ MCP SDK is accessible");
+  console.log(`✅ Library exports ${DevOpsTestClient.name}`);
   process.exit(0);
 } catch (error) {
   console.error("❌ Package test failed:", error.message);
@@ -0,0 +1,59 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ArchiveCache, defaultCacheDir } from '../src/lib/archive-cache.js';
+
+describe('Archive cache', () => {
+    let dir;
+    let cache;
+    const key = { serverURL: 'https://devops.example.com/test', projectId: '1150', resultId: '7733' };
+
+    before(() => {
+        dir = mkdtempSync(path.join(tmpdir(), 'archive-cache-'));
+        cache = new ArchiveCache(dir);
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('stores and finds archives by server, project and result', async () => {
+        assert.equal(await cache.find(key), null);
+
+        const file = await cache.set(key, Buffer.from('archive'));
+
+        assert.equal(file, cache.pathFor(key));
+        assert.equal(await cache.find(key), file);
+        assert.deepEqual(readFileSync(file), Buffer.from('archive'));
+        assert.equal(await cache.find({ ...key, serverURL: 'https://other.example.com/test' }), null);
+        if (process.platform !== 'win32') {
+            assert.equal(statSync(file).mode & 0o777, 0o600);
+        }
+    });
+
+    test('copies archives stored in a file', async () => {
+        const source = path.join(dir, 'download.zip');
+        writeFileSync(source, 'downloaded archive');
+
+        const file = await cache.set({ ...key, resultId: '7734' }, source);
+
+        assert.deepEqual(readFileSync(file), readFileSync(source));
+        if (process.platform !== 'win32') {
+            assert.equal(statSync(file).mode & 0o777, 0o600);
+        }
+    });
+
+    test('keeps every key part inside the cache folder', () => {
+        const file = cache.pathFor({ ...key, projectId: '..', resultId: '../../etc/passwd' });
+
+        assert.ok(file.startsWith(dir + path.sep));
+        assert.equal(path.relative(dir, file).split(path.sep).length, 3);
+        assert.equal(path.basename(file), '%2E%2E%2F%2E%2E%2Fetc%2Fpasswd.zip');
+    });
+
+    test('defaults to the user cache folder', () => {
+        assert.match(defaultCacheDir(), /mcp-devops-test[\\/]archives$/);
+    });
+});
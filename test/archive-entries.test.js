@@ -0,0 +1,39 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mimeTypeOf, entryKind, decodeText } from '../src/lib/archive-entries.js';
+
+describe('Archive entries', () => {
+    test('derives content types and kinds from file names', () => {
+        assert.equal(mimeTypeOf('testlog.json'), 'application/json');
+        assert.equal(mimeTypeOf('logs/Agent.LOG'), 'text/plain');
+        assert.equal(mimeTypeOf('screenshots/s3.1.png'), 'image/png');
+        assert.equal(mimeTypeOf('traces/recording'), 'application/octet-stream');
+        assert.equal(mimeTypeOf('v1.2/data'), 'application/octet-stream');
+
+        assert.equal(entryKind('application/json'), 'text');
+        assert.equal(entryKind('image/svg+xml'), 'text');
+        assert.equal(entryKind('image/jpeg'), 'image');
+        assert.equal(entryKind('application/pdf'), 'binary');
+    });
+
+    test('decodes UTF-8, UTF-16 with a byte order mark and ISO-8859-1', () => {
+        assert.deepEqual(decodeText(Buffer.from('Grüße\n')), { text: 'Grüße\n', encoding: 'utf-8' });
+        assert.deepEqual(decodeText(Buffer.from('\uFEFFbom')), { text: 'bom', encoding: 'utf-8' });
+        assert.deepEqual(decodeText(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Größe', 'utf16le')])), { text: 'Größe', encoding: 'utf-16le' });
+        assert.deepEqual(decodeText(Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from('AB', 'utf16le').swap16()])), { text: 'AB', encoding: 'utf-16be' });
+        assert.deepEqual(decodeText(Buffer.from([0x43, 0x61, 0x66, 0xe9])), { text: 'Café', encoding: 'iso-8859-1' });
+    });
+
+    test('drops a character cut off at the end of partial data', () => {
+        const data = Buffer.from('Grüße').subarray(0, 3);
+
+        assert.deepEqual(decodeText(data, { partial: true }), { text: 'Gr', encoding: 'utf-8' });
+        assert.equal(decodeText(data).encoding, 'iso-8859-1');
+    });
+
+    test('treats data with NUL bytes or many control characters as binary', () => {
+        assert.equal(decodeText(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00])), null);
+        assert.equal(decodeText(Buffer.from([0x01, 0x02, 0x03, 0x41])), null);
+        assert.deepEqual(decodeText(Buffer.alloc(0)), { text: '', encoding: 'utf-8' });
+    });
+});
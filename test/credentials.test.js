@@ -0,0 +1,100 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { CredentialChain, credentialSources, readCredentialArguments } from '../src/lib/credentials.js';
+
+const chainOf = (options) => new CredentialChain(credentialSources(options));
+
+describe('Credential chain', () => {
+    let dir;
+
+    // Write a token file with the given contents and permissions and return its path
+    const tokenFile = (contents, mode = 0o600) => {
+        const file = path.join(dir, `token-${Math.random().toString(36).slice(2)}`);
+        writeFileSync(file, contents);
+        chmodSync(file, mode);
+        return file;
+    };
+
+    before(() => {
+        dir = mkdtempSync(path.join(tmpdir(), 'mcp-devops-test-credentials-'));
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('uses the first configured source: command line, then environment, then profile', async () => {
+        const file = tokenFile('file-token\n');
+        const all = {
+            args: { token: 'cli-token', tokenFile: file, credentialHelper: 'echo cli-helper' },
+            env: { TEST_ACCESS_TOKEN: 'env-token', TEST_CREDENTIAL_HELPER: 'echo env-helper' },
+            profile: { token: 'profile-token' },
+            profileName: 'staging'
+        };
+
+        assert.deepEqual(chainOf(all).sources.map(source => source.description), [
+            '--token argument',
+            `token file ${file} (from --token-file)`,
+            'credential helper "echo cli-helper" (from --credential-helper)',
+            'TEST_ACCESS_TOKEN environment variable',
+            'credential helper "echo env-helper" (from TEST_CREDENTIAL_HELPER)',
+            'token of profile "staging"'
+        ]);
+        assert.deepEqual(await chainOf(all).resolve(), { token: 'cli-token', source: '--token argument' });
+        assert.equal((await chainOf({ ...all, args: { tokenFile: file } }).resolve()).token, 'file-token');
+        assert.equal((await chainOf({ ...all, args: { credentialHelper: 'echo cli-helper' } }).resolve()).token, 'cli-helper');
+        assert.deepEqual(await chainOf({ ...all, args: {} }).resolve(), { token: 'env-token', source: 'TEST_ACCESS_TOKEN environment variable' });
+        assert.equal((await chainOf({ ...all, args: {}, env: {} }).resolve()).token, 'profile-token');
+        assert.equal((await chainOf({ args: { tokenFile: file } }).resolve()).token, 'file-token');
+        assert.equal((await chainOf({ env: { TEST_CREDENTIAL_HELPER: 'echo env-helper' } }).resolve()).token, 'env-helper');
+        assert.equal(chainOf({ env: null, profile: {} }).configured, false);
+        await assert.rejects(chainOf({}).resolve(), /No personal access token is configured/);
+    });
+
+    test('reads the token environment variable of a profile only when it is set', async () => {
+        const profile = { tokenEnv: 'MCP_CREDENTIALS_TEST_TOKEN' };
+        const fromProfileEnv = chainOf({ profile, profileName: 'qa', profileEnv: { MCP_CREDENTIALS_TEST_TOKEN: 'profile-env-token' } });
+
+        assert.equal(fromProfileEnv.source, 'MCP_CREDENTIALS_TEST_TOKEN environment variable (tokenEnv of profile "qa")');
+        assert.equal((await fromProfileEnv.resolve()).token, 'profile-env-token');
+        assert.equal((await chainOf({ profile, env: { MCP_CREDENTIALS_TEST_TOKEN: 'env-token' } }).resolve()).token, 'env-token');
+        assert.equal(chainOf({ profile, profileEnv: {} }).configured, false);
+    });
+
+    test('refuses token files that other users can read, or that are missing or empty', { skip: process.platform === 'win32' }, async () => {
+        const shared = tokenFile('shared-token', 0o644);
+        const folder = path.join(dir, 'folder');
+        mkdirSync(folder);
+
+        await assert.rejects(chainOf({ args: { tokenFile: shared } }).resolve(),
+            new RegExp(`Cannot read the personal access token from token file ${shared} \\(from --token-file\\): it can be read by other users \\(mode 0644\\); run chmod 600`));
+        await assert.rejects(chainOf({ env: { TEST_ACCESS_TOKEN_FILE: path.join(dir, 'missing') } }).resolve(), /\(from TEST_ACCESS_TOKEN_FILE\): the file does not exist/);
+        await assert.rejects(chainOf({ profile: { tokenFile: folder }, profileName: 'qa' }).resolve(), /\(from tokenFile of profile "qa"\): it is not a regular file/);
+        await assert.rejects(chainOf({ args: { tokenFile: tokenFile(' \n') } }).resolve(), /: it is empty$/);
+    });
+
+    test('reports credential helpers that fail or print nothing', async () => {
+        await assert.rejects(chainOf({ args: { credentialHelper: 'echo locked >&2; exit 2' } }).resolve(),
+            /Cannot read the personal access token from credential helper "echo locked >&2; exit 2" \(from --credential-helper\): it exited with code 2: locked/);
+        await assert.rejects(chainOf({ args: { credentialHelper: 'true' } }).resolve(), /credential helper "true" \(from --credential-helper\): it is empty/);
+    });
+
+    test('reads the credential options from command line arguments', () => {
+        assert.deepEqual(readCredentialArguments(['--server-url', 'https://x/test', '--token-file', '/tmp/t', '--log-level', 'debug', '--credential-helper', 'pass show t']), {
+            serverUrl: 'https://x/test',
+            tokenFile: '/tmp/t',
+            credentialHelper: 'pass show t'
+        });
+    });
+
+    test('reads arguments by name, so a flag without a value does not shift the others', () => {
+        assert.deepEqual(readCredentialArguments(['--verbose', '--token-file', '/tmp/t', '--server-url=https://x/test', '--token']), {
+            tokenFile: '/tmp/t',
+            serverUrl: 'https://x/test'
+        });
+        assert.deepEqual(readCredentialArguments(['--token', '--credential-helper', 'pass show t']), { credentialHelper: 'pass show t' });
+    });
+});
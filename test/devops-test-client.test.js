@@ -0,0 +1,304 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DevOpsTestClient, DEFAULT_TEST_TYPES, createNameMatcher } from '../src/lib/index.js';
+import { startMockServer, pageOf } from './mock-devops-test-server.js';
+import { withTemporaryDirectory } from '../src/lib/devops-test-client.js';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+
+describe('DevOpsTestClient', () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        mock = await startMockServer();
+        client = new DevOpsTestClient({ serverURL: mock.url, personalAccessToken: 'pat' });
+    });
+
+    after(async () => {
+        await mock.close();
+    });
+
+    afterEach(() => {
+        mock.reset();
+    });
+
+    test('requires a server URL and credentials', () => {
+        assert.throws(() => new DevOpsTestClient({ personalAccessToken: 'pat' }), /serverURL is required/);
+        assert.throws(() => new DevOpsTestClient({ serverURL: mock.url }), /personalAccessToken is required/);
+    });
+
+    test('derives the REST and report URLs from the server URL', () => {
+        const remote = new DevOpsTestClient({ serverURL: 'https://devops.example.com/test/#', personalAccessToken: 'pat' });
+
+        assert.equal(remote.restURL, 'https://devops.example.com/test/rest');
+        assert.equal(remote.getReportURL('1150', '7733'), 'https://devops.example.com/test/funrep.html#/projects/1150/results/7733');
+    });
+
+    test('listProjects returns the project list', async () => {
+        const projects = await client.listProjects();
+
+        assert.deepEqual(projects.map(p => p.name), ['WebApp Testing', 'E-commerce Platform']);
+    });
+
+    test('listAssets only asks for executable assets when requested', async () => {
+        await client.listAssets('1150');
+        await client.listAssets('1150', { executableOnly: true, testTypes: ['UI'] });
+
+        const [all, executable] = mock.requestsTo(/\/assets\/$/);
+        assert.equal(all.query.get('deployable'), null);
+        assert.equal(all.query.getAll('externalTypes').length, DEFAULT_TEST_TYPES.length);
+        assert.equal(executable.query.get('deployable'), 'true');
+        assert.equal(executable.query.get('assetTypes'), 'EXECUTABLE');
+        assert.deepEqual(executable.query.getAll('externalTypes'), ['UI']);
+    });
+
+    test('listAssets follows every page and findAsset finds tests past the first page', async () => {
+        const assets = Array.from({ length: 230 }, (_, i) => ({ id: `asset-${i}`, name: `Test${i}`, external_type: 'UI' }));
+        mock.override('assets', (req, res) => mock.sendJSON(res, 200, pageOf(assets, req)));
+
+        const all = await client.listAssets('1150');
+        const found = await client.findAsset('1150', 'Test229');
+
+        assert.equal(all.length, 230);
+        assert.equal(found.id, 'asset-229');
+        assert.deepEqual(mock.requestsTo(/\/assets\/$/).slice(0, 3).map(r => r.query.get('page')), ['0', '1', '2']);
+    });
+
+    test('listAssets stops at a short page when the server reports no totals', async () => {
+        mock.override('assets', (req, res) => {
+            const { content } = pageOf(Array.from({ length: 150 }, (_, i) => ({ id: `${i}`, name: `Test${i}` })), req);
+            mock.sendJSON(res, 200, { content });
+        });
+
+        assert.equal((await client.listAssets('1150')).length, 150);
+        assert.equal(mock.requestsTo(/\/assets\/$/).length, 2);
+    });
+
+    test('createNameMatcher matches substrings and globs case-insensitively', () => {
+        assert.equal(createNameMatcher('login')('LoginFunctionalityTest'), true);
+        assert.equal(createNameMatcher('*Test')('LoginFunctionalityTest'), true);
+        assert.equal(createNameMatcher('Login*Suite')('LoginFunctionalityTest'), false);
+        assert.equal(createNameMatcher('Test?.1')('Test2.1'), true);
+        assert.equal(createNameMatcher('Test?.1')('Test2x1'), false);
+    });
+
+    test('startExecution sends the advanced execution settings', async () => {
+        await client.startExecution('1150', {
+            assetId: 'a1b2c3',
+            browserName: 'chrome',
+            requestedVersion: '3.2',
+            configuration: { 'browser.headless': true },
+            variables: { baseUrl: 'https://staging.example.com' },
+            datasets: [{ source: 'users.csv', replacement: 'staging-users.csv' }],
+            remoteLocations: ['agent-eu-1'],
+            environmentTags: ['staging']
+        });
+
+        const payload = JSON.parse(mock.requestsTo(/\/executions\/$/)[0].body);
+        assert.equal(payload.testAsset.requestedVersion, '3.2');
+        assert.deepEqual(payload.advancedSettings, {
+            configuration: { 'browser.name': 'chrome', 'browser.headless': true },
+            variables: { baseUrl: 'https://staging.example.com' },
+            datasets: [{ source: 'users.csv', replacement: 'staging-users.csv' }]
+        });
+        assert.deepEqual(payload.remoteLocations, ['agent-eu-1']);
+        assert.deepEqual(payload.environmentTags, ['staging']);
+    });
+
+    test('getExecutionSettings rejects invalid settings', () => {
+        assert.throws(() => client.getExecutionSettings({ remoteLocations: ['agent-1', 'agent-1'] }), /Remote locations must be unique; "agent-1"/);
+        assert.throws(() => client.getExecutionSettings({ datasets: [{ source: 'a.csv' }] }), /need both a source and a replacement/);
+        assert.throws(() => client.getExecutionSettings({ configuration: { retries: {} } }), /"retries" must be a string, number or boolean/);
+        assert.deepEqual(client.getExecutionSettings(), {
+            revision: 'main',
+            requestedVersion: null,
+            configuration: { 'browser.name': 'edge' },
+            variables: {},
+            datasets: [],
+            remoteLocations: [],
+            environmentTags: []
+        });
+    });
+
+    test('findResults filters the history and pages through it newest first', async () => {
+        const failed = await client.findResults('1150', { testName: 'login', verdict: 'fail' });
+        const ranged = await client.findResults('1150', { since: '2025-10-08T00:00:00Z', until: '2025-10-09T08:30:00Z' });
+        const paged = await client.findResults('1150', { offset: 1, limit: 2 });
+
+        assert.deepEqual(failed.results.map(r => r.id), ['7733', '7725']);
+        assert.equal(failed.hasMore, false);
+        assert.deepEqual(ranged.results.map(r => r.id), ['7731', '7730', '7728']);
+        assert.deepEqual(paged.results.map(r => r.id), ['7731', '7730']);
+        assert.equal(paged.hasMore, true);
+        assert.equal(mock.requestsTo(/\/results\/$/)[0].query.get('sort'), 'startDate,desc');
+    });
+
+    test('findResults stops paging once results are older than the since date', async () => {
+        const results = Array.from({ length: 300 }, (_, i) => ({ id: `${i}`, name: 'Test', startDate: Date.UTC(2025, 9, 1) - i * 3600000 }));
+        mock.override('results', (req, res) => mock.sendJSON(res, 200, pageOf(results, req)));
+
+        const { results: recent } = await client.findResults('1150', { since: '2025-09-28T00:00:00Z', limit: 500 });
+
+        assert.equal(recent.length, 73);
+        assert.equal(mock.requestsTo(/\/results\/$/).length, 1);
+        await assert.rejects(client.findResults('1150', { since: 'yesterday' }), /Invalid since date "yesterday"/);
+    });
+
+    test('findResults reads a limited number of pages and reports that it stopped early', async () => {
+        const results = Array.from({ length: 300 }, (_, i) => ({ id: `${i}`, name: i === 299 ? 'Rare test' : 'Test', startDate: Date.UTC(2025, 9, 1) - i * 3600000 }));
+        mock.override('results', (req, res) => mock.sendJSON(res, 200, pageOf(results, req)));
+
+        const capped = await client.findResults('1150', { testName: 'Rare', maxPages: 2 });
+        const complete = await client.findResults('1150', { testName: 'Rare' });
+
+        assert.deepEqual(capped, { results: [], hasMore: false, truncated: true, scanned: 200 });
+        assert.deepEqual(complete.results.map(r => r.id), ['299']);
+        assert.equal(complete.truncated, false);
+        assert.equal(mock.requestsTo(/\/results\/$/).length, 5);
+    });
+
+    test('request errors carry the HTTP status', async () => {
+        mock.override('result', (req, res) => mock.sendJSON(res, 500, {}));
+
+        await assert.rejects(client.getResult('1150', '7733'), error => {
+            assert.equal(error.status, 500);
+            assert.match(error.message, /HTTP 500: Internal Server Error/);
+            return true;
+        });
+    });
+
+    test('authenticates again and retries once when the access token is rejected', async () => {
+        const retrying = new DevOpsTestClient({ serverURL: mock.url, personalAccessToken: 'pat', retryDelayMs: 1 });
+        await retrying.listProjects();
+        let rejected = 0;
+        mock.override('result', (req, res) => (rejected++ === 0 ? mock.sendJSON(res, 401, {}) : mock.sendJSON(res, 200, { id: '7733' })));
+
+        assert.deepEqual(await retrying.getResult('1150', '7733'), { id: '7733' });
+        assert.equal(mock.requestsTo(/\/rest\/tokens\/$/).length, 2);
+
+        mock.override('result', (req, res) => mock.sendJSON(res, 401, {}));
+        await assert.rejects(retrying.getResult('1150', '7733'), /HTTP 401: Unauthorized \(rejected again after renewing the access token/);
+    });
+
+    test('does not discard a renewed access token when an older request is rejected late', async () => {
+        const retrying = new DevOpsTestClient({ serverURL: mock.url, personalAccessToken: 'pat', retryDelayMs: 1 });
+        let issued = 0;
+        mock.override('tokens', (req, res) => mock.sendJSON(res, 200, { access_token: `token-${++issued}`, expires_in: 3600 }));
+        await retrying.listProjects();
+        let rejected = 0;
+        mock.override('result', (req, res) => {
+            if (req.headers.authorization !== 'Bearer token-1') return mock.sendJSON(res, 200, { id: '7733' });
+            setTimeout(() => mock.sendJSON(res, 401, {}), rejected++ * 100);
+        });
+
+        const results = await Promise.all([retrying.getResult('1150', '7733'), retrying.getResult('1150', '7733')]);
+
+        assert.deepEqual(results, [{ id: '7733' }, { id: '7733' }]);
+        assert.equal(mock.requestsTo(/\/rest\/tokens\/$/).length, 2);
+        retrying.auth.clearTokens();
+    });
+
+    test('retries reads on gateway errors but never resends a started execution', async () => {
+        const retrying = new DevOpsTestClient({ serverURL: mock.url, personalAccessToken: 'pat', retryDelayMs: 1 });
+        let attempts = 0;
+        mock.override('result', (req, res) => (attempts++ < 2 ? mock.sendJSON(res, 503, {}) : mock.sendJSON(res, 200, { id: '7733' })));
+        mock.override('startExecution', (req, res) => mock.sendJSON(res, 502, {}));
+
+        assert.deepEqual(await retrying.getResult('1150', '7733'), { id: '7733' });
+        await assert.rejects(retrying.startExecution('1150', { assetId: 'asset-1' }), /HTTP 502/);
+        assert.equal(mock.requestsTo(/\/results\/7733$/).length, 3);
+        assert.equal(mock.requestsTo(/\/executions\/$/).length, 1);
+    });
+
+    test('resolveResultId prefers the execution response over a lookup', async () => {
+        assert.equal(await client.resolveResultId('1150', '4021', { id: '4021', result: { id: 99 } }), '99');
+        assert.equal(mock.requestsTo(/\/executions\//).length, 0);
+
+        assert.equal(await client.resolveResultId('1150', '4021'), '7733');
+        assert.equal(mock.requestsTo(/\/executions\/4021$/).length, 1);
+    });
+
+    test('prepareDownload, downloadArchive and readTestLog fetch the parsed testlog', async () => {
+        const { downloadId, location } = await client.prepareDownload('1150', '7733');
+        const archive = await client.downloadArchive('1150', downloadId);
+        const testLog = await client.readTestLog(archive);
+
+        assert.equal(downloadId, '1556');
+        assert.match(location, /\/downloads\/1556$/);
+        assert.deepEqual(archive, mock.archive);
+        assert.equal(testLog.initiatedByUser, 'qa.engineer');
+    });
+
+    test('downloadArchive and readTestLog refuse data over the memory limits', async () => {
+        const small = new DevOpsTestClient({ serverURL: mock.url, personalAccessToken: 'pat', maxArchiveBytes: 100, maxTestLogBytes: 100 });
+
+        await assert.rejects(small.downloadArchive('1150', '1556'), /exceeds the memory limit of 100 bytes. Download it to a file/);
+        await assert.rejects(small.tryDownloadArchive('1150', '1556'), /exceeds the memory limit of 100 bytes/);
+        await assert.rejects(small.readTestLog(mock.archive), /testlog.json \(\d+ bytes\) exceeds the memory limit of 100 bytes/);
+    });
+
+    test('tryDownloadArchive tells archives being prepared from ready ones', async () => {
+        mock.override('download', (req, res) => {
+            res.writeHead(202);
+            res.end();
+        });
+        const pending = await client.tryDownloadArchive('1150', '1556');
+        mock.override('download', (req, res) => mock.sendJSON(res, 200, { status: 'PREPARING' }));
+        const preparing = await client.tryDownloadArchive('1150', '1556');
+        mock.reset();
+        const ready = await client.tryDownloadArchive('1150', '1556');
+
+        assert.deepEqual(pending, { ready: false, status: 202, archive: null, size: 0 });
+        assert.deepEqual({ ...preparing, size: undefined }, { ready: false, status: 200, archive: null, size: undefined });
+        assert.equal(ready.ready, true);
+        assert.deepEqual(ready.archive, mock.archive);
+    });
+
+    test('listArchiveEntries and readArchiveEntry expose every file in the archive', async () => {
+        const entries = await client.listArchiveEntries(mock.archive);
+        const screenshot = readFileSync(new URL('./fixtures/testlog/screenshots/s3.1.png', import.meta.url));
+
+        assert.deepEqual(entries.map(entry => entry.path).sort(), ['screenshots/s3.1.png', 'testlog.json']);
+        assert.equal(entries.find(entry => entry.path === 'screenshots/s3.1.png').size, screenshot.length);
+        assert.match(entries[0].lastModified, /^\d{4}-\d{2}-\d{2}T/);
+        assert.deepEqual(await client.readArchiveEntry(mock.archive, 'screenshots/s3.1.png'), screenshot);
+        await assert.rejects(client.readArchiveEntry(mock.archive, 's3.1.png'), /s3.1.png not found in archive/);
+    });
+
+    test('downloadArchiveToFile and readParsedTestLog stream archives through a file', async () => {
+        const dir = await withTemporaryDirectory(async (dir) => {
+            const archivePath = path.join(dir, 'archive.zip');
+            const size = await client.downloadArchiveToFile('1150', '1556', archivePath);
+            const testLog = await client.readParsedTestLog(archivePath);
+
+            assert.equal(size, mock.archive.length);
+            assert.deepEqual(readFileSync(archivePath), mock.archive);
+            assert.equal(testLog.steps.length, 5);
+            assert.deepEqual(await client.listArchiveEntries(archivePath), await client.listArchiveEntries(mock.archive));
+            assert.equal((await client.readArchiveEntry(archivePath, 'testlog.json', { maxBytes: 10 })).toString(), readFileSync(new URL('./fixtures/testlog/testlog.json', import.meta.url), 'utf-8').slice(0, 10));
+            return dir;
+        });
+
+        assert.equal(existsSync(dir), false);
+    });
+
+    test('fetchParsedTestLog parses the testlog within maxTestLogBytes', async () => {
+        const { testLog, archiveSize } = await client.fetchParsedTestLog('1150', '1556');
+        const limited = new DevOpsTestClient({ serverURL: mock.url, personalAccessToken: 'mock-personal-access-token', maxTestLogBytes: 1000 });
+
+        assert.equal(archiveSize, mock.archive.length);
+        assert.equal(testLog.failures.length, 3);
+        await assert.rejects(limited.fetchParsedTestLog('1150', '1556'), /memory limit of 1000 bytes/);
+    });
+
+    test('findArchiveFiles finds testlog references in the archive', async () => {
+        const files = await client.findArchiveFiles(mock.archive, ['screenshots/s3.1.png', './screenshots/missing.png']);
+
+        assert.deepEqual([...files.keys()], ['screenshots/s3.1.png']);
+        const screenshot = files.get('screenshots/s3.1.png');
+        assert.equal(screenshot.path, 'screenshots/s3.1.png');
+        assert.deepEqual(await screenshot.buffer(), readFileSync(new URL('./fixtures/testlog/screenshots/s3.1.png', import.meta.url)));
+        assert.equal(screenshot.size, (await screenshot.buffer()).length);
+    });
+});
@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeFlakiness, analyzeTestFlakiness } from '../src/lib/flakiness.js';
+
+// Build runs of one test from a verdict string such as "PFPP" (oldest first)
+const runsOf = (testName, verdicts, overrides = []) => verdicts.split('').map((code, i) => ({
+    resultId: `${testName}-${i}`,
+    testName,
+    verdict: code === 'P' ? 'PASS' : 'FAIL',
+    revision: 'main',
+    startTime: new Date(Date.UTC(2025, 0, 1 + i)).toISOString(),
+    steps: null,
+    failingSteps: code === 'P' ? [] : ['Submit form'],
+    ...overrides[i]
+}));
+
+describe('Flakiness analysis', () => {
+    test('computes flip and fail rates from the runs in chronological order', () => {
+        const result = analyzeTestFlakiness('Login', runsOf('Login', 'PFPFP').reverse());
+
+        assert.equal(result.runs, 5);
+        assert.equal(result.failed, 2);
+        assert.equal(result.flipRate, 1);
+        assert.equal(result.failRate, 0.4);
+        assert.deepEqual(result.verdicts, ['PASS', 'FAIL', 'PASS', 'FAIL', 'PASS']);
+        assert.deepEqual(result.evidence.map(run => run.resultId), ['Login-1', 'Login-3']);
+    });
+
+    test('classifies stable tests, regressions and flaky tests', () => {
+        assert.equal(analyzeTestFlakiness('A', runsOf('A', 'PPPP')).classification, 'stable');
+        assert.equal(analyzeTestFlakiness('B', runsOf('B', 'PPFF')).classification, 'failing');
+        assert.equal(analyzeTestFlakiness('C', runsOf('C', 'FFFF')).classification, 'failing');
+        assert.equal(analyzeTestFlakiness('D', runsOf('D', 'PPFPP')).classification, 'flaky');
+    });
+
+    test('flags tests failing at different steps on the same revision', () => {
+        const runs = runsOf('Checkout', 'FFF', [
+            { failingSteps: ['Add to cart'] },
+            { failingSteps: ['Pay'] },
+            { failingSteps: ['Add to cart'], revision: 'release' }
+        ]);
+        const result = analyzeTestFlakiness('Checkout', runs);
+
+        assert.equal(result.inconsistentFailures, true);
+        assert.equal(result.classification, 'flaky');
+        assert.equal(result.score, 0.5);
+        assert.equal(analyzeTestFlakiness('Checkout', runsOf('Checkout', 'FF')).inconsistentFailures, false);
+    });
+
+    test('computes per-step flip rates across runs with step data', () => {
+        const steps = (login, submit) => [
+            { name: 'Open page', verdict: 'PASS' },
+            { name: 'Log in', verdict: login },
+            { name: 'Submit form', verdict: submit },
+            { name: 'Submit form', verdict: 'PASS' },
+            { name: 'Screenshot', verdict: 'INFO' }
+        ];
+        const runs = runsOf('Login', 'PFPF', [
+            { steps: steps('PASS', 'PASS') },
+            { steps: steps('PASS', 'FAIL') },
+            { steps: steps('PASS', 'PASS') },
+            { steps: null }
+        ]);
+
+        assert.deepEqual(analyzeTestFlakiness('Login', runs).steps, [
+            { name: 'Submit form', runs: 3, failed: 1, flipRate: 1 }
+        ]);
+    });
+
+    test('ranks flaky tests first, then by score', () => {
+        const ranking = analyzeFlakiness([
+            ...runsOf('Stable', 'PPPP'),
+            ...runsOf('Regression', 'PPFF'),
+            ...runsOf('Sometimes', 'PPPFP'),
+            ...runsOf('Often', 'PFPF')
+        ]);
+
+        assert.deepEqual(ranking.map(t => t.testName), ['Often', 'Sometimes', 'Regression', 'Stable']);
+    });
+});
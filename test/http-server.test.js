@@ -0,0 +1,212 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { createHttpSessionServer } from '../src/lib/server.js';
+import { startHttpServer, TOKEN_HEADER } from '../src/lib/http-server.js';
+import { redact } from '../src/lib/logger.js';
+import { startMockServer } from './mock-devops-test-server.js';
+
+describe('Streamable HTTP transport', () => {
+    let mock;
+    let httpServer;
+    const clients = [];
+
+    // Connect a new MCP client session that authenticates with the given token
+    const connect = async (token, server = httpServer) => {
+        const client = new Client({ name: 'mcp-devops-test-suite', version: '1.0.0' });
+        await client.connect(new StreamableHTTPClientTransport(new URL(server.url), {
+            requestInit: { headers: { [TOKEN_HEADER]: token } }
+        }));
+        clients.push(client);
+        return client;
+    };
+
+    before(async () => {
+        mock = await startMockServer();
+        httpServer = await startHttpServer({
+            port: 0,
+            createSessionServer: (token) => createHttpSessionServer({ serverURL: mock.url }, token)
+        });
+    });
+
+    // Send an initialize request without an MCP client
+    const initialize = (server, headers = {}) => fetch(server.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream', [TOKEN_HEADER]: 'alice-token', ...headers },
+        body: JSON.stringify({
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'initialize',
+            params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'curl', version: '1.0.0' } }
+        })
+    });
+
+    after(async () => {
+        for (const client of clients) {
+            await client.close();
+        }
+        await httpServer.close();
+        await mock.close();
+    });
+
+    afterEach(() => {
+        mock.reset();
+    });
+
+    test('each session authenticates with its own token', async () => {
+        const alice = await connect('alice-token');
+        const bob = await connect('bob-token');
+
+        const result = await alice.callTool({ name: 'get_projects', arguments: {} });
+        await bob.callTool({ name: 'get_projects', arguments: {} });
+
+        assert.match(result.content[0].text, /Retrieved 2 projects/);
+        assert.equal(httpServer.sessions.size, 2);
+        const refreshTokens = mock.requestsTo(/\/rest\/tokens\/$/).map(r => new URLSearchParams(r.body).get('refresh_token'));
+        assert.deepEqual(refreshTokens.sort(), ['alice-token', 'bob-token']);
+    });
+
+    test('execute_test sends the session token as the offline token', async () => {
+        const client = await connect('carol-token');
+        await client.callTool({ name: 'execute_test', arguments: { projectId: '1150', testName: 'LoginFunctionalityTest' } });
+
+        const [request] = mock.requestsTo(/\/executions\/$/);
+        assert.equal(JSON.parse(request.body).offlineToken, 'carol-token');
+    });
+
+    test('rejects requests without a token', async () => {
+        const response = await fetch(httpServer.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} })
+        });
+
+        assert.equal(response.status, 401);
+        assert.match((await response.json()).error.message, /Missing x-devops-test-token header/);
+    });
+
+    test('rejects a session used with a different token', async () => {
+        const client = await connect('dave-token');
+        const sessionId = client.transport.sessionId;
+
+        const response = await fetch(httpServer.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json, text/event-stream',
+                'mcp-session-id': sessionId,
+                [TOKEN_HEADER]: 'mallory-token'
+            },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} })
+        });
+
+        assert.equal(response.status, 403);
+    });
+
+    test('rejects unknown sessions', async () => {
+        const response = await fetch(httpServer.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json, text/event-stream',
+                'mcp-session-id': 'no-such-session',
+                [TOKEN_HEADER]: 'alice-token'
+            },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'tools/list', params: {} })
+        });
+
+        assert.equal(response.status, 404);
+    });
+
+    test('rejects request bodies over the size limit', async () => {
+        const server = await startHttpServer({
+            port: 0,
+            maxBodyBytes: 1024,
+            createSessionServer: (token) => createHttpSessionServer({ serverURL: mock.url }, token)
+        });
+        try {
+            const response = await fetch(server.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream', [TOKEN_HEADER]: 'alice-token' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: { padding: 'x'.repeat(2048) } })
+            });
+
+            assert.equal(response.status, 413);
+            assert.match((await response.json()).error.message, /exceeds 1024 bytes/);
+            assert.equal(server.sessions.size, 0);
+        } finally {
+            await server.close();
+        }
+    });
+
+    test('refuses new sessions once the maximum is reached', async () => {
+        const server = await startHttpServer({
+            port: 0,
+            maxSessions: 1,
+            createSessionServer: (token) => createHttpSessionServer({ serverURL: mock.url }, token)
+        });
+        try {
+            const client = await connect('alice-token', server);
+            const response = await initialize(server);
+
+            assert.equal(response.status, 503);
+            assert.equal(server.sessions.size, 1);
+
+            await client.transport.terminateSession();
+            assert.equal((await initialize(server)).status, 200);
+        } finally {
+            await server.close();
+        }
+    });
+
+    test('closes sessions left idle', async () => {
+        const server = await startHttpServer({
+            port: 0,
+            sessionIdleTimeoutMs: 50,
+            createSessionServer: (token) => createHttpSessionServer({ serverURL: mock.url }, token)
+        });
+        try {
+            await connect('alice-token', server);
+            assert.equal(server.sessions.size, 1);
+
+            await new Promise(resolve => setTimeout(resolve, 300));
+
+            assert.equal(server.sessions.size, 0);
+        } finally {
+            await server.close();
+        }
+    });
+
+    test('stops redacting the tokens of a closed session', async () => {
+        const client = await connect('erin-session-token');
+        await client.callTool({ name: 'get_projects', arguments: {} });
+        assert.doesNotMatch(redact('token erin-session-token'), /erin-session-token/);
+
+        await client.transport.terminateSession();
+
+        assert.equal(redact('token erin-session-token'), 'token erin-session-token');
+    });
+
+    test('closes the server of a session whose initialization fails', async () => {
+        const servers = [];
+        const server = await startHttpServer({
+            port: 0,
+            createSessionServer: (token) => {
+                servers.push(createHttpSessionServer({ serverURL: mock.url }, token));
+                return servers.at(-1);
+            }
+        });
+        try {
+            // Without text/event-stream in Accept, the transport refuses the request
+            const response = await initialize(server, { 'Accept': 'application/json' });
+
+            assert.equal(response.status, 406);
+            assert.equal(server.sessions.size, 0);
+            assert.equal(servers.length, 1);
+            assert.equal(servers[0].isConnected(), false);
+        } finally {
+            await server.close();
+        }
+    });
+});
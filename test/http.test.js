@@ -0,0 +1,119 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { backoffDelay, fetchWithRetry, fetchWithTimeout, isTransientError, retryAfterMs } from '../src/lib/http.js';
+import { startMockServer } from './mock-devops-test-server.js';
+
+describe('HTTP request layer', () => {
+    let mock;
+    let projectsURL;
+    let executionsURL;
+
+    // Answer a mock route with the given statuses in turn, then with 200
+    const respondWith = (route, ...statuses) => {
+        mock.override(route, (req, res) => {
+            const status = statuses.shift() ?? 200;
+            mock.sendJSON(res, status, { status }, status === 429 ? { 'Retry-After': '0' } : {});
+        });
+    };
+
+    before(async () => {
+        mock = await startMockServer();
+        projectsURL = `${mock.url}/rest/projects/`;
+        executionsURL = `${mock.url}/rest/projects/1150/executions/`;
+    });
+
+    after(async () => {
+        await mock.close();
+    });
+
+    afterEach(() => {
+        mock.reset();
+    });
+
+    test('reads Retry-After as seconds or as an HTTP date', () => {
+        const now = Date.parse('2025-03-01T10:00:00Z');
+
+        assert.equal(retryAfterMs('2'), 2000);
+        assert.equal(retryAfterMs('Sat, 01 Mar 2025 10:00:05 GMT', now), 5000);
+        assert.equal(retryAfterMs('Sat, 01 Mar 2025 09:00:00 GMT', now), 0);
+        assert.equal(retryAfterMs('soon'), null);
+        assert.equal(retryAfterMs(null), null);
+    });
+
+    test('backs off exponentially with jitter, up to a ceiling', () => {
+        assert.equal(backoffDelay(0, 500, () => 1), 500);
+        assert.equal(backoffDelay(3, 500, () => 1), 4000);
+        assert.equal(backoffDelay(3, 500, () => 0.5), 2000);
+        assert.equal(backoffDelay(10, 500, () => 1), 10000);
+    });
+
+    test('retries overloaded and unavailable responses to idempotent requests', async () => {
+        respondWith('projects', 503, 429, 502);
+        const response = await fetchWithRetry(projectsURL, { method: 'GET' }, { retryDelayMs: 1 });
+
+        assert.equal(response.status, 200);
+        assert.equal(mock.requestsTo(/\/projects\/$/).length, 4);
+    });
+
+    test('returns the last response once the retries are used up', async () => {
+        respondWith('projects', 504, 504, 504);
+        const response = await fetchWithRetry(projectsURL, { method: 'GET' }, { retries: 2, retryDelayMs: 1 });
+
+        assert.equal(response.status, 504);
+        assert.equal(mock.requestsTo(/\/projects\/$/).length, 3);
+    });
+
+    test('retries POST requests only when the server did not process them', async () => {
+        respondWith('startExecution', 503);
+        const unavailable = await fetchWithRetry(executionsURL, { method: 'POST' }, { retryDelayMs: 1 });
+        respondWith('startExecution', 429);
+        const limited = await fetchWithRetry(executionsURL, { method: 'POST' }, { retryDelayMs: 1 });
+        respondWith('projects', 503);
+        const notIdempotent = await fetchWithRetry(projectsURL, { method: 'GET' }, { retryDelayMs: 1, idempotent: false });
+
+        assert.equal(unavailable.status, 503);
+        assert.equal(limited.status, 200);
+        assert.equal(notIdempotent.status, 503);
+        assert.equal(mock.requestsTo(/\/executions\/$/).length, 3);
+    });
+
+    test('renews the access token once on 401', async () => {
+        respondWith('projects', 401, 401, 401);
+        let renewals = 0;
+        const headers = [];
+        const response = await fetchWithRetry(projectsURL, async () => {
+            headers.push(`Bearer token-${renewals}`);
+            return { method: 'GET', headers: { Authorization: headers[headers.length - 1] } };
+        }, { retryDelayMs: 1, onUnauthorized: () => { renewals++; } });
+
+        assert.equal(response.status, 401);
+        assert.equal(renewals, 1);
+        assert.deepEqual(mock.requestsTo(/\/projects\/$/).map(r => r.headers.authorization), ['Bearer token-0', 'Bearer token-1']);
+    });
+
+    test('times out requests whose response does not arrive', async () => {
+        mock.override('projects', (req, res) => setTimeout(() => mock.sendJSON(res, 200, []), 500));
+        mock.override('startExecution', (req, res) => setTimeout(() => mock.sendJSON(res, 201, {}), 500));
+
+        await assert.rejects(fetchWithTimeout(projectsURL, { method: 'GET' }, 50), error => {
+            assert.equal(error.code, 'ETIMEDOUT');
+            assert.match(error.message, /GET .*\/projects\/ timed out after 0.05 seconds/);
+            return true;
+        });
+        await assert.rejects(fetchWithRetry(executionsURL, { method: 'POST' }, { timeoutMs: 50, retryDelayMs: 1 }), /timed out/);
+        assert.equal(mock.requestsTo(/\/executions\/$/).length, 1);
+    });
+
+    test('treats network errors, timeouts, 5xx and 429 as transient', () => {
+        const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+        assert.equal(isTransientError(new TypeError('fetch failed')), true);
+        assert.equal(isTransientError(Object.assign(new Error('timed out'), { code: 'ETIMEDOUT' })), true);
+        assert.equal(isTransientError(httpError(500)), true);
+        assert.equal(isTransientError(httpError(503)), true);
+        assert.equal(isTransientError(httpError(429)), true);
+        assert.equal(isTransientError(httpError(404)), false);
+        assert.equal(isTransientError(httpError(403)), false);
+        assert.equal(isTransientError(new Error('Either resultId or executionId is required')), false);
+    });
+});
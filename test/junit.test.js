@@ -0,0 +1,64 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { toJUnitXML, escapeXML } from '../src/lib/junit.js';
+
+const step = (id, name, level, verdict, duration = 1000) => ({ id, name, level, verdict, duration, startTime: Date.UTC(2025, 0, 1) });
+
+describe('JUnit XML export', () => {
+    test('maps parent steps to suites and leaf steps to test cases', () => {
+        const report = toJUnitXML({
+            summary: { duration: 4000 },
+            steps: [
+                step('r', 'Checkout', 0, 'PASS', 4000),
+                step('a', 'Open shop', 1, 'PASS'),
+                step('b', 'Pay', 1, 'PASS', 2000),
+                step('b1', 'Enter card', 2, 'PASS'),
+                step('b2', 'Confirm', 2, 'PASS')
+            ],
+            failures: []
+        });
+
+        assert.deepEqual({ ...report, xml: undefined }, { xml: undefined, tests: 3, failures: 0, errors: 0, suites: 2 });
+        assert.match(report.xml, /<testsuites name="Checkout" tests="3" failures="0" errors="0" time="4.000">/);
+        assert.match(report.xml, /<testsuite name="Checkout" tests="1" failures="0" errors="0" skipped="0" time="1.000" timestamp="2025-01-01T00:00:00">/);
+        assert.match(report.xml, /<testcase name="Enter card" classname="Checkout › Pay" time="1.000"\/>/);
+    });
+
+    test('reports failures and errors with their details', () => {
+        const { xml, failures, errors } = toJUnitXML({
+            summary: {},
+            steps: [
+                step('r', 'Login', 0, 'FAIL'),
+                step('a', 'Submit', 1, 'FAIL'),
+                step('b', 'Logout', 1, 'ERROR')
+            ],
+            failures: [
+                { stepId: 'a', reason: 'Object not found', message: 'Button <Submit> missing', stacktrace: 'at step 2', screenshot: 'screenshots/a.png' }
+            ]
+        });
+
+        assert.equal(failures, 1);
+        assert.equal(errors, 1);
+        assert.match(xml, /<failure message="Button &lt;Submit&gt; missing" type="Object not found">at step 2<\/failure>/);
+        assert.match(xml, /<system-out>\[\[ATTACHMENT\|screenshots\/a.png\]\]<\/system-out>/);
+        assert.match(xml, /<error message="Step verdict ERROR" type="ERROR">Step verdict ERROR<\/error>/);
+        assert.doesNotMatch(xml, /<testcase name="Login"/);
+    });
+
+    test('gives a failed step without failing children its own test case', () => {
+        const { xml, tests } = toJUnitXML({
+            summary: {},
+            steps: [step('r', 'Suite', 0, 'FAIL'), step('a', 'Setup', 1, 'PASS')],
+            failures: [{ stepId: 'r', reason: 'Timeout' }]
+        }, { name: 'Nightly' });
+
+        assert.equal(tests, 2);
+        assert.match(xml, /<testsuites name="Nightly"/);
+        assert.match(xml, /<testcase name="Suite" classname="Suite" time="1.000">\n      <failure message="Timeout" type="Timeout">/);
+    });
+
+    test('escapes markup and drops characters XML does not allow', () => {
+        assert.equal(escapeXML(`<a href="x">'&'</a>\u0001`), '&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+        assert.equal(escapeXML(null), '');
+    });
+});
@@ -0,0 +1,80 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createLogger, configureLogger, registerSecret, redact, normalizeLevel } from '../src/lib/logger.js';
+
+describe('logger', () => {
+    afterEach(() => {
+        configureLogger({ level: 'info', format: 'text', file: null });
+    });
+
+    // Log through a temporary log file and return the written lines
+    const captureLines = (options, writeLogs) => {
+        const dir = mkdtempSync(path.join(tmpdir(), 'mcp-devops-test-log-'));
+        const file = path.join(dir, 'server.log');
+        try {
+            configureLogger({ ...options, file });
+            writeLogs(createLogger('test'));
+            return readFileSync(file, 'utf-8').trim().split('\n').filter(Boolean);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    };
+
+    test('drops messages below the configured level', () => {
+        const lines = captureLines({ level: 'warn' }, log => {
+            log.info('hidden');
+            log.warning('shown');
+            log.error('also shown');
+        });
+
+        assert.equal(lines.length, 2);
+        assert.match(lines[0], /\[warning\] \[test\] shown$/);
+        assert.match(lines[1], /\[error\] \[test\] also shown$/);
+    });
+
+    test('writes one JSON object per line in json format', () => {
+        const [line] = captureLines({ level: 'debug', format: 'json' }, log => {
+            log.child('auth').debug('Token response', { status: 200 });
+        });
+        const entry = JSON.parse(line);
+
+        assert.equal(entry.level, 'debug');
+        assert.equal(entry.component, 'test:auth');
+        assert.equal(entry.message, 'Token response');
+        assert.deepEqual(entry.data, { status: 200 });
+    });
+
+    test('never writes registered secrets or token values', () => {
+        registerSecret('super-secret-pat');
+        const [line] = captureLines({ format: 'json' }, log => {
+            log.info('Refreshing with super-secret-pat', {
+                offlineToken: 'abc123',
+                headers: { Authorization: 'Bearer eyJhbGciOi' },
+                tokenLength: 16
+            });
+        });
+
+        assert.doesNotMatch(line, /super-secret-pat|abc123|eyJhbGciOi/);
+        assert.deepEqual(JSON.parse(line).data, {
+            offlineToken: '[REDACTED]',
+            headers: { Authorization: '[REDACTED]' },
+            tokenLength: 16
+        });
+    });
+
+    test('redacts bearer tokens inside free text', () => {
+        assert.equal(redact('sent Authorization: Bearer abc.def.ghi'), 'sent Authorization: Bearer [REDACTED]');
+    });
+
+    test('rejects unknown levels and formats', () => {
+        assert.equal(normalizeLevel('WARN'), 'warning');
+        assert.throws(() => normalizeLevel('verbose'), /Invalid log level "verbose"/);
+        assert.throws(() => configureLogger({ format: 'xml' }), /Invalid log format "xml"/);
+    });
+});
@@ -0,0 +1,165 @@
+/**
+ * Mock DevOps Test Server
+ *
+ * In-process HTTP stand-in for the DevOps Test REST API. It serves the recorded
+ * fixtures in test/fixtures and records every request so tests can assert on
+ * what the MCP tools sent.
+ */
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import AdmZip from 'adm-zip';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Load a JSON fixture by file name
+ */
+export function loadFixture(name) {
+    return JSON.parse(readFileSync(path.join(fixturesDir, name), 'utf-8'));
+}
+
+/**
+ * Build the result archive served by /downloads/ from the files in fixtures/testlog
+ */
+export function buildTestLogArchive() {
+    const zip = new AdmZip();
+    zip.addLocalFolder(path.join(fixturesDir, 'testlog'));
+    return zip.toBuffer();
+}
+
+/**
+ * Build a result archive holding the given testlog.json contents
+ */
+export function buildArchiveFromTestLog(testLog) {
+    const zip = new AdmZip();
+    zip.addFile('testlog.json', Buffer.from(JSON.stringify(testLog)));
+    return zip.toBuffer();
+}
+
+/**
+ * Build a page of items in the server's paged response format from the page and size query parameters
+ */
+export function pageOf(items, req) {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const page = Number(query.get('page') || 0);
+    const size = Number(query.get('size') || 20);
+    return {
+        content: items.slice(page * size, (page + 1) * size),
+        totalElements: items.length,
+        totalPages: Math.ceil(items.length / size),
+        number: page,
+        size
+    };
+}
+
+/**
+ * Start the mock server on a random local port
+ *
+ * Individual routes can be replaced per test with `mock.override(name, handler)`,
+ * where handler receives (req, res, params, body). `mock.prepareDownloads(checks)` makes
+ * every download answer 202, then 204, for its first checks requests before serving the
+ * archive, like a server still preparing it. Both are undone by `mock.reset()`.
+ */
+export async function startMockServer() {
+    const archive = buildTestLogArchive();
+    const requests = [];
+    const overrides = new Map();
+    // Pending answers left per download ID, when downloads are being prepared
+    let preparingChecks = 0;
+    const pendingChecks = new Map();
+
+    const sendJSON = (res, status, data, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(data));
+    };
+
+    // Routes are matched in order against "METHOD /path" (query string excluded)
+    const routes = [
+        ['tokens', 'POST', /^\/test\/rest\/tokens\/$/, (req, res) => sendJSON(res, 200, loadFixture('tokens.json'))],
+        ['projects', 'GET', /^\/test\/rest\/projects\/$/, (req, res) => sendJSON(res, 200, loadFixture('projects.json'))],
+        ['assets', 'GET', /^\/test\/rest\/projects\/([^/]+)\/assets\/$/, (req, res) => sendJSON(res, 200, pageOf(loadFixture('assets.json').content, req))],
+        ['startExecution', 'POST', /^\/test\/rest\/projects\/([^/]+)\/executions\/$/, (req, res) => sendJSON(res, 201, loadFixture('execution.json'))],
+        ['executions', 'GET', /^\/test\/rest\/projects\/([^/]+)\/executions\/$/, (req, res) => sendJSON(res, 200, loadFixture('executions.json'))],
+        ['execution', 'GET', /^\/test\/rest\/projects\/([^/]+)\/executions\/([^/]+)$/, (req, res) => sendJSON(res, 200, loadFixture('execution.json'))],
+        ['cancelExecution', 'DELETE', /^\/test\/rest\/projects\/([^/]+)\/executions\/([^/]+)$/, (req, res) => {
+            res.writeHead(204);
+            res.end();
+        }],
+        ['results', 'GET', /^\/test\/rest\/projects\/([^/]+)\/results\/$/, (req, res) => sendJSON(res, 200, pageOf(loadFixture('results.json'), req))],
+        ['result', 'GET', /^\/test\/rest\/projects\/([^/]+)\/results\/([^/]+)$/, (req, res) => sendJSON(res, 200, loadFixture('result-summary.json'))],
+        ['resultLogs', 'GET', /^\/test\/rest\/projects\/([^/]+)\/results\/([^/]+)\/logs$/, (req, res) => sendJSON(res, 200, loadFixture('result-logs.json'))],
+        ['resultArtifacts', 'GET', /^\/test\/rest\/projects\/([^/]+)\/results\/([^/]+)\/artifacts$/, (req, res) => sendJSON(res, 200, [{ name: 'console.log', type: 'LOG' }])],
+        ['resultScreenshots', 'GET', /^\/test\/rest\/projects\/([^/]+)\/results\/([^/]+)\/screenshots$/, (req, res) => sendJSON(res, 200, [{ name: 's3.1.png' }])],
+        ['resultPerformance', 'GET', /^\/test\/rest\/projects\/([^/]+)\/results\/([^/]+)\/performance$/, (req, res) => sendJSON(res, 404, { error: 'not_found' })],
+        ['prepareDownload', 'POST', /^\/test\/rest\/projects\/([^/]+)\/results\/([^/]+)\/reports\/testlog\/download$/, (req, res, [projectId]) => {
+            res.writeHead(202, { 'Location': `/test/rest/projects/${projectId}/downloads/1556` });
+            res.end();
+        }],
+        ['download', 'GET', /^\/test\/rest\/projects\/([^/]+)\/downloads\/([^/]+)$/, (req, res, [, downloadId]) => {
+            const pending = pendingChecks.get(downloadId) ?? preparingChecks;
+            if (pending > 0) {
+                pendingChecks.set(downloadId, pending - 1);
+                res.writeHead(pending === preparingChecks ? 202 : 204);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/zip', 'Content-Length': archive.length });
+            res.end(archive);
+        }]
+    ];
+
+    const httpServer = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        const body = Buffer.concat(chunks).toString('utf-8');
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+        for (const [name, method, pattern, handler] of routes) {
+            const match = req.method === method && url.pathname.match(pattern);
+            if (match) {
+                await (overrides.get(name) || handler)(req, res, match.slice(1), body);
+                return;
+            }
+        }
+        sendJSON(res, 404, { error: 'not_found', path: url.pathname });
+    });
+
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    const { port } = httpServer.address();
+
+    return {
+        url: `http://127.0.0.1:${port}/test`,
+        archive,
+        requests,
+        sendJSON,
+        override(name, handler) {
+            if (!routes.some(([routeName]) => routeName === name)) {
+                throw new Error(`Unknown mock route: ${name}`);
+            }
+            overrides.set(name, handler);
+        },
+        prepareDownloads(checks) {
+            preparingChecks = checks;
+            pendingChecks.clear();
+        },
+        // Requests whose path matches the given pattern
+        requestsTo(pattern) {
+            return requests.filter(r => pattern.test(r.path));
+        },
+        reset() {
+            overrides.clear();
+            preparingChecks = 0;
+            pendingChecks.clear();
+            requests.length = 0;
+        },
+        close() {
+            return new Promise(resolve => httpServer.close(resolve));
+        }
+    };
+}
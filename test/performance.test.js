@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePerformance, evaluateSLAs, percentile } from '../src/lib/performance.js';
+import { loadFixture } from './mock-devops-test-server.js';
+
+describe('Performance analysis', () => {
+    test('computes nearest-rank percentiles', () => {
+        const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+        assert.equal(percentile(sorted, 50), 5);
+        assert.equal(percentile(sorted, 90), 9);
+        assert.equal(percentile(sorted, 95), 10);
+        assert.equal(percentile([42], 99), 42);
+        assert.equal(percentile([], 50), null);
+    });
+
+    test('computes percentiles, throughput and error rates from raw samples', () => {
+        const analysis = analyzePerformance(loadFixture('performance.json'));
+
+        assert.equal(analysis.durationSeconds, 100);
+        assert.deepEqual(analysis.overall, {
+            count: 20, errors: 2, errorRate: 0.1, throughput: 0.2, average: 432.5, max: 2500, p50: 300, p90: 800, p95: 1200, p99: 2500
+        });
+        assert.deepEqual(analysis.transactions.map(t => [t.name, t.p50, t.p95, t.errorRate]), [['Login', 420, 2500, 0.2], ['Home page', 105, 300, 0]]);
+        assert.equal(analysis.slasPassed, null);
+    });
+
+    test('uses reported figures when there are no raw samples', () => {
+        const analysis = analyzePerformance({
+            duration: 60000,
+            summary: { p95: 900, hits: 600, failures: 6 },
+            pages: [
+                { label: 'Search', hits: 400, failures: 6, percentiles: { 50: 200, 95: 700 }, averageResponseTime: 250 },
+                { label: 'Cart', hits: 200, p95: 1100 }
+            ]
+        });
+
+        assert.equal(analysis.overall.p95, 900);
+        assert.equal(analysis.overall.throughput, 10);
+        assert.equal(analysis.overall.errorRate, 0.01);
+        assert.deepEqual(analysis.transactions.map(t => [t.name, t.p50, t.p95, t.average]), [['Cart', null, 1100, null], ['Search', 200, 700, 250]]);
+    });
+
+    test('describes the virtual-user ramp from timestamps', () => {
+        const start = Date.UTC(2025, 0, 1);
+        const { users } = analyzePerformance({ virtualUsers: [
+            { timestamp: start + 30000, count: 50 },
+            { timestamp: start, count: 5 },
+            { timestamp: start + 90000, count: 50 }
+        ] });
+
+        assert.deepEqual(users, {
+            peakUsers: 50,
+            rampUpSeconds: 30,
+            points: [{ seconds: 0, users: 5 }, { seconds: 30, users: 50 }, { seconds: 90, users: 50 }]
+        });
+    });
+
+    test('evaluates SLAs with default and explicit operators', () => {
+        const overall = { p95: 800, errorRate: 0.02, throughput: 12 };
+        const transactions = [{ name: 'Login', p95: 1500, throughput: null }];
+        const results = evaluateSLAs([
+            { metric: 'p95', threshold: 1000 },
+            { metric: 'throughput', threshold: 10 },
+            { metric: 'errorRate', threshold: 0.02, operator: '<' },
+            { metric: 'p95', threshold: 1000, transaction: 'Login' },
+            { metric: 'throughput', threshold: 1, transaction: 'Login' },
+            { metric: 'p95', threshold: 1000, transaction: 'Checkout' }
+        ], overall, transactions);
+
+        assert.deepEqual(results.map(r => [r.operator, r.actual, r.passed]), [
+            ['<=', 800, true],
+            ['>=', 12, true],
+            ['<', 0.02, false],
+            ['<=', 1500, false],
+            ['>=', null, false],
+            ['<=', null, false]
+        ]);
+        assert.throws(() => evaluateSLAs([{ metric: 'p75', threshold: 1 }], overall, []), /Unknown SLA metric "p75"/);
+    });
+});
@@ -0,0 +1,96 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ConnectionProfiles, defaultProfilesPath, loadProfilesFile } from '../src/lib/profiles.js';
+import { DevOpsTestClient } from '../src/lib/devops-test-client.js';
+
+describe('Connection profiles', () => {
+    let dir;
+
+    // Write a profiles file with the given contents and return its path
+    const profilesFile = (contents) => {
+        const file = path.join(dir, `profiles-${Math.random().toString(36).slice(2)}.json`);
+        writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+        return file;
+    };
+
+    const staging = { serverURL: 'https://staging.example.com/test', teamspaceId: 'ts-1', tokenEnv: 'MCP_PROFILES_TEST_TOKEN' };
+    const production = { serverURL: 'https://devops.example.com/test', teamspaceId: 'ts-2', token: 'production-token' };
+
+    before(() => {
+        dir = mkdtempSync(path.join(tmpdir(), 'mcp-devops-test-profiles-'));
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('finds the profiles file in the XDG config folder', () => {
+        const previous = process.env.XDG_CONFIG_HOME;
+        process.env.XDG_CONFIG_HOME = '/tmp/config';
+        try {
+            assert.equal(defaultProfilesPath(), path.join('/tmp/config', 'mcp-devops-test', 'profiles.json'));
+        } finally {
+            if (previous === undefined) delete process.env.XDG_CONFIG_HOME;
+            else process.env.XDG_CONFIG_HOME = previous;
+        }
+    });
+
+    test('loads profiles with their default profile', () => {
+        const loaded = loadProfilesFile(profilesFile({ defaultProfile: 'production', profiles: { staging, production } }));
+        const firstIsDefault = loadProfilesFile(profilesFile({ profiles: { staging, production } }));
+
+        assert.equal(loaded.defaultProfile, 'production');
+        assert.deepEqual(Object.keys(loaded.profiles), ['staging', 'production']);
+        assert.equal(firstIsDefault.defaultProfile, 'staging');
+        assert.equal(loadProfilesFile(path.join(dir, 'missing.json'), { optional: true }), null);
+    });
+
+    test('rejects files that cannot be used, naming the file and profile', () => {
+        assert.throws(() => loadProfilesFile(path.join(dir, 'missing.json')), /Cannot read profiles file .*missing\.json/);
+        assert.throws(() => loadProfilesFile(profilesFile('{ "profiles": ')), /is not valid JSON/);
+        assert.throws(() => loadProfilesFile(profilesFile({ profiles: {} })), /has no profiles/);
+        assert.throws(() => loadProfilesFile(profilesFile({ profiles: { staging: { serverURL: 'https://x/test' } } })), /Profile "staging" in .* has no teamspaceId/);
+        assert.throws(() => loadProfilesFile(profilesFile({ defaultProfile: 'qa', profiles: { staging } })), /Default profile "qa" is not defined/);
+    });
+
+    test('creates one client with its own authentication per profile, on first use', () => {
+        let created = 0;
+        const profiles = new ConnectionProfiles({
+            profiles: { staging, production },
+            defaultProfile: 'production',
+            createClient: (profile) => {
+                created++;
+                return new DevOpsTestClient({ serverURL: profile.serverURL, credentials: profile.credentials });
+            }
+        });
+        process.env.MCP_PROFILES_TEST_TOKEN = 'staging-token';
+        try {
+            const defaultClient = profiles.clientFor();
+            const stagingClient = profiles.clientFor('staging');
+
+            assert.equal(defaultClient, profiles.clientFor('production'));
+            assert.equal(stagingClient.serverURL, staging.serverURL);
+            assert.notEqual(stagingClient.auth, defaultClient.auth);
+            assert.equal(created, 2);
+            assert.throws(() => profiles.clientFor('qa'), /Unknown profile "qa". Configured profiles: staging, production/);
+            assert.throws(() => profiles.clientFor('toString'), /Unknown profile "toString"/);
+        } finally {
+            delete process.env.MCP_PROFILES_TEST_TOKEN;
+        }
+    });
+
+    test('lists profiles without their tokens', () => {
+        const profiles = new ConnectionProfiles({ profiles: { staging, production }, defaultProfile: 'staging', createClient: () => ({}) });
+        const listed = profiles.list();
+
+        assert.deepEqual(listed, [
+            { name: 'staging', serverURL: staging.serverURL, teamspaceId: 'ts-1', isDefault: true, tokenSource: null },
+            { name: 'production', serverURL: production.serverURL, teamspaceId: 'ts-2', isDefault: false, tokenSource: 'token of profile "production"' }
+        ]);
+        assert.doesNotMatch(JSON.stringify(listed), /production-token/);
+        assert.throws(() => profiles.clientFor('staging'), /Profile "staging" has no personal access token. Set the MCP_PROFILES_TEST_TOKEN environment variable/);
+    });
+});
@@ -0,0 +1,48 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignSteps, compareSteps } from '../src/lib/result-comparison.js';
+
+const step = (name, level, verdict, duration = null) => ({ name, level, verdict, duration });
+
+describe('Result comparison', () => {
+    test('aligns steps by the names of their ancestors and numbers repeated names', () => {
+        const keys = alignSteps([
+            step('Login', 0, 'PASS'),
+            step('Retry', 1, 'FAIL'),
+            step('Retry', 1, 'PASS'),
+            step('Submit', 2, 'PASS'),
+            step('Logout', 0, 'PASS'),
+            step('Retry', 1, 'PASS')
+        ]).map(s => s.key);
+
+        assert.deepEqual(keys, ['Login', 'Login › Retry', 'Login › Retry #2', 'Login › Retry #2 › Submit', 'Logout', 'Logout › Retry']);
+    });
+
+    test('reports verdict changes and added and removed steps', () => {
+        const base = [step('Test', 0, 'PASS'), step('Open', 1, 'PASS'), step('Type username', 1, 'PASS'), step('Click', 1, 'PASS')];
+        const target = [step('Test', 0, 'FAIL'), step('Open', 1, 'PASS'), step('Click', 1, 'FAIL'), step('Verify', 2, 'FAIL')];
+
+        const diff = compareSteps(base, target);
+
+        assert.deepEqual(diff.verdictChanges.map(c => [c.key, c.baseVerdict, c.targetVerdict]), [
+            ['Test', 'PASS', 'FAIL'],
+            ['Test › Click', 'PASS', 'FAIL']
+        ]);
+        assert.deepEqual(diff.added.map(s => s.key), ['Test › Click › Verify']);
+        assert.deepEqual(diff.removed.map(s => s.key), ['Test › Type username']);
+        assert.equal(diff.unchanged, 1);
+    });
+
+    test('reports duration changes above both thresholds, largest first', () => {
+        const base = [step('A', 0, 'PASS', 1000), step('B', 0, 'PASS', 10000), step('C', 0, 'PASS', 100000), step('D', 0, 'PASS', 0)];
+        const target = [step('A', 0, 'PASS', 1900), step('B', 0, 'PASS', 30000), step('C', 0, 'PASS', 120000), step('D', 0, 'PASS', 5000)];
+
+        const diff = compareSteps(base, target);
+
+        assert.deepEqual(diff.durationChanges.map(c => [c.key, c.changeMs, c.changePercent]), [
+            ['B', 20000, 200],
+            ['D', 5000, null]
+        ]);
+        assert.equal(compareSteps(base, target, { minChangePercent: 10 }).durationChanges.length, 3);
+    });
+});
@@ -0,0 +1,1080 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { LoggingMessageNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createServer, createStdioServer, getConfig } from '../src/lib/server.js';
+import { DevOpsTestClient } from '../src/lib/devops-test-client.js';
+import { ConnectionProfiles } from '../src/lib/profiles.js';
+import { startMockServer, loadFixture, buildArchiveFromTestLog, pageOf } from './mock-devops-test-server.js';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+describe('MCP tools against the mock DevOps Test server', () => {
+    let mock;
+    let client;
+
+    // Call a tool and return the text of its first content item
+    const callTool = async (name, args = {}, options = {}) => {
+        const result = await client.callTool({ name, arguments: args }, undefined, options);
+        return result.content[0].text;
+    };
+
+    // Call a tool and return its structured content (validated by the client against the output schema)
+    const callToolStructured = async (name, args = {}) => {
+        const result = await client.callTool({ name, arguments: args });
+        assert.notEqual(result.isError, true, result.content[0].text);
+        return result.structuredContent;
+    };
+
+    // Connect a new MCP client to a server created with the given options, backed by the mock
+    const connectServer = async (options, server = createServer(new DevOpsTestClient({
+        serverURL: mock.url,
+        personalAccessToken: 'mock-personal-access-token'
+    }), options)) => {
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        await server.connect(serverTransport);
+
+        const mcpClient = new Client({ name: 'mcp-devops-test-suite', version: '1.0.0' });
+        await mcpClient.connect(clientTransport);
+        return mcpClient;
+    };
+
+    before(async () => {
+        mock = await startMockServer();
+        client = await connectServer();
+    });
+
+    after(async () => {
+        await client.close();
+        await mock.close();
+    });
+
+    afterEach(() => {
+        mock.reset();
+    });
+
+    test('lists every tool', async () => {
+        const { tools } = await client.listTools();
+        assert.deepEqual(tools.map(t => t.name).sort(), [
+            'analyze_flakiness',
+            'analyze_performance',
+            'cancel_execution',
+            'compare_results',
+            'download_test_log',
+            'execute_test',
+            'execute_test_matrix',
+            'get_projects',
+            'get_test_log_results',
+            'get_test_results',
+            'get_test_screenshots',
+            'list_archive_entries',
+            'list_executions',
+            'list_results',
+            'list_tests',
+            'prepare_test_download',
+            'read_archive_entry',
+            'wait_for_test_completion'
+        ]);
+    });
+
+    test('declares an output schema for every tool', async () => {
+        const { tools } = await client.listTools();
+
+        for (const tool of tools) {
+            assert.equal(tool.outputSchema?.type, 'object', `${tool.name} has no output schema`);
+        }
+    });
+
+    test('forwards log messages to the client once it sets a log level', async () => {
+        const messages = [];
+        client.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+            messages.push(notification.params);
+        });
+
+        await callTool('prepare_test_download', { projectId: '1150', resultId: '7733' });
+        assert.equal(messages.length, 0);
+
+        await client.setLoggingLevel('debug');
+        await callTool('prepare_test_download', { projectId: '1150', resultId: '7733' });
+        await client.setLoggingLevel('emergency');
+
+        assert.ok(messages.some(m => m.logger === 'server' && /Prepared download from/.test(m.data)));
+        assert.ok(messages.every(m => !JSON.stringify(m).includes('mock-access-token')));
+    });
+
+    test('forwards log messages only to the session whose request logged them', async () => {
+        const alice = await connectServer();
+        const bob = await connectServer();
+        const received = { alice: [], bob: [] };
+        try {
+            for (const [name, session] of [['alice', alice], ['bob', bob]]) {
+                session.setNotificationHandler(LoggingMessageNotificationSchema, notification => {
+                    received[name].push(notification.params);
+                });
+                await session.setLoggingLevel('debug');
+            }
+
+            await alice.callTool({ name: 'prepare_test_download', arguments: { projectId: '1150', resultId: '7733' } });
+
+            assert.ok(received.alice.some(m => /Prepared download from/.test(m.data)));
+            assert.deepEqual(received.bob, []);
+        } finally {
+            await alice.close();
+            await bob.close();
+        }
+    });
+
+    test('get_projects lists projects with an authorized request', async () => {
+        const text = await callTool('get_projects');
+
+        assert.match(text, /Retrieved 2 projects/);
+        assert.match(text, /- WebApp Testing \(ID: 1150\)/);
+
+        const [request] = mock.requestsTo(/\/rest\/projects\/$/);
+        assert.equal(request.headers.authorization, 'Bearer mock-access-token');
+        assert.equal(request.query.get('member'), 'true');
+    });
+
+    test('list_tests queries every default test type on the requested branch', async () => {
+        const text = await callTool('list_tests', { projectId: '1150', branch: 'release' });
+
+        assert.match(text, /Retrieved 3 tests from project 1150/);
+        assert.match(text, /- LoginFunctionalityTest \(ID: a1b2c3, Type: UI\)/);
+
+        const [request] = mock.requestsTo(/\/projects\/1150\/assets\/$/);
+        assert.equal(request.query.get('revision'), 'release');
+        assert.equal(request.query.getAll('externalTypes').length, 17);
+    });
+
+    test('list_tests pages through the tests and reports the totals', async () => {
+        const text = await callTool('list_tests', { projectId: '1150', page: 2, pageSize: 2 });
+        const result = await callToolStructured('list_tests', { projectId: '1150', page: 1, pageSize: 2 });
+
+        assert.match(text, /Retrieved 1 tests from project 1150 \(page 2 of 2, 3 tests in total\)/);
+        assert.match(text, /NightlyRegressionSuite/);
+        assert.deepEqual([result.page, result.pageSize, result.totalPages, result.totalTests], [1, 2, 2, 3]);
+        assert.deepEqual(result.tests.map(t => t.name), ['LoginFunctionalityTest', 'CheckoutProcessTest']);
+
+        const [request] = mock.requestsTo(/\/assets\/$/);
+        assert.equal(request.query.get('page'), '1');
+        assert.equal(request.query.get('size'), '2');
+    });
+
+    test('list_tests filters names by substring or glob and includes optional fields', async () => {
+        const substring = await callToolStructured('list_tests', { projectId: '1150', nameFilter: 'process' });
+        const glob = await callToolStructured('list_tests', { projectId: '1150', nameFilter: '*Test', fields: ['path', 'owner'], all: true });
+
+        assert.deepEqual(substring.tests.map(t => t.name), ['CheckoutProcessTest']);
+        assert.deepEqual(glob.tests.map(t => t.name), ['LoginFunctionalityTest', 'CheckoutProcessTest']);
+        assert.equal(glob.totalTests, 2);
+        assert.equal(glob.tests[0].path, 'tests/ui/LoginFunctionalityTest');
+        assert.equal(glob.tests[0].owner, 'qa.engineer');
+        assert.equal('lastModified' in glob.tests[0], false);
+    });
+
+    test('list_tests filters by a single test type', async () => {
+        await callTool('list_tests', { projectId: '1150', testType: 'EXT_TEST_SUITE' });
+
+        const [request] = mock.requestsTo(/\/assets\/$/);
+        assert.deepEqual(request.query.getAll('externalTypes'), ['EXT_TEST_SUITE']);
+    });
+
+    test('execute_test resolves the asset by name and starts an execution', async () => {
+        const text = await callTool('execute_test', { projectId: '1150', testName: 'LoginFunctionalityTest', browserName: 'chrome' });
+
+        assert.match(text, /Test execution started successfully!/);
+        assert.match(text, /Execution ID: 4021/);
+        assert.match(text, /Asset ID: a1b2c3/);
+
+        const [request] = mock.requestsTo(/\/projects\/1150\/executions\/$/);
+        const payload = JSON.parse(request.body);
+        assert.equal(payload.testAsset.assetId, 'a1b2c3');
+        assert.equal(payload.testAsset.revision, 'main');
+        assert.equal(payload.advancedSettings.configuration['browser.name'], 'chrome');
+        assert.equal(payload.offlineToken, 'mock-personal-access-token');
+    });
+
+    test('tools return structured content next to the text report', async () => {
+        const { projects } = await callToolStructured('get_projects');
+        const { tests } = await callToolStructured('list_tests', { projectId: '1150' });
+        const execution = await callToolStructured('execute_test', { projectId: '1150', testName: 'LoginFunctionalityTest' });
+        const download = await callToolStructured('prepare_test_download', { projectId: '1150', resultId: '7733' });
+
+        assert.deepEqual(projects[0], { id: '1150', name: 'WebApp Testing', archived: false });
+        assert.deepEqual(tests[0], { id: 'a1b2c3', name: 'LoginFunctionalityTest', type: 'UI' });
+        assert.equal(execution.executionId, '4021');
+        assert.equal(execution.resultId, '7733');
+        assert.equal(execution.assetId, 'a1b2c3');
+        assert.equal(execution.completion, undefined);
+        assert.equal(download.downloadId, '1556');
+    });
+
+    test('result tools return the step tree and failures as structured content', async () => {
+        const results = await callToolStructured('get_test_results', { projectId: '1150', resultId: '7733' });
+        const outcome = await callToolStructured('wait_for_test_completion', { projectId: '1150', resultId: '7733' });
+        const testLog = await callToolStructured('get_test_log_results', { projectId: '1150', downloadId: '1556' });
+
+        assert.equal(results.verdict, 'FAIL');
+        assert.equal(results.steps.length, 3);
+        assert.equal(results.screenshotCount, 1);
+        assert.equal(results.hasPerformanceData, false);
+        assert.equal(outcome.completed, true);
+        assert.equal(outcome.result.resultId, '7733');
+        assert.equal(testLog.archiveSize, mock.archive.length);
+        assert.equal(testLog.summary.initiatedByUser, 'qa.engineer');
+        assert.equal(testLog.steps.length, 5);
+        assert.equal(testLog.failures.length, 3);
+        assert.equal(testLog.failures.find(f => f.screenshot).reason, 'Object not found');
+        assert.deepEqual(testLog.timing.criticalPath.map(step => step.name), ['LoginFunctionalityTest', 'Click Sign in', 'Verify dashboard is displayed']);
+        assert.equal(results.timing.totalDuration, 95000);
+    });
+
+    test('tool errors are flagged with isError', async () => {
+        const result = await client.callTool({ name: 'execute_test', arguments: { projectId: '1150', testName: 'MissingTest' } });
+
+        assert.equal(result.isError, true);
+        assert.equal(result.structuredContent, undefined);
+    });
+
+    test('execute_test passes advanced settings and echoes them in the execution details', async () => {
+        const args = {
+            projectId: '1150',
+            testName: 'LoginFunctionalityTest',
+            requestedVersion: '3.2',
+            configuration: { 'browser.name': 'firefox', retries: 2 },
+            variables: { baseUrl: 'https://staging.example.com' },
+            datasets: [{ source: 'users.csv', replacement: 'staging-users.csv' }],
+            remoteLocations: ['agent-eu-1', 'agent-eu-2'],
+            environmentTags: ['staging']
+        };
+        const text = await callTool('execute_test', args);
+        const { browserName, settings } = await callToolStructured('execute_test', args);
+
+        assert.match(text, /- Browser: firefox/);
+        assert.match(text, /- Requested Version: 3.2/);
+        assert.match(text, /- Configuration: browser.name=firefox, retries=2/);
+        assert.match(text, /- Datasets: users.csv → staging-users.csv/);
+        assert.match(text, /- Remote Locations: agent-eu-1, agent-eu-2/);
+        assert.equal(browserName, 'firefox');
+        assert.deepEqual(settings.variables, { baseUrl: 'https://staging.example.com' });
+        assert.deepEqual(settings.environmentTags, ['staging']);
+    });
+
+    test('execute_test validates advanced settings before starting anything', async () => {
+        const text = await callTool('execute_test', { projectId: '1150', testName: 'LoginFunctionalityTest', environmentTags: ['qa', 'qa'] });
+
+        assert.match(text, /Environment tags must be unique/);
+        assert.equal(mock.requestsTo(/\/assets\/$/).length, 0);
+        assert.equal(mock.requestsTo(/\/executions\/$/).length, 0);
+    });
+
+    test('execute_test reports unknown tests with the available names', async () => {
+        const text = await callTool('execute_test', { projectId: '1150', testName: 'MissingTest' });
+
+        assert.match(text, /Test "MissingTest" not found/);
+        assert.match(text, /CheckoutProcessTest/);
+        assert.equal(mock.requestsTo(/\/executions\/$/).length, 0);
+    });
+
+    test('execute_test waits for completion when asked', async () => {
+        const text = await callTool('execute_test', { projectId: '1150', testName: 'LoginFunctionalityTest', waitForCompletion: true });
+
+        assert.match(text, /Test completed after \d+ seconds/);
+        assert.match(text, /\*\*Result ID\*\*: 7733/);
+        assert.match(text, /- \*\*Verdict\*\*: FAIL/);
+    });
+
+    test('execute_test_matrix runs every combination within the concurrency limit', async () => {
+        let running = 0;
+        let maxRunning = 0;
+        let nextId = 0;
+        mock.override('startExecution', async (req, res) => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            running--;
+            nextId++;
+            mock.sendJSON(res, 201, { id: `e${nextId}`, status: 'LAUNCHING', result: { id: `r${nextId}` } });
+        });
+        mock.override('result', (req, res, [, resultId]) => {
+            mock.sendJSON(res, 200, { id: resultId, status: 'COMPLETE', verdict: resultId === 'r2' ? 'FAIL' : 'PASS' });
+        });
+
+        const result = await client.callTool({ name: 'execute_test_matrix', arguments: {
+            projectId: '1150',
+            testNames: ['LoginFunctionalityTest', 'CheckoutProcessTest'],
+            browsers: ['edge', 'chrome'],
+            concurrency: 2
+        } });
+        const matrix = result.structuredContent;
+
+        assert.equal(maxRunning, 2);
+        assert.deepEqual(matrix.columns, ['edge', 'chrome']);
+        assert.deepEqual(matrix.totals, { cells: 4, passed: 3, failed: 1, incomplete: 0, errors: 0 });
+        assert.deepEqual(matrix.cells.map(c => c.resultId).sort(), ['r1', 'r2', 'r3', 'r4']);
+        assert.match(result.content[0].text, /\| Test \| edge \| chrome \|/);
+        assert.match(result.content[0].text, /\| LoginFunctionalityTest \| ✅ PASS \(r1\) \| ❌ FAIL \(r2\) \|/);
+
+        const browsers = mock.requestsTo(/\/executions\/$/).map(r => JSON.parse(r.body).advancedSettings.configuration['browser.name']);
+        assert.deepEqual(browsers.sort(), ['chrome', 'chrome', 'edge', 'edge']);
+    });
+
+    test('execute_test_matrix selects tests by type and name filter and labels configuration columns', async () => {
+        const matrix = await callToolStructured('execute_test_matrix', {
+            projectId: '1150',
+            testType: 'EXT_TEST_SUITE',
+            nameFilter: '*Suite',
+            configurations: [{ name: 'headless', configuration: { 'browser.headless': true } }, { configuration: {} }]
+        });
+
+        assert.deepEqual(matrix.tests, ['NightlyRegressionSuite']);
+        assert.deepEqual(matrix.columns, ['edge / headless', 'edge / config 2']);
+        assert.equal(matrix.cells[0].resultId, '7733');
+        const [request] = mock.requestsTo(/\/assets\/$/);
+        assert.deepEqual(request.query.getAll('externalTypes'), ['EXT_TEST_SUITE']);
+    });
+
+    test('execute_test_matrix reports cells that fail to start without stopping the others', async () => {
+        let calls = 0;
+        mock.override('startExecution', (req, res) => {
+            calls++;
+            if (calls === 1) {
+                mock.sendJSON(res, 503, {});
+            } else {
+                mock.sendJSON(res, 201, { id: '4022', result: { id: '7734' } });
+            }
+        });
+
+        const matrix = await callToolStructured('execute_test_matrix', {
+            projectId: '1150',
+            testNames: ['LoginFunctionalityTest'],
+            browsers: ['edge', 'chrome'],
+            concurrency: 1
+        });
+
+        assert.equal(matrix.totals.errors, 1);
+        assert.equal(matrix.totals.failed, 1);
+        assert.match(matrix.cells[0].error, /HTTP 503/);
+    });
+
+    test('execute_test_matrix rejects unknown tests before starting anything', async () => {
+        const text = await callTool('execute_test_matrix', { projectId: '1150', testNames: ['LoginFunctionalityTest', 'MissingTest'] });
+
+        assert.match(text, /Tests not found: MissingTest/);
+        assert.equal(mock.requestsTo(/\/executions\/$/).length, 0);
+    });
+
+    test('list_results filters the result history and returns result IDs', async () => {
+        const text = await callTool('list_results', { projectId: '1150', branch: 'main', initiator: 'ci.bot' });
+        const paged = await callToolStructured('list_results', { projectId: '1150', assetId: 'a1b2c3', page: 1, pageSize: 2 });
+
+        assert.match(text, /Found 1 results in project 1150 \(page 1\)/);
+        assert.match(text, /\*\*LoginFunctionalityTest\*\* \(Result ID: 7728, Verdict: PASS, Status: COMPLETE, Branch: main/);
+        assert.match(text, /get_test_results or prepare_test_download/);
+        assert.deepEqual(paged.results.map(r => r.resultId), ['7733', '7728']);
+        assert.equal(paged.hasMore, true);
+        assert.equal(paged.truncated, false);
+        assert.equal(paged.results[0].durationSeconds, 95);
+    });
+
+    test('list_results says when it stopped searching a long history', async () => {
+        const history = Array.from({ length: 2100 }, (_, i) => ({ id: `${i}`, name: 'NightlyTest', startDate: Date.UTC(2025, 9, 1) - i * 3600000 }));
+        mock.override('results', (req, res) => mock.sendJSON(res, 200, pageOf(history, req)));
+
+        const text = await callTool('list_results', { projectId: '1150', testName: 'LoginFunctionalityTest' });
+        const structured = await callToolStructured('list_results', { projectId: '1150', testName: 'LoginFunctionalityTest' });
+
+        assert.match(text, /No results in project 1150 match the filters/);
+        assert.match(text, /Only the 2000 most recent results were searched/);
+        assert.equal(structured.truncated, true);
+    });
+
+    test('list_results rejects invalid dates', async () => {
+        const text = await callTool('list_results', { projectId: '1150', until: 'next week' });
+
+        assert.match(text, /Invalid until date "next week"/);
+    });
+
+    test('analyze_flakiness ranks tests from their history with failing steps as evidence', async () => {
+        const result = await client.callTool({ name: 'analyze_flakiness', arguments: { projectId: '1150', testNames: ['LoginFunctionalityTest'], lastRuns: 3 } });
+        const [login] = result.structuredContent.tests;
+
+        assert.equal(result.structuredContent.logsAnalyzed, 3);
+        assert.deepEqual(login.verdicts, ['FAIL', 'PASS', 'FAIL']);
+        assert.equal(login.classification, 'flaky');
+        assert.deepEqual(login.evidence.map(run => run.resultId), ['7725', '7733']);
+        assert.ok(login.evidence[0].failingSteps.includes('Verify dashboard is displayed'));
+        assert.match(result.content[0].text, /\| 1 \| LoginFunctionalityTest \| 3 \| 67% \| 100% \| flaky \| ❌✅❌ \|/);
+        assert.match(result.content[0].text, /Result 7733 \(FAIL, revision main/);
+        assert.equal(mock.requestsTo(/\/reports\/testlog\/download$/).length, 3);
+    });
+
+    test('analyze_flakiness waits for testlog archives the server is still preparing', async () => {
+        mock.prepareDownloads(1);
+        const analysis = await callToolStructured('analyze_flakiness', { projectId: '1150', testNames: ['LoginFunctionalityTest'], lastRuns: 3 });
+
+        assert.equal(analysis.logsAnalyzed, 3);
+        assert.deepEqual(mock.requestsTo(/\/downloads\//).length, 4);
+    });
+
+    test('analyze_flakiness downloads at most maxLogDownloads testlogs', async () => {
+        const result = await client.callTool({ name: 'analyze_flakiness', arguments: { projectId: '1150', testNames: ['LoginFunctionalityTest'], lastRuns: 3, maxLogDownloads: 1 } });
+
+        assert.equal(result.structuredContent.logsAnalyzed, 1);
+        assert.equal(result.structuredContent.logsSkipped, 2);
+        assert.equal(result.structuredContent.stepTimeoutReached, false);
+        assert.match(result.content[0].text, /testlogs of 2 run\(s\) were not downloaded because the download limit was reached/);
+        assert.equal(mock.requestsTo(/\/reports\/testlog\/download$/).length, 1);
+    });
+
+    test('analyze_flakiness stops downloading testlogs when stepTimeoutSeconds elapses', async () => {
+        mock.override('download', (req, res) => setTimeout(() => {
+            res.writeHead(200, { 'Content-Type': 'application/zip', 'Content-Length': mock.archive.length });
+            res.end(mock.archive);
+        }, 600));
+        const analysis = await callToolStructured('analyze_flakiness', { projectId: '1150', testNames: ['LoginFunctionalityTest'], lastRuns: 3, stepTimeoutSeconds: 1 });
+
+        assert.equal(analysis.runsAnalyzed, 3);
+        assert.equal(analysis.logsAnalyzed, 2);
+        assert.equal(analysis.logsSkipped, 1);
+        assert.equal(analysis.stepTimeoutReached, true);
+        assert.equal(mock.requestsTo(/\/reports\/testlog\/download$/).length, 2);
+    });
+
+    test('analyze_flakiness stops downloading testlogs when the request is cancelled', async () => {
+        mock.prepareDownloads(1000);
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 200);
+
+        await assert.rejects(client.callTool({ name: 'analyze_flakiness', arguments: { projectId: '1150', testNames: ['LoginFunctionalityTest'], lastRuns: 3 } }, undefined, { signal: controller.signal }));
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        assert.equal(mock.requestsTo(/\/reports\/testlog\/download$/).length, 1);
+    });
+
+    test('analyze_flakiness covers the most recently run tests without step analysis', async () => {
+        const analysis = await callToolStructured('analyze_flakiness', { projectId: '1150', includeSteps: false, maxTests: 2 });
+
+        assert.deepEqual(analysis.tests.map(t => t.testName).sort(), ['LoginFunctionalityTest', 'NightlyRegressionSuite']);
+        assert.equal(analysis.logsAnalyzed, 0);
+        assert.equal(mock.requestsTo(/\/downloads\//).length, 0);
+    });
+
+    test('compare_results diffs the step trees of two testlog archives', async () => {
+        // Download 2000 holds a passing run: the verification passed quickly and a step was renamed
+        const passing = loadFixture('testlog/testlog.json');
+        passing.verdict = 'PASS';
+        passing.end.properties.verdict = 'PASS';
+        passing.items[1].properties.name = 'Type email';
+        passing.items[2].end.properties.verdict = 'PASS';
+        passing.items[2].events[0].end = { time: 1760000008000, duration: 2000, properties: { verdict: 'PASS' } };
+        const passingArchive = buildArchiveFromTestLog(passing);
+        mock.override('download', (req, res, [, downloadId]) => {
+            const archive = downloadId === '2000' ? passingArchive : mock.archive;
+            res.writeHead(200, { 'Content-Type': 'application/zip', 'Content-Length': archive.length });
+            res.end(archive);
+        });
+
+        const result = await client.callTool({ name: 'compare_results', arguments: { projectId: '1150', baseDownloadId: '2000', targetDownloadId: '1556' } });
+        const comparison = result.structuredContent;
+
+        assert.equal(comparison.verdictChanged, true);
+        assert.deepEqual(comparison.verdictChanges.map(c => c.key), [
+            'LoginFunctionalityTest',
+            'LoginFunctionalityTest › Click Sign in',
+            'LoginFunctionalityTest › Click Sign in › Verify dashboard is displayed'
+        ]);
+        assert.deepEqual(comparison.added.map(s => s.name), ['Type username']);
+        assert.deepEqual(comparison.removed.map(s => s.name), ['Type email']);
+        assert.deepEqual(comparison.durationChanges.map(c => [c.name, c.changeMs]), [['Verify dashboard is displayed', 87000]]);
+        assert.match(result.content[0].text, /Overall verdict: PASS → FAIL \(changed\)/);
+        assert.match(result.content[0].text, /```diff\n- LoginFunctionalityTest › Type email \(PASS\)\n\+ LoginFunctionalityTest › Type username \(PASS\)/);
+    });
+
+    test('compare_results loads results by ID from their testlog or execution logs', async () => {
+        const fromTestLog = await callToolStructured('compare_results', { projectId: '1150', baseResultId: '7728', targetResultId: '7733' });
+        const fromLogs = await callToolStructured('compare_results', { projectId: '1150', baseResultId: '7728', targetResultId: '7733', source: 'logs' });
+
+        assert.equal(fromTestLog.base.stepCount, 5);
+        assert.equal(fromTestLog.unchanged, 5);
+        assert.equal(fromTestLog.target.testName, 'LoginFunctionalityTest');
+        assert.equal(fromLogs.base.stepCount, 3);
+        assert.equal(mock.requestsTo(/\/results\/7728\/logs$/).length, 1);
+    });
+
+    test('compare_results waits for archives the server is still preparing', async () => {
+        mock.prepareDownloads(1);
+        const byDownload = await callToolStructured('compare_results', { projectId: '1150', baseDownloadId: '2000', targetDownloadId: '1556' });
+        mock.prepareDownloads(1);
+        const byResult = await callToolStructured('compare_results', { projectId: '1150', baseResultId: '7728', targetResultId: '7733' });
+
+        assert.equal(byDownload.base.stepCount, 5);
+        assert.equal(byDownload.target.stepCount, 5);
+        assert.equal(byResult.base.stepCount, 5);
+        assert.equal(mock.requestsTo(/\/downloads\/2000$/).length, 2);
+        assert.equal(mock.requestsTo(/\/downloads\/1556$/).length, 5);
+    });
+
+    test('compare_results needs one source per side', async () => {
+        const text = await callTool('compare_results', { projectId: '1150', baseResultId: '7728', baseDownloadId: '1556', targetResultId: '7733' });
+
+        assert.match(text, /Give exactly one of baseResultId and baseDownloadId/);
+    });
+
+    test('analyze_performance reports percentiles, throughput and SLA verdicts', async () => {
+        mock.override('resultPerformance', (req, res) => mock.sendJSON(res, 200, loadFixture('performance.json')));
+
+        const result = await client.callTool({ name: 'analyze_performance', arguments: {
+            projectId: '1150',
+            resultId: '7733',
+            slas: [{ metric: 'p95', threshold: 1500 }, { metric: 'errorRate', threshold: 0.05, transaction: 'Login' }],
+            maxTransactions: 1
+        } });
+        const analysis = result.structuredContent;
+
+        assert.equal(analysis.testName, 'LoginFunctionalityTest');
+        assert.equal(analysis.overall.p95, 1200);
+        assert.equal(analysis.overall.throughput, 0.2);
+        assert.deepEqual(analysis.transactions.map(t => [t.name, t.errorRate]), [['Login', 0.2]]);
+        assert.equal(analysis.totalTransactions, 2);
+        assert.equal(analysis.users.peakUsers, 25);
+        assert.deepEqual(analysis.slas.map(sla => sla.passed), [true, false]);
+        assert.equal(analysis.slasPassed, false);
+        assert.match(result.content[0].text, /## ❌ SLAs failed/);
+        assert.match(result.content[0].text, /\| errorRate of Login \| <= 5% \| 20% \| ❌ FAIL \|/);
+        assert.match(result.content[0].text, /Showing the 1 slowest of 2 transactions/);
+    });
+
+    test('analyze_performance explains results without performance data', async () => {
+        const text = await callTool('analyze_performance', { projectId: '1150', resultId: '7733' });
+
+        assert.match(text, /Error analyzing performance: Result 7733 has no performance data/);
+    });
+
+    test('get_test_screenshots returns the screenshots of failed steps as images', async () => {
+        const result = await client.callTool({ name: 'get_test_screenshots', arguments: { projectId: '1150', resultId: '7733' } });
+        const png = readFileSync(new URL('./fixtures/testlog/screenshots/s3.1.png', import.meta.url));
+
+        assert.notEqual(result.isError, true, result.content[0].text);
+        assert.match(result.content[0].text, /Showing 1 of 1 screenshot\(s\)/);
+        assert.deepEqual(result.content.slice(1), [
+            { type: 'text', text: 'Verify dashboard is displayed (FAIL: Object not found) - screenshots/s3.1.png' },
+            { type: 'image', data: png.toString('base64'), mimeType: 'image/png' }
+        ]);
+        assert.equal(result.structuredContent.downloadId, '1556');
+        assert.deepEqual(result.structuredContent.screenshots[0], {
+            stepId: 's3.1',
+            stepName: 'Verify dashboard is displayed',
+            verdict: 'FAIL',
+            path: 'screenshots/s3.1.png',
+            mimeType: 'image/png',
+            size: png.length,
+            included: true,
+            skipped: null
+        });
+    });
+
+    test('get_test_screenshots shows chosen steps and keeps within the limits', async () => {
+        const chosen = await callToolStructured('get_test_screenshots', { projectId: '1150', downloadId: '1556', steps: ['s3.1', 'Click Sign in'] });
+        const capped = await client.callTool({ name: 'get_test_screenshots', arguments: { projectId: '1150', downloadId: '1556', maxTotalBytes: 10 } });
+
+        assert.deepEqual(chosen.screenshots.map(entry => [entry.stepName, entry.included, entry.skipped]), [
+            ['Click Sign in', false, 'No screenshot recorded for this step'],
+            ['Verify dashboard is displayed', true, null]
+        ]);
+        assert.equal(mock.requestsTo(/\/reports\/testlog\/download$/).length, 0);
+        assert.equal(capped.content.length, 1);
+        assert.match(capped.content[0].text, /Over the size limit of 10 bytes/);
+    });
+
+    test('get_test_screenshots reports screenshots missing from the archive', async () => {
+        const testLog = loadFixture('testlog/testlog.json');
+        const archive = buildArchiveFromTestLog(testLog);
+        mock.override('download', (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/zip', 'Content-Length': archive.length });
+            res.end(archive);
+        });
+
+        const result = await callToolStructured('get_test_screenshots', { projectId: '1150', downloadId: '1556' });
+
+        assert.equal(result.screenshots[0].included, false);
+        assert.equal(result.screenshots[0].skipped, 'Not found in the result archive');
+    });
+
+    test('list_archive_entries lists the files in a result archive', async () => {
+        const all = await client.callTool({ name: 'list_archive_entries', arguments: { projectId: '1150', downloadId: '1556' } });
+        const screenshots = await callToolStructured('list_archive_entries', { projectId: '1150', resultId: '7733', filter: 'screenshots/*' });
+
+        assert.equal(all.structuredContent.totalEntries, 2);
+        assert.match(all.content[0].text, /\| testlog.json \| \d+ bytes \| application\/json \|/);
+        assert.equal(screenshots.downloadId, '1556');
+        assert.deepEqual(screenshots.entries.map(entry => [entry.path, entry.mimeType, entry.kind]), [['screenshots/s3.1.png', 'image/png', 'image']]);
+    });
+
+    test('read_archive_entry returns text files decoded and truncated', async () => {
+        const testLog = readFileSync(new URL('./fixtures/testlog/testlog.json', import.meta.url), 'utf-8');
+        const result = await client.callTool({ name: 'read_archive_entry', arguments: { projectId: '1150', downloadId: '1556', entryPath: 'testlog.json', maxChars: 100 } });
+
+        const whole = await callToolStructured('read_archive_entry', { projectId: '1150', downloadId: '1556', entryPath: 'testlog.json', maxChars: 500000 });
+
+        assert.equal(result.content[1].text, testLog.slice(0, 100));
+        assert.match(result.content[0].text, /showing the first 100 characters/);
+        assert.equal(whole.truncated, false);
+        assert.equal(whole.totalChars, testLog.length);
+        assert.deepEqual(result.structuredContent, {
+            projectId: '1150',
+            resultId: null,
+            downloadId: '1556',
+            entryPath: 'testlog.json',
+            size: Buffer.byteLength(testLog),
+            mimeType: 'application/json',
+            returnedAs: 'text',
+            encoding: 'utf-8',
+            truncated: true,
+            totalChars: null
+        });
+    });
+
+    test('read_archive_entry returns other files as embedded resources', async () => {
+        const png = readFileSync(new URL('./fixtures/testlog/screenshots/s3.1.png', import.meta.url));
+        const result = await client.callTool({ name: 'read_archive_entry', arguments: { projectId: '1150', resultId: '7733', entryPath: 'screenshots/s3.1.png' } });
+        const asText = await callTool('read_archive_entry', { projectId: '1150', downloadId: '1556', entryPath: 'screenshots/s3.1.png', as: 'text' });
+        const missing = await callTool('read_archive_entry', { projectId: '1150', downloadId: '1556', entryPath: 'report.html' });
+
+        assert.deepEqual(result.content[1], {
+            type: 'resource',
+            resource: { uri: 'devops-test://projects/1150/results/7733/archive/screenshots/s3.1.png', mimeType: 'image/png', blob: png.toString('base64') }
+        });
+        assert.equal(result.structuredContent.returnedAs, 'blob');
+        assert.match(asText, /screenshots\/s3.1.png is not a text file; read it with as "blob"/);
+        assert.match(missing, /report.html not found in archive/);
+    });
+
+    test('list_executions shows running and queued executions', async () => {
+        const text = await callTool('list_executions', { projectId: '1150' });
+        const all = await callToolStructured('list_executions', { projectId: '1150', includeFinished: true });
+
+        assert.match(text, /Found 2 running or queued executions in project 1150/);
+        assert.match(text, /\*\*LoginFunctionalityTest\*\* \(Execution ID: 4021, Status: RUNNING, Started: 2025-10-09T08:53:20.000Z by qa.engineer, Result ID: 7733\)/);
+        assert.match(text, /NightlyRegressionSuite.*Status: QUEUED/);
+        assert.doesNotMatch(text, /CheckoutProcessTest/);
+        assert.equal(all.executions.length, 3);
+    });
+
+    test('cancel_execution stops an execution and confirms its final state', async () => {
+        let cancelled = false;
+        mock.override('cancelExecution', (req, res) => {
+            cancelled = true;
+            res.writeHead(204);
+            res.end();
+        });
+        mock.override('execution', (req, res) => mock.sendJSON(res, 200, { id: '4021', status: cancelled ? 'CANCELED' : 'RUNNING' }));
+
+        const result = await client.callTool({ name: 'cancel_execution', arguments: { projectId: '1150', executionId: '4021' } });
+
+        assert.match(result.content[0].text, /Execution 4021 was cancelled. Final status: CANCELED/);
+        assert.equal(result.structuredContent.confirmed, true);
+        assert.equal(result.structuredContent.finalStatus, 'CANCELED');
+        assert.equal(mock.requestsTo(/\/executions\/4021$/).filter(r => r.method === 'DELETE').length, 1);
+    });
+
+    test('cancel_execution reports executions that are still stopping', async () => {
+        mock.override('execution', (req, res) => mock.sendJSON(res, 200, { id: '4021', status: 'STOPPING' }));
+
+        const result = await callToolStructured('cancel_execution', { projectId: '1150', executionId: '4021', waitSeconds: 0 });
+
+        assert.equal(result.cancelRequested, true);
+        assert.equal(result.confirmed, false);
+        assert.equal(result.finalStatus, null);
+    });
+
+    test('cancel_execution leaves finished executions alone', async () => {
+        mock.override('execution', (req, res) => mock.sendJSON(res, 200, { id: '4019', status: 'COMPLETE' }));
+
+        const text = await callTool('cancel_execution', { projectId: '1150', executionId: '4019' });
+
+        assert.match(text, /already finished with status COMPLETE; nothing to cancel/);
+        assert.equal(mock.requestsTo(/\/executions\/4019$/).filter(r => r.method === 'DELETE').length, 0);
+    });
+
+    test('get_test_results builds the report from the result endpoints', async () => {
+        const text = await callTool('get_test_results', { projectId: '1150', resultId: '7733', executionId: '4021' });
+
+        assert.match(text, /# Test Execution Results Report/);
+        assert.match(text, /\*\*Execution ID\*\*: 4021/);
+        assert.match(text, /- \*\*Test Name\*\*: LoginFunctionalityTest/);
+        assert.match(text, /### Report 1: Unified Test Log/);
+        assert.match(text, /Found 3 steps\/events/);
+        assert.match(text, /## 🚨 Failure Analysis/);
+        assert.match(text, /## ⏱️ Timing Analysis\n- Total Duration: 95\.0s/);
+        assert.match(text, /Found 1 screenshot\(s\)/);
+        assert.doesNotMatch(text, /## Performance Data/);
+    });
+
+    test('wait_for_test_completion resolves the result from the execution and reports progress', async () => {
+        const progress = [];
+        const text = await callTool('wait_for_test_completion', { projectId: '1150', executionId: '4021' }, {
+            onprogress: notification => progress.push(notification)
+        });
+
+        assert.match(text, /Test completed after \d+ seconds \(1 status check\(s\)\)/);
+        assert.match(text, /\*\*Result ID\*\*: 7733/);
+        assert.equal(mock.requestsTo(/\/executions\/4021$/).length, 1);
+        assert.equal(progress.length, 1);
+        assert.match(progress[0].message, /finished with status COMPLETE, verdict FAIL/);
+    });
+
+    test('wait_for_test_completion stops at the timeout while the test is running', async () => {
+        mock.override('result', (req, res) => mock.sendJSON(res, 200, { id: '7733', status: 'RUNNING' }));
+        const text = await callTool('wait_for_test_completion', { projectId: '1150', resultId: '7733', timeoutSeconds: 1 });
+
+        assert.match(text, /Timed out after \d+ seconds \(2 status check\(s\)\); last status: RUNNING/);
+        assert.equal(mock.requestsTo(/\/results\/7733\/logs$/).length, 1);
+    });
+
+    test('wait_for_test_completion checks once more at the deadline and builds the report once', async () => {
+        let checks = 0;
+        mock.override('result', (req, res) => {
+            checks++;
+            mock.sendJSON(res, 200, checks < 2 ? { id: '7733', status: 'RUNNING' } : loadFixture('result-summary.json'));
+        });
+        const text = await callTool('wait_for_test_completion', { projectId: '1150', resultId: '7733', timeoutSeconds: 1 });
+
+        assert.match(text, /Test completed after \d+ seconds \(2 status check\(s\)\)/);
+        assert.equal(mock.requestsTo(/\/results\/7733\/logs$/).length, 1);
+        assert.equal(mock.requestsTo(/\/results\/7733\/artifacts$/).length, 1);
+    });
+
+    test('wait_for_test_completion keeps polling through server errors', async () => {
+        let checks = 0;
+        mock.override('result', (req, res) => {
+            checks++;
+            mock.sendJSON(res, checks < 2 ? 500 : 200, checks < 2 ? { message: 'Internal error' } : loadFixture('result-summary.json'));
+        });
+        const text = await callTool('wait_for_test_completion', { projectId: '1150', resultId: '7733', timeoutSeconds: 5 });
+
+        assert.match(text, /Test completed after \d+ seconds \(2 status check\(s\)\)/);
+    });
+
+    test('wait_for_test_completion fails at once when the result cannot be read', async () => {
+        mock.override('result', (req, res) => mock.sendJSON(res, 404, { message: 'Not found' }));
+        const text = await callTool('wait_for_test_completion', { projectId: '1150', resultId: '7733', timeoutSeconds: 30 });
+
+        assert.match(text, /HTTP 404/);
+        assert.equal(mock.requestsTo(/\/results\/7733$/).length, 1);
+    });
+
+    test('wait_for_test_completion requires a result or execution ID', async () => {
+        const text = await callTool('wait_for_test_completion', { projectId: '1150' });
+
+        assert.match(text, /Either resultId or executionId is required/);
+    });
+
+    test('prepare_test_download extracts the download ID from the location header', async () => {
+        const text = await callTool('prepare_test_download', { projectId: '1150', resultId: '7733' });
+
+        assert.match(text, /\*\*Download ID\*\*: 1556/);
+        assert.equal(mock.requestsTo(/\/results\/7733\/reports\/testlog\/download$/)[0].method, 'POST');
+    });
+
+    test('prepare_test_download reports a missing location header', async () => {
+        mock.override('prepareDownload', (req, res) => mock.sendJSON(res, 200, {}));
+        const text = await callTool('prepare_test_download', { projectId: '1150', resultId: '7733' });
+
+        assert.match(text, /No location header found in response/);
+    });
+
+    test('get_test_log_results extracts and parses testlog.json from the archive', async () => {
+        const text = await callTool('get_test_log_results', { projectId: '1150', downloadId: '1556' });
+
+        assert.match(text, /testlog.json extracted and parsed successfully/);
+        assert.match(text, new RegExp(`\\*\\*Archive Size\\*\\*: ${mock.archive.length} bytes`));
+        assert.match(text, /Initiated By: qa.engineer/);
+        assert.match(text, /Total Steps: 5/);
+        assert.match(text, /Failures: 3/);
+        assert.match(text, /\*\*Verify dashboard is displayed\*\* \(Reason: Object not found\)/);
+        assert.match(text, /Screenshot: Captured/);
+    });
+
+    test('get_test_log_results waits until the server has the archive ready', async () => {
+        mock.prepareDownloads(1);
+        const text = await callTool('get_test_log_results', { projectId: '1150', downloadId: '1556' });
+
+        assert.match(text, /Failures: 3/);
+        assert.equal(mock.requestsTo(/\/downloads\/1556$/).length, 2);
+    });
+
+    test('get_test_log_results exports the testlog as JUnit XML', async () => {
+        const result = await client.callTool({ name: 'get_test_log_results', arguments: { projectId: '1150', downloadId: '1556', format: 'junit' } });
+        const xml = result.content[0].text;
+
+        assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+        assert.match(xml, /<testsuites name="LoginFunctionalityTest" tests="3" failures="1" errors="0"/);
+        assert.match(xml, /<testsuite name="LoginFunctionalityTest › Click Sign in" tests="1" failures="1"/);
+        assert.match(xml, /<failure message="[^"]*" type="Object not found">/);
+        assert.match(xml, /\[\[ATTACHMENT\|screenshots\/s3.1.png\]\]/);
+        assert.deepEqual(result.structuredContent.junit, { tests: 3, failures: 1, errors: 0, suites: 2, outputPath: null });
+    });
+
+    test('get_test_log_results writes JUnit XML to outputPath', async () => {
+        const dir = mkdtempSync(path.join(tmpdir(), 'junit-'));
+        try {
+            const outputPath = path.join(dir, 'reports', 'junit.xml');
+            const text = await callTool('get_test_log_results', { projectId: '1150', downloadId: '1556', format: 'junit', outputPath });
+
+            assert.equal(text, `JUnit XML written to ${outputPath} (3 test cases, 1 failures, 0 errors)`);
+            assert.match(readFileSync(outputPath, 'utf-8'), /<testsuites name="LoginFunctionalityTest"/);
+
+            const markdown = await callTool('get_test_log_results', { projectId: '1150', downloadId: '1556', outputPath });
+            assert.match(markdown, /outputPath is only supported with format "junit"/);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('get_test_log_results refuses outputPath when file output is disabled', async () => {
+        const remote = await connectServer({ allowFileOutput: false });
+        try {
+            const result = await remote.callTool({ name: 'get_test_log_results', arguments: { projectId: '1150', downloadId: '1556', format: 'junit', outputPath: path.join(tmpdir(), 'never-written.xml') } });
+
+            assert.equal(result.isError, true);
+            assert.match(result.content[0].text, /Writing files is disabled on this server/);
+            assert.equal(mock.requestsTo(/\/downloads\//).length, 0);
+        } finally {
+            await remote.close();
+        }
+    });
+
+    test('download_test_log prepares the archive and waits until it is ready', async () => {
+        let attempts = 0;
+        mock.override('download', (req, res) => {
+            attempts++;
+            if (attempts === 1) {
+                res.writeHead(202);
+                res.end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/zip', 'Content-Length': mock.archive.length });
+            res.end(mock.archive);
+        });
+
+        const result = await client.callTool({ name: 'download_test_log', arguments: { projectId: '1150', resultId: '7733' } });
+        const testLog = result.structuredContent;
+
+        assert.notEqual(result.isError, true, result.content[0].text);
+        assert.equal(testLog.downloadId, '1556');
+        assert.equal(testLog.checks, 2);
+        assert.equal(testLog.fromCache, false);
+        assert.equal(testLog.steps.length, 5);
+        assert.equal(testLog.failures.length, 3);
+        assert.match(result.content[0].text, /\*\*Download ID\*\*: 1556 \(ready after 2 check\(s\)/);
+        assert.match(result.content[0].text, /Failures: 3/);
+    });
+
+    test('download_test_log gives up when the archive is not ready in time', async () => {
+        mock.override('download', (req, res) => mock.sendJSON(res, 200, { status: 'PREPARING' }));
+
+        const text = await callTool('download_test_log', { projectId: '1150', resultId: '7733', timeoutSeconds: 1 });
+
+        assert.match(text, /The archive of result 7733 \(download 1556\) was not ready after \d+s and 1 check\(s\)/);
+    });
+
+    test('download_test_log caches the archives of finished results', async () => {
+        const cacheDir = mkdtempSync(path.join(tmpdir(), 'archives-'));
+        const cached = await connectServer({ cacheDir });
+        const remote = await connectServer({ cacheDir, allowFileOutput: false });
+        try {
+            const args = { name: 'download_test_log', arguments: { projectId: '1150', resultId: '7733', useCache: true } };
+            const first = (await cached.callTool(args)).structuredContent;
+            const second = (await cached.callTool(args)).structuredContent;
+            const uncached = await remote.callTool(args);
+
+            assert.equal(first.fromCache, false);
+            assert.ok(first.cachePath.startsWith(cacheDir));
+            assert.deepEqual(readFileSync(first.cachePath), mock.archive);
+            assert.equal(second.fromCache, true);
+            assert.equal(second.downloadId, null);
+            assert.deepEqual(second.steps, first.steps);
+            assert.equal(uncached.structuredContent.fromCache, false);
+            assert.match(uncached.content[0].text, /\*\*Cache\*\*: Disabled on this server/);
+            assert.equal(mock.requestsTo(/\/downloads\//).length, 2);
+        } finally {
+            await cached.close();
+            await remote.close();
+            rmSync(cacheDir, { recursive: true, force: true });
+        }
+    });
+
+    test('get_test_log_results reports HTTP errors from the download endpoint', async () => {
+        mock.override('download', (req, res) => mock.sendJSON(res, 404, { error: 'not_found' }));
+        const text = await callTool('get_test_log_results', { projectId: '1150', downloadId: '9999' });
+
+        assert.match(text, /Failed to download results: 404/);
+    });
+
+    test('lists the projects resource, per-project test resources and the resource templates', async () => {
+        const { resources } = await client.listResources();
+        const { resourceTemplates } = await client.listResourceTemplates();
+
+        assert.deepEqual(resources.map(r => r.uri), [
+            'devops-test://projects',
+            'devops-test://projects/1150/tests',
+            'devops-test://projects/1151/tests'
+        ]);
+        assert.deepEqual(resourceTemplates.map(t => t.uriTemplate).sort(), [
+            'devops-test://projects/{projectId}/results/{resultId}',
+            'devops-test://projects/{projectId}/results/{resultId}/testlog',
+            'devops-test://projects/{projectId}/tests{?branch,type}'
+        ]);
+    });
+
+    test('reads projects and tests as JSON resources', async () => {
+        const projects = await client.readResource({ uri: 'devops-test://projects' });
+        const tests = await client.readResource({ uri: 'devops-test://projects/1150/tests?type=UI' });
+
+        assert.equal(projects.contents[0].mimeType, 'application/json');
+        assert.equal(JSON.parse(projects.contents[0].text).length, 2);
+        assert.equal(JSON.parse(tests.contents[0].text)[0].name, 'LoginFunctionalityTest');
+
+        const [request] = mock.requestsTo(/\/projects\/1150\/assets\/$/);
+        assert.equal(request.query.get('revision'), 'main');
+        assert.deepEqual(request.query.getAll('externalTypes'), ['UI']);
+    });
+
+    test('reads a test result and its testlog as JSON resources', async () => {
+        const result = JSON.parse((await client.readResource({ uri: 'devops-test://projects/1150/results/7733' })).contents[0].text);
+        const testLog = JSON.parse((await client.readResource({ uri: 'devops-test://projects/1150/results/7733/testlog' })).contents[0].text);
+
+        assert.equal(result.summary.verdict, 'FAIL');
+        assert.equal(result.logs.length, 1);
+        assert.equal(testLog.summary.initiatedByUser, 'qa.engineer');
+        assert.equal(testLog.failures.length, 3);
+    });
+
+    test('reads the testlog resource once the server has the archive ready', async () => {
+        mock.prepareDownloads(2);
+        const testLog = JSON.parse((await client.readResource({ uri: 'devops-test://projects/1150/results/7733/testlog' })).contents[0].text);
+
+        assert.equal(testLog.failures.length, 3);
+        assert.equal(mock.requestsTo(/\/downloads\/1556$/).length, 3);
+    });
+
+    test('routes tool calls to the connection profile they name', async () => {
+        const staging = await startMockServer();
+        const profiles = new ConnectionProfiles({
+            path: '/home/qa/.config/mcp-devops-test/profiles.json',
+            defaultProfile: 'local',
+            profiles: {
+                local: { serverURL: mock.url, teamspaceId: 'ts-local', token: 'local-token' },
+                staging: { serverURL: staging.url, teamspaceId: 'ts-staging', tokenEnv: 'MCP_TEST_STAGING_TOKEN' }
+            },
+            createClient: (profile) => new DevOpsTestClient({ serverURL: profile.serverURL, credentials: profile.credentials })
+        });
+        process.env.MCP_TEST_STAGING_TOKEN = 'staging-token';
+        const remote = await connectServer({ profiles });
+        try {
+            const { tools } = await remote.listTools();
+            const listed = await remote.callTool({ name: 'list_profiles', arguments: {} });
+            await remote.callTool({ name: 'get_projects', arguments: { profile: 'staging' } });
+            await remote.callTool({ name: 'get_projects', arguments: {} });
+            const unknown = await remote.callTool({ name: 'get_projects', arguments: { profile: 'production' } });
+
+            assert.deepEqual(listed.structuredContent.profiles.map(p => [p.name, p.isDefault, p.tokenSource]), [
+                ['local', true, 'token of profile "local"'],
+                ['staging', false, 'MCP_TEST_STAGING_TOKEN environment variable (tokenEnv of profile "staging")']
+            ]);
+            assert.doesNotMatch(listed.content[0].text, /local-token|staging-token/);
+            assert.ok(tools.find(tool => tool.name === 'get_projects').inputSchema.properties.profile);
+            assert.equal(staging.requestsTo(/\/projects\/$/).length, 1);
+            assert.equal(new URLSearchParams(staging.requestsTo(/\/tokens\/$/)[0].body).get('refresh_token'), 'staging-token');
+            assert.equal(mock.requestsTo(/\/projects\/$/).length, 1);
+            assert.equal(unknown.isError, true);
+            assert.match(unknown.content[0].text, /Unknown profile "production". Configured profiles: local, staging/);
+        } finally {
+            delete process.env.MCP_TEST_STAGING_TOKEN;
+            await remote.close();
+            await staging.close();
+        }
+    });
+
+    test('keeps the server and token of every profile when the environment configures a connection too', async () => {
+        const staging = await startMockServer();
+        const dir = mkdtempSync(path.join(tmpdir(), 'profiles-'));
+        const profilesFile = path.join(dir, 'profiles.json');
+        writeFileSync(profilesFile, JSON.stringify({
+            defaultProfile: 'local',
+            profiles: {
+                local: { serverURL: mock.url, teamspaceId: 'ts-local', token: 'local-token' },
+                staging: { serverURL: staging.url, teamspaceId: 'ts-staging', tokenEnv: 'STAGING_TOKEN' }
+            }
+        }));
+        const config = getConfig(['--profiles-file', profilesFile, '--teamspace-id', 'ts-cli'], {
+            TEST_SERVER_URL: 'http://127.0.0.1:9/test',
+            TEST_ACCESS_TOKEN: 'env-token',
+            STAGING_TOKEN: 'staging-token'
+        });
+        const remote = await connectServer(undefined, createStdioServer(config));
+        try {
+            await remote.callTool({ name: 'get_projects', arguments: {} });
+            await remote.callTool({ name: 'get_projects', arguments: { profile: 'staging' } });
+            const refreshToken = (server) => new URLSearchParams(server.requestsTo(/\/tokens\/$/)[0].body).get('refresh_token');
+
+            assert.equal(config.serverURL, mock.url);
+            assert.equal(config.teamspaceID, 'ts-local');
+            assert.deepEqual(config.ignoredSettings, ['TEST_SERVER_URL', '--teamspace-id', 'TEST_ACCESS_TOKEN']);
+            assert.equal(mock.requestsTo(/\/projects\/$/).length, 1);
+            assert.equal(staging.requestsTo(/\/projects\/$/).length, 1);
+            assert.equal(refreshToken(mock), 'local-token');
+            assert.equal(refreshToken(staging), 'staging-token');
+        } finally {
+            await remote.close();
+            await staging.close();
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('offers no profile argument or list_profiles without a profiles file', async () => {
+        const dir = mkdtempSync(path.join(tmpdir(), 'config-'));
+        // The --verbose flag without a value must not shift the arguments after it
+        const config = getConfig(['--verbose', '--server-url', mock.url, '--teamspace-id=ts-cli', '--log-level'], { TEST_ACCESS_TOKEN: 'env-token', XDG_CONFIG_HOME: dir });
+        const remote = await connectServer(undefined, createStdioServer(config));
+        try {
+            const { tools } = await remote.listTools();
+            await remote.callTool({ name: 'get_projects', arguments: {} });
+
+            assert.equal(config.profiles, null);
+            assert.equal(config.serverURL, mock.url);
+            assert.equal(config.teamspaceID, 'ts-cli');
+            assert.equal(config.logLevel, 'info');
+            assert.equal(tools.some(tool => tool.name === 'list_profiles'), false);
+            assert.equal(tools.some(tool => 'profile' in (tool.inputSchema.properties ?? {})), false);
+            assert.equal(new URLSearchParams(mock.requestsTo(/\/tokens\/$/)[0].body).get('refresh_token'), 'env-token');
+        } finally {
+            await remote.close();
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('completes project IDs, result IDs and test types in resource templates', async () => {
+        const projects = await client.complete({
+            ref: { type: 'ref/resource', uri: 'devops-test://projects/{projectId}/tests{?branch,type}' },
+            argument: { name: 'projectId', value: '115' }
+        });
+        const types = await client.complete({
+            ref: { type: 'ref/resource', uri: 'devops-test://projects/{projectId}/tests{?branch,type}' },
+            argument: { name: 'type', value: 'ext_test_s' }
+        });
+
+        assert.deepEqual(projects.completion.values, ['1150', '1151']);
+
+        const results = await client.complete({
+            ref: { type: 'ref/resource', uri: 'devops-test://projects/{projectId}/results/{resultId}' },
+            argument: { name: 'resultId', value: '773' },
+            context: { arguments: { projectId: '1150' } }
+        });
+        assert.deepEqual(results.completion.values, ['7733', '7731', '7730']);
+        assert.deepEqual(types.completion.values, ['EXT_TEST_SEL', 'EXT_TEST_SUITE', 'EXT_TEST_SCPT', 'EXT_TEST_STUB']);
+    });
+});
@@ -0,0 +1,174 @@
+import { test, describe, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimpleAuth, createSimpleAuthFromEnv, jwtExpiry } from '../src/lib/simple-auth.js';
+import { redact } from '../src/lib/logger.js';
+import { CredentialChain, credentialSources } from '../src/lib/credentials.js';
+import { startMockServer } from './mock-devops-test-server.js';
+
+describe('SimpleAuth', () => {
+    let mock;
+
+    before(async () => {
+        mock = await startMockServer();
+    });
+
+    after(async () => {
+        await mock.close();
+    });
+
+    afterEach(() => {
+        mock.reset();
+    });
+
+    test('keeps the /test prefix when deriving the token endpoint', () => {
+        const auth = new SimpleAuth({ serverURL: 'https://devops.example.com/test/#', personalAccessToken: 'pat' });
+        assert.equal(auth.tokenEndpoint, 'https://devops.example.com/test/rest/tokens/');
+    });
+
+    test('exchanges the personal access token for an access token', async () => {
+        const auth = new SimpleAuth({ serverURL: mock.url, personalAccessToken: 'my-refresh-token' });
+        const result = await auth.authenticateWithPersonalToken();
+
+        assert.equal(result.success, true);
+        assert.equal(result.accessToken, 'mock-access-token');
+        assert.equal(result.expiresIn, 3600);
+
+        const [request] = mock.requestsTo(/\/rest\/tokens\/$/);
+        assert.equal(request.headers['content-type'], 'application/x-www-form-urlencoded');
+        assert.equal(new URLSearchParams(request.body).get('refresh_token'), 'my-refresh-token');
+    });
+
+    test('reuses a valid access token instead of requesting a new one', async () => {
+        const auth = new SimpleAuth({ serverURL: mock.url, personalAccessToken: 'pat' });
+
+        assert.equal(await auth.getAuthHeader(), 'Bearer mock-access-token');
+        assert.equal(await auth.getAuthHeader(), 'Bearer mock-access-token');
+        assert.equal(mock.requestsTo(/\/rest\/tokens\/$/).length, 1);
+    });
+
+    test('does not guess an expiry the server did not give', async () => {
+        mock.override('tokens', (req, res) => mock.sendJSON(res, 200, { access_token: 'no-expiry-token' }));
+        const auth = new SimpleAuth({ serverURL: mock.url, personalAccessToken: 'pat' });
+        const result = await auth.authenticateWithPersonalToken();
+
+        assert.equal(result.expiresIn, null);
+        assert.equal(auth.tokenExpiry, null);
+        assert.equal(auth.hasValidToken(), true);
+    });
+
+    test('shares one token request between concurrent callers', async () => {
+        mock.override('tokens', (req, res) => setTimeout(() => mock.sendJSON(res, 200, { access_token: 'shared-token', expires_in: 3600 }), 50));
+        const auth = new SimpleAuth({ serverURL: mock.url, personalAccessToken: 'pat' });
+        const headers = await Promise.all([auth.getAuthHeader(), auth.getAuthHeader(), auth.getAuthHeader()]);
+
+        assert.deepEqual(headers, ['Bearer shared-token', 'Bearer shared-token', 'Bearer shared-token']);
+        assert.equal(mock.requestsTo(/\/rest\/tokens\/$/).length, 1);
+        auth.clearTokens();
+    });
+
+    test('takes the expiry from the exp claim of a JWT when expires_in is missing', async () => {
+        const exp = Math.floor(Date.now() / 1000) + 600;
+        const jwt = ['{"alg":"RS256"}', JSON.stringify({ sub: 'qa', exp }), 'signature']
+            .map(part => Buffer.from(part).toString('base64url')).join('.');
+        mock.override('tokens', (req, res) => mock.sendJSON(res, 200, { access_token: jwt }));
+        const auth = new SimpleAuth({ serverURL: mock.url, personalAccessToken: 'pat' });
+        const result = await auth.authenticateWithPersonalToken();
+
+        assert.equal(auth.tokenExpiry, exp * 1000);
+        assert.ok(result.expiresIn > 590 && result.expiresIn <= 600);
+        assert.equal(jwtExpiry('not-a-jwt'), null);
+        assert.equal(jwtExpiry('a.b.c'), null);
+        auth.clearTokens();
+    });
+
+    test('renews a token in use before it expires, but not an idle one', async () => {
+        mock.override('tokens', (req, res) => mock.sendJSON(res, 200, { access_token: 'short-lived-token', expires_in: 62 }));
+        const busy = new SimpleAuth({ serverURL: mock.url, personalAccessToken: 'busy' });
+        const idle = new SimpleAuth({ serverURL: mock.url, personalAccessToken: 'idle' });
+        await busy.getAuthHeader();
+        await idle.authenticateWithPersonalToken();
+        const refreshTokens = () => mock.requestsTo(/\/rest\/tokens\/$/).map(r => new URLSearchParams(r.body).get('refresh_token'));
+
+        await new Promise(resolve => setTimeout(resolve, 1300));
+        assert.deepEqual(refreshTokens(), ['busy', 'idle', 'busy']);
+
+        // The renewed token was not handed out, so it is left to expire
+        await new Promise(resolve => setTimeout(resolve, 1200));
+        busy.clearTokens();
+        idle.clearTokens();
+
+        assert.deepEqual(refreshTokens(), ['busy', 'idle', 'busy']);
+        assert.equal(busy.renewalTimer, null);
+    });
+
+    test('ignores a rejection of a token that was already replaced', async () => {
+        let issued = 0;
+        mock.override('tokens', (req, res) => mock.sendJSON(res, 200, { access_token: `secret-token-${++issued}`, expires_in: 3600 }));
+        const auth = new SimpleAuth({ serverURL: mock.url, personalAccessToken: 'pat' });
+        await auth.getAuthHeader();
+        auth.clearTokens('secret-token-1');
+        assert.equal(await auth.getAuthHeader(), 'Bearer secret-token-2');
+
+        auth.clearTokens('secret-token-1');
+        assert.equal(auth.accessToken, 'secret-token-2');
+        assert.equal(redact('secret-token-1 secret-token-2'), 'secret-token-1 [REDACTED]');
+
+        auth.clearTokens();
+        assert.equal(auth.accessToken, null);
+        assert.equal(redact('secret-token-2'), 'secret-token-2');
+    });
+
+    test('returns the server error details when the token is rejected', async () => {
+        mock.override('tokens', (req, res) => mock.sendJSON(res, 400, { error: 'invalid_grant', error_description: 'Token is not active' }));
+        const auth = new SimpleAuth({ serverURL: mock.url, personalAccessToken: 'expired' });
+        const result = await auth.authenticateWithPersonalToken();
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'invalid_grant');
+        assert.equal(result.errorDescription, 'Token is not active');
+        assert.equal(result.status, 400);
+        await assert.rejects(auth.getAuthHeader(), /Authentication failed: Token is not active/);
+    });
+
+    test('reports license errors on 403', async () => {
+        mock.override('tokens', (req, res) => mock.sendJSON(res, 403, { error: 'forbidden' }));
+        const auth = new SimpleAuth({ serverURL: mock.url, personalAccessToken: 'pat' });
+        const result = await auth.authenticateWithPersonalToken();
+
+        assert.equal(result.success, false);
+        assert.match(result.errorDescription, /License or authorization error/);
+    });
+
+    test('reads the personal access token from the credential chain on first use', async () => {
+        const credentials = new CredentialChain(credentialSources({ args: { credentialHelper: 'echo helper-token' } }));
+        const auth = new SimpleAuth({ serverURL: mock.url, credentials });
+
+        assert.equal(auth.personalAccessToken, undefined);
+        assert.equal(await auth.getAuthHeader(), 'Bearer mock-access-token');
+        assert.equal(new URLSearchParams(mock.requestsTo(/\/rest\/tokens\/$/)[0].body).get('refresh_token'), 'helper-token');
+    });
+
+    test('fails authentication naming the credential source that failed', async () => {
+        const credentials = new CredentialChain(credentialSources({ args: { credentialHelper: 'exit 3' } }));
+        const auth = new SimpleAuth({ serverURL: mock.url, credentials });
+        const result = await auth.authenticateWithPersonalToken();
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'credential_error');
+        await assert.rejects(auth.getAuthHeader(), /Authentication failed: Cannot read the personal access token from credential helper "exit 3" \(from --credential-helper\): it exited with code 3/);
+        assert.equal(mock.requestsTo(/\/rest\/tokens\/$/).length, 0);
+    });
+
+    test('creates the authentication from command line arguments before environment variables', async () => {
+        const auth = createSimpleAuthFromEnv(['--server-url', mock.url, '--token', 'cli-token'], { TEST_SERVER_URL: 'https://ignored.example.com/test', TEST_ACCESS_TOKEN: 'env-token' });
+        const fromEnv = createSimpleAuthFromEnv([], { TEST_SERVER_URL: mock.url, TEST_ACCESS_TOKEN: 'env-token' });
+
+        assert.equal(auth.serverURL, mock.url);
+        assert.equal(auth.credentials.source, '--token argument');
+        assert.equal(fromEnv.credentials.source, 'TEST_ACCESS_TOKEN environment variable');
+        await auth.getAuthHeader();
+        assert.equal(new URLSearchParams(mock.requestsTo(/\/rest\/tokens\/$/)[0].body).get('refresh_token'), 'cli-token');
+        assert.throws(() => createSimpleAuthFromEnv([], { TEST_ACCESS_TOKEN: 'env-token' }), /Server URL is required/);
+        assert.throws(() => createSimpleAuthFromEnv(['--server-url', mock.url], {}), /Personal access token is required/);
+    });
+});
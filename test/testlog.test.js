@@ -0,0 +1,114 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+import { parseTestLog, parseTestLogStream, buildStepTree, analyzeTiming, worstVerdict } from '../src/lib/testlog.js';
+import { loadFixture } from './mock-devops-test-server.js';
+
+// Stream JSON text in small chunks, so values are split across chunks
+const streamOf = (json, chunkSize = 7) => {
+    const text = typeof json === 'string' ? json : JSON.stringify(json);
+    const chunks = [];
+    for (let i = 0; i < text.length; i += chunkSize) chunks.push(text.slice(i, i + chunkSize));
+    return Readable.from(chunks);
+};
+
+describe('Testlog parsing', () => {
+    test('parses the summary, steps and failures of a testlog', () => {
+        const testLog = parseTestLog(loadFixture('testlog/testlog.json'));
+
+        assert.equal(testLog.summary.initiatedByUser, 'qa.engineer');
+        assert.equal(testLog.steps.length, 5);
+        assert.deepEqual(testLog.steps.map(step => step.level), [0, 1, 1, 1, 2]);
+        assert.deepEqual(testLog.failures.map(failure => failure.name), ['LoginFunctionalityTest', 'Click Sign in', 'Verify dashboard is displayed']);
+        assert.equal(testLog.failures[2].screenshot, 'screenshots/s3.1.png');
+    });
+
+    test('parses execution logs with the same model, rolling up verdicts', () => {
+        const logs = loadFixture('result-logs.json');
+        const testLog = parseTestLog(logs);
+
+        assert.deepEqual(testLog.steps.map(step => [step.name, step.verdict, step.level]), [
+            ['LoginFunctionalityTest', 'FAIL', 0],
+            ['Edge 120', 'INFO', 1],
+            ['Click Sign in', 'INFO', 1]
+        ]);
+        assert.equal(testLog.summary.verdict, 'FAIL');
+        assert.deepEqual(testLog.steps[0].verdicts, { pass: 2, fail: 1 });
+
+        // A step without a verdict of its own takes the most severe verdict of its children
+        const nested = parseTestLog({ id: 'r', properties: { name: 'Run' }, end: {}, items: [
+            { id: 'a', properties: { name: 'A' }, end: { properties: { verdict: 'PASS' } } },
+            { id: 'b', properties: { name: 'B' }, end: { properties: { verdict: 'ERROR', reason: 'Crash' } } }
+        ] });
+        assert.equal(nested.steps[0].verdict, 'ERROR');
+        assert.deepEqual(nested.failures.map(failure => [failure.name, failure.reason]), [['B', 'Crash']]);
+        assert.equal(worstVerdict(['PASS', null, 'fail', 'INFO']), 'fail');
+    });
+
+    test('builds the step tree with the rolled-up verdict of every subtree', () => {
+        const [root] = buildStepTree(parseTestLog(loadFixture('testlog/testlog.json')).steps);
+        const [open, , click] = root.children;
+
+        assert.equal(root.children.length, 3);
+        assert.equal(open.verdict, 'PASS');
+        assert.equal(click.verdict, 'FAIL');
+        assert.equal(click.children[0].step.name, 'Verify dashboard is displayed');
+    });
+
+    test('analyzes the slowest steps, waits and critical path', () => {
+        const { timing } = parseTestLog(loadFixture('testlog/testlog.json'));
+
+        assert.equal(timing.totalDuration, 95000);
+        assert.deepEqual(timing.slowestSteps.slice(0, 2).map(step => [step.name, step.selfTime]), [['Verify dashboard is displayed', 89000], ['Open https://shop.example.com/login', 3000]]);
+        assert.deepEqual(timing.criticalPath.map(step => step.id), ['7733', 's3', 's3.1']);
+
+        const step = (id, type, time, duration, extra = {}) => ({ id, type, time, properties: { name: id }, end: { time: time + duration, duration, properties: { verdict: 'PASS' } }, ...extra });
+        const testLog = parseTestLog({ id: 'run', items: [
+            step('open', 'ui.step.open', 0, 1000),
+            step('wait', 'ui.step.wait', 1500, 4000, { items: [step('poll', 'ui.step.sync', 1500, 4000)] }),
+            step('click', 'ui.step.click', 6000, 500)
+        ] });
+        const waits = analyzeTiming(testLog, { limit: 1 });
+
+        assert.deepEqual(waits.waits.map(wait => wait.id), ['wait']);
+        assert.equal(waits.waitTime, 4000);
+        assert.equal(waits.idleTime, 1000);
+        assert.equal(waits.totalDuration, 5500);
+        assert.deepEqual(waits.slowestSteps.map(s => s.id), ['poll']);
+    });
+
+    test('streaming gives the same result as parsing the whole testlog', async () => {
+        const json = loadFixture('testlog/testlog.json');
+
+        assert.deepEqual(await parseTestLogStream(streamOf(json)), parseTestLog(json));
+        assert.deepEqual(await parseTestLogStream(streamOf([json, json])), parseTestLog([json, json]));
+    });
+
+    test('streaming does not depend on the order of the fields', async () => {
+        // Children before the fields of their parent, and events after items
+        const json = '{"items":[{"events":[{"end":{"properties":{"verdict":"PASS"}},"properties":{"name":"Check"},"id":"e1"}],' +
+            '"id":"i1","properties":{"name":"Open"},"end":{"duration":5,"properties":{"verdict":"FAIL","reason":"Timeout"}}}],' +
+            '"events":[{"id":"e0","properties":{"name":"Start"}}],"id":"root","properties":{"name":"Root"},"verdict":"FAIL"}';
+
+        const streamed = await parseTestLogStream(streamOf(json));
+
+        assert.deepEqual(streamed, parseTestLog(JSON.parse(json)));
+        assert.deepEqual(streamed.steps.map(step => step.path), ['root', 'root.e0', 'root.i1', 'root.i1.e1']);
+    });
+
+    test('keeps only the fields it uses within the memory ceiling', async () => {
+        const item = (extra) => ({ id: 's1', properties: { name: 'Upload' }, ...extra });
+        const recording = { id: 'r', properties: { name: 'Run' }, recording: 'x'.repeat(200000), items: [item({ data: ['y'.repeat(200000)] })] };
+        const stacktrace = { id: 'r', properties: { name: 'Run' }, items: [item({ end: { properties: { verdict: 'FAIL', stacktrace: 'z'.repeat(200000) } } })] };
+
+        const testLog = await parseTestLogStream(streamOf(recording, 4096), { maxBytes: 10000 });
+
+        assert.equal(testLog.steps.length, 2);
+        assert.equal(testLog.steps[0].properties.recording, undefined);
+        await assert.rejects(parseTestLogStream(streamOf(stacktrace, 4096), { maxBytes: 10000 }), /testlog.json has more step data than the memory limit of 10000 bytes/);
+    });
+
+    test('rejects malformed JSON', async () => {
+        await assert.rejects(parseTestLogStream(streamOf('{"id": "1", "items": [')));
+    });
+});